@@ -4,10 +4,14 @@ const state = {
     selectedIndex: 0,
     transferTarget: null, // Index of screenshot waiting to receive style transfer
     outputDevice: 'iphone-6.9',
+    layoutBaseDevice: 'iphone-6.9', // Output size the screenshots' base layout is for, others can override it
     currentLanguage: 'en', // Global current language for all text
     projectLanguages: ['en'], // Languages available in this project
     customWidth: 1290,
     customHeight: 2796,
+    exportNaming: null, // File naming template for exports (export-naming.js), null for the default names
+    exportFormat: { type: 'png', quality: 90, maxSizeKB: 0 }, // Image format of exports (export-encoding.js), 0 KB for no size limit
+    deviceModels: {}, // Imported 3D models and model calibrations of this project (device-models.js)
     // Default settings applied to new screenshots
     defaults: {
         background: {
@@ -51,7 +55,9 @@ const state = {
                 color: '#1d1d1f',
                 width: 12,
                 opacity: 100
-            }
+            },
+            deviceFrame: '',
+            deviceFrameColor: 'black'
         },
         text: {
             headlineEnabled: true,
@@ -68,6 +74,8 @@ const state = {
             position: 'top',
             offsetY: 12,
             lineHeight: 110,
+            headlineBlock: { ...DEFAULT_TEXT_BLOCKS.headline },
+            subheadlineBlock: { ...DEFAULT_TEXT_BLOCKS.subheadline },
             subheadlineEnabled: false,
             subheadlines: { en: '' },
             subheadlineLanguages: ['en'],
@@ -80,7 +88,9 @@ const state = {
             subheadlineStrikethrough: false,
             subheadlineColor: '#ffffff',
             subheadlineOpacity: 70
-        }
+        },
+        // Layer stack of new screenshots (render.js), with their added layers
+        layers: createDefaultLayers()
     }
 };
 
@@ -90,14 +100,23 @@ function getCurrentScreenshot() {
     return state.screenshots[state.selectedIndex];
 }
 
+// Screenshot whose background, devices and layers are edited: the first screenshot of the
+// panorama the current screenshot is a slice of, otherwise the current screenshot
+function getSceneScreenshot() {
+    if (state.screenshots.length === 0) return null;
+    return getSceneModel(state.screenshots, state.selectedIndex);
+}
+
 function getBackground() {
-    const screenshot = getCurrentScreenshot();
+    const screenshot = getSceneScreenshot();
     return screenshot ? screenshot.background : state.defaults.background;
 }
 
+// Settings of the device the Device tab edits (an added device layer when one is selected)
 function getScreenshotSettings() {
-    const screenshot = getCurrentScreenshot();
-    return screenshot ? screenshot.screenshot : state.defaults.screenshot;
+    const screenshot = getSceneScreenshot();
+    if (!screenshot) return state.defaults.screenshot;
+    return getSelectedDeviceLayer()?.settings || screenshot.screenshot;
 }
 
 function getText() {
@@ -112,8 +131,9 @@ function formatValue(num) {
 }
 
 function setBackground(key, value) {
-    const screenshot = getCurrentScreenshot();
+    const screenshot = getSceneScreenshot();
     if (screenshot) {
+        markHistoryEdit('background.' + key);
         if (key.includes('.')) {
             const parts = key.split('.');
             let obj = screenshot.background;
@@ -128,17 +148,23 @@ function setBackground(key, value) {
 }
 
 function setScreenshotSetting(key, value) {
-    const screenshot = getCurrentScreenshot();
+    const screenshot = getSceneScreenshot();
     if (screenshot) {
-        if (key.includes('.')) {
+        // Added device layers have no per-size layout overrides
+        const deviceLayer = getSelectedDeviceLayer();
+        const settings = deviceLayer ? deviceLayer.settings : screenshot.screenshot;
+        markHistoryEdit((deviceLayer ? `layers.${deviceLayer.id}.` : '') + 'screenshot.' + key);
+        if (!deviceLayer && isLayoutOverrideEdit('screenshot', key)) {
+            setLayoutOverride(screenshot, 'screenshot', key, value);
+        } else if (key.includes('.')) {
             const parts = key.split('.');
-            let obj = screenshot.screenshot;
+            let obj = settings;
             for (let i = 0; i < parts.length - 1; i++) {
                 obj = obj[parts[i]];
             }
             obj[parts[parts.length - 1]] = value;
         } else {
-            screenshot.screenshot[key] = value;
+            settings[key] = value;
         }
     }
 }
@@ -146,19 +172,196 @@ function setScreenshotSetting(key, value) {
 function setTextSetting(key, value) {
     const screenshot = getCurrentScreenshot();
     if (screenshot) {
-        screenshot.text[key] = value;
+        markHistoryEdit('text.' + key);
+        if (isLayoutOverrideEdit('text', key)) {
+            setLayoutOverride(screenshot, 'text', key, value);
+        } else {
+            screenshot.text[key] = value;
+        }
     }
 }
 
 function setCurrentScreenshotAsDefault() {
     const screenshot = getCurrentScreenshot();
+    const scene = getSceneScreenshot();
     if (screenshot) {
-        state.defaults.background = JSON.parse(JSON.stringify(screenshot.background));
-        state.defaults.screenshot = JSON.parse(JSON.stringify(screenshot.screenshot));
+        state.defaults.background = JSON.parse(JSON.stringify(scene.background));
+        state.defaults.screenshot = JSON.parse(JSON.stringify(scene.screenshot));
         state.defaults.text = JSON.parse(JSON.stringify(screenshot.text));
+        state.defaults.layers = cloneLayers(getScreenshotLayers(scene));
+    }
+}
+
+// ==========================================
+// Per-Size Layout Overrides
+// ==========================================
+// A screenshot's settings are its layout at the project's base output size (state.layoutBaseDevice).
+// Layout values (LAYOUT_OVERRIDE_KEYS) edited at another size are stored for that size only, in
+// screenshot.layoutOverrides[device] = { screenshot: {...}, text: {...} }.
+
+// Sidebar controls of the layout values, with the unit of their value label
+const LAYOUT_OVERRIDE_CONTROLS = {
+    'screenshot.scale': { input: 'screenshot-scale', unit: '%' },
+    'screenshot.y': { input: 'screenshot-y', unit: '%' },
+    'screenshot.x': { input: 'screenshot-x', unit: '%' },
+    'screenshot.rotation': { input: 'screenshot-rotation', unit: '°' },
+    'text.headlineSize': { input: 'headline-size' },
+    'text.subheadlineSize': { input: 'subheadline-size' },
+    'text.offsetY': { input: 'text-offset-y', unit: '%' },
+    'text.lineHeight': { input: 'line-height', unit: '%' }
+};
+
+// Whether an edit of a setting is stored as an override for the current output size
+function isLayoutOverrideEdit(group, key) {
+    return state.outputDevice !== state.layoutBaseDevice && LAYOUT_OVERRIDE_KEYS[group].includes(key);
+}
+
+function setLayoutOverride(screenshot, group, key, value) {
+    if (!screenshot.layoutOverrides) screenshot.layoutOverrides = {};
+    if (!screenshot.layoutOverrides[state.outputDevice]) {
+        screenshot.layoutOverrides[state.outputDevice] = { screenshot: {}, text: {} };
+    }
+    screenshot.layoutOverrides[state.outputDevice][group][key] = value;
+}
+
+// Screenshot that stores a group's layout values (the device's are the panorama's)
+function getLayoutScreenshot(group) {
+    return group === 'text' ? getCurrentScreenshot() : getSceneScreenshot();
+}
+
+// Current screenshot's settings as used at the current output size
+// ('screenshot' is the device the Device tab edits)
+function getLayoutSettings(group) {
+    const screenshot = getLayoutScreenshot(group);
+    if (!screenshot) return state.defaults[group];
+    const deviceLayer = group === 'screenshot' ? getSelectedDeviceLayer() : null;
+    if (deviceLayer) return deviceLayer.settings;
+    return applyLayoutOverrides(screenshot, state.outputDevice)[group];
+}
+
+// Overridden values of the current screenshot at the current output size, e.g. ['screenshot.scale']
+function getOverriddenLayoutKeys() {
+    if (state.outputDevice === state.layoutBaseDevice) return [];
+    // The screenshot's device overrides don't apply to an added device being edited
+    const groups = getSelectedDeviceLayer() ? ['text'] : ['screenshot', 'text'];
+    return groups.flatMap(group => {
+        const overrides = getLayoutScreenshot(group)?.layoutOverrides?.[state.outputDevice]?.[group];
+        return Object.keys(overrides || {}).map(key => `${group}.${key}`);
+    });
+}
+
+/**
+ * Reset overridden values of the current screenshot to its base layout
+ * @param {string[]} paths - Values to reset, e.g. ['screenshot.scale']
+ */
+function resetLayoutOverrides(paths) {
+    const changed = paths.filter(path => {
+        const [group, key] = path.split('.');
+        const overrides = getLayoutScreenshot(group)?.layoutOverrides?.[state.outputDevice]?.[group];
+        return overrides && key in overrides;
+    });
+    if (changed.length === 0) return;
+
+    recordHistoryStep('Reset Layout to Base');
+    changed.forEach(path => {
+        const [group, key] = path.split('.');
+        const screenshot = getLayoutScreenshot(group);
+        const overrides = screenshot.layoutOverrides[state.outputDevice];
+        delete overrides[group][key];
+        if (Object.keys(overrides.screenshot || {}).length === 0 && Object.keys(overrides.text || {}).length === 0) {
+            delete screenshot.layoutOverrides[state.outputDevice];
+        }
+    });
+
+    updateLayoutOverrideUI();
+    updateCanvas();
+}
+
+// Add a reset button to the label of each overridable control
+function initLayoutOverrideControls() {
+    document.querySelectorAll('.control-group[data-layout-key]').forEach(group => {
+        const button = document.createElement('button');
+        button.className = 'layout-override-reset';
+        button.title = 'Reset to the base layout';
+        button.textContent = 'Reset';
+        button.addEventListener('click', () => resetLayoutOverrides([group.dataset.layoutKey]));
+        group.querySelector('.control-label').appendChild(button);
+    });
+
+    document.getElementById('reset-layout-overrides').addEventListener('click', () => {
+        resetLayoutOverrides(getOverriddenLayoutKeys());
+    });
+}
+
+// Show the layout values of the current output size and mark the overridden ones
+function updateLayoutOverrideUI() {
+    const settings = { screenshot: getLayoutSettings('screenshot'), text: getLayoutSettings('text') };
+    Object.entries(LAYOUT_OVERRIDE_CONTROLS).forEach(([path, control]) => {
+        const [group, key] = path.split('.');
+        const value = settings[group][key];
+        document.getElementById(control.input).value = value;
+        if (control.unit) {
+            document.getElementById(control.input + '-value').textContent = formatValue(value) + control.unit;
+        }
+    });
+
+    const overridden = getOverriddenLayoutKeys();
+    document.querySelectorAll('[data-layout-key]').forEach(el => {
+        el.classList.toggle('layout-overridden', overridden.includes(el.dataset.layoutKey));
+    });
+
+    updateTextBlockUI();
+
+    const bar = document.getElementById('layout-override-bar');
+    const showBar = !!getCurrentScreenshot() && state.outputDevice !== state.layoutBaseDevice;
+    bar.classList.toggle('visible', showBar);
+    if (showBar) {
+        const sizeName = getDeviceName(state.outputDevice);
+        document.getElementById('layout-override-text').textContent = overridden.length > 0
+            ? `${overridden.length} layout value${overridden.length === 1 ? '' : 's'} changed for ${sizeName}`
+            : `Layout changes only apply to ${sizeName}`;
+        document.getElementById('reset-layout-overrides').disabled = overridden.length === 0;
     }
 }
 
+// Show the placement controls of the text position: the vertical offset for stacked text,
+// position, alignment and width of each block for free text
+function updateTextBlockUI() {
+    const text = getLayoutSettings('text');
+    const free = text.position === 'free';
+    document.getElementById('text-offset-group').style.display = free ? 'none' : '';
+
+    ['headline', 'subheadline'].forEach(key => {
+        const block = getTextBlock(text, key);
+        document.getElementById(key + '-block-controls').classList.toggle('visible', free);
+        document.querySelectorAll(`#${key}-align button`).forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.align === block.align);
+        });
+        [['x', 'x'], ['y', 'y'], ['width', 'maxWidth']].forEach(([control, prop]) => {
+            document.getElementById(`${key}-block-${control}`).value = block[prop];
+            document.getElementById(`${key}-block-${control}-value`).textContent = formatValue(block[prop]) + '%';
+        });
+    });
+}
+
+function setTextBlockValue(key, prop, value) {
+    setTextValue(key + 'Block', { ...getTextBlock(getLayoutSettings('text'), key), [prop]: value });
+}
+
+// Free blocks that start where the stacked text currently is, so switching doesn't move it
+function convertStackedTextToBlocks() {
+    const dims = getCanvasDimensions();
+    const context = document.createElement('canvas').getContext('2d');
+    measureTextBlocks(context, dims, getLayoutSettings('text')).forEach(bounds => {
+        setTextValue(bounds.key + 'Block', {
+            ...DEFAULT_TEXT_BLOCKS[bounds.key],
+            y: Math.round(bounds.top / dims.height * 1000) / 10,
+            // Same wrap width as the stacked layout's padding
+            maxWidth: Math.round((1 - TEXT_SAFE_MARGIN * 2) * 100)
+        });
+    });
+}
+
 // Language flags mapping
 const languageFlags = {
     'en': '🇺🇸', 'en-gb': '🇬🇧', 'de': '🇩🇪', 'fr': '🇫🇷', 'es': '🇪🇸',
@@ -212,6 +415,11 @@ const googleFonts = {
     allFonts: null
 };
 
+// Stylesheet URL of a Google Font with all weights the font picker offers
+function getGoogleFontCssUrl(fontName) {
+    return `https://fonts.googleapis.com/css2?family=${encodeURIComponent(fontName)}:wght@300;400;500;600;700;800;900&display=swap`;
+}
+
 // Load a Google Font dynamically
 async function loadGoogleFont(fontName) {
     // Check if it's a system font
@@ -244,7 +452,7 @@ async function loadGoogleFont(fontName) {
 
     try {
         const link = document.createElement('link');
-        link.href = `https://fonts.googleapis.com/css2?family=${encodeURIComponent(fontName)}:wght@300;400;500;600;700;800;900&display=swap`;
+        link.href = getGoogleFontCssUrl(fontName);
         link.rel = 'stylesheet';
 
         // Wait for stylesheet to load first
@@ -732,35 +940,12 @@ function updateSingleFontPickerPreview(hiddenId, previewId, stateKey) {
     preview.style.fontFamily = fontValue;
 }
 
-// Device dimensions
-const deviceDimensions = {
-    'iphone-6.9': { width: 1320, height: 2868 },
-    'iphone-6.7': { width: 1290, height: 2796 },
-    'iphone-6.5': { width: 1284, height: 2778 },
-    'iphone-5.5': { width: 1242, height: 2208 },
-    'ipad-12.9': { width: 2048, height: 2732 },
-    'ipad-11': { width: 1668, height: 2388 },
-    'android-phone': { width: 1080, height: 1920 },
-    'android-phone-hd': { width: 1440, height: 2560 },
-    'android-tablet-7': { width: 1200, height: 1920 },
-    'android-tablet-10': { width: 1600, height: 2560 },
-    'web-og': { width: 1200, height: 630 },
-    'web-twitter': { width: 1200, height: 675 },
-    'web-hero': { width: 1920, height: 1080 },
-    'web-feature': { width: 1024, height: 500 }
-};
-
 // DOM elements
 const canvas = document.getElementById('preview-canvas');
-const ctx = canvas.getContext('2d');
 const canvasLeft = document.getElementById('preview-canvas-left');
-const ctxLeft = canvasLeft.getContext('2d');
 const canvasRight = document.getElementById('preview-canvas-right');
-const ctxRight = canvasRight.getContext('2d');
 const canvasFarLeft = document.getElementById('preview-canvas-far-left');
-const ctxFarLeft = canvasFarLeft.getContext('2d');
 const canvasFarRight = document.getElementById('preview-canvas-far-right');
-const ctxFarRight = canvasFarRight.getContext('2d');
 const sidePreviewLeft = document.getElementById('side-preview-left');
 const sidePreviewRight = document.getElementById('side-preview-right');
 const sidePreviewFarLeft = document.getElementById('side-preview-far-left');
@@ -819,9 +1004,14 @@ const noScreenshot = document.getElementById('no-screenshot');
 // IndexedDB for larger storage (can store hundreds of MB vs localStorage's 5-10MB)
 let db = null;
 const DB_NAME = 'AppStoreScreenshotGenerator';
-const DB_VERSION = 2;
+const DB_VERSION = 6;
 const PROJECTS_STORE = 'projects';
 const META_STORE = 'meta';
+const ASSETS_STORE = 'assets';
+const SNAPSHOTS_STORE = 'snapshots';
+const TEMPLATES_STORE = 'templates';
+const DEVICE_MODELS_STORE = 'deviceModels';
+let assetMigrationPending = false;  // Set when upgrading from a version that embedded images in projects
 
 let currentProjectId = 'default';
 let projects = [{ id: 'default', name: 'Default Project', screenshotCount: 0 }];
@@ -859,6 +1049,30 @@ function openDatabase() {
                 if (!database.objectStoreNames.contains(META_STORE)) {
                     database.createObjectStore(META_STORE, { keyPath: 'key' });
                 }
+
+                // Create assets store for image Blobs keyed by content hash (version 3)
+                if (!database.objectStoreNames.contains(ASSETS_STORE)) {
+                    database.createObjectStore(ASSETS_STORE, { keyPath: 'id' });
+                }
+                if (event.oldVersion > 0 && event.oldVersion < 3) {
+                    assetMigrationPending = true;
+                }
+
+                // Create snapshots store for named project versions (version 4)
+                if (!database.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+                    const snapshots = database.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' });
+                    snapshots.createIndex('projectId', 'projectId', { unique: false });
+                }
+
+                // Create templates store for project templates (version 5)
+                if (!database.objectStoreNames.contains(TEMPLATES_STORE)) {
+                    database.createObjectStore(TEMPLATES_STORE, { keyPath: 'id' });
+                }
+
+                // Create device models store for the user's 3D model library (version 6)
+                if (!database.objectStoreNames.contains(DEVICE_MODELS_STORE)) {
+                    database.createObjectStore(DEVICE_MODELS_STORE, { keyPath: 'id' });
+                }
             };
 
             request.onblocked = () => {
@@ -918,7 +1132,7 @@ function saveProjectsMeta() {
 
 // Update project selector dropdown
 function updateProjectSelector() {
-    const menu = document.getElementById('project-menu');
+    const menu = document.getElementById('project-menu-items');
     menu.innerHTML = '';
 
     // Find current project
@@ -958,13 +1172,21 @@ function updateProjectSelector() {
 async function init() {
     try {
         await openDatabase();
+        if (db && assetMigrationPending) {
+            await migrateProjectsToAssetStore();
+        }
+        await loadDeviceModelManifest();
+        await loadDeviceModelLibrary();
         await loadProjectsMeta();
         await loadState();
+        resetHistory();
         syncUIWithState();
         updateCanvas();
+        pruneUnusedAssets();
     } catch (e) {
         console.error('Initialization error:', e);
         // Continue with defaults
+        resetHistory();
         syncUIWithState();
         updateCanvas();
     }
@@ -980,10 +1202,22 @@ function initSync() {
     init();
 }
 
-// Save state to IndexedDB for current project
-function saveState() {
-    if (!db) return;
+// Build the storable project record (images as data URLs, no Image objects)
+// Copy background settings for storage, with the Image object replaced by its src
+function serializeBackground(background) {
+    if (!background) return background;
+    const backgroundToSave = JSON.parse(JSON.stringify(background));
+    // Handle Image object in background
+    if (background.image && background.image instanceof Image) {
+        backgroundToSave.image = background.image.src;
+    } else if (background.image && typeof background.image !== 'string') {
+        // Fallback if it's some other object but has src, or just null it if unsafe
+        backgroundToSave.image = background.image.src || null;
+    }
+    return backgroundToSave;
+}
 
+function buildProjectRecord() {
     // Convert screenshots to base64 for storage, including per-screenshot settings and localized images
     const screenshotsToSave = state.screenshots.map(s => {
         // Save localized images (without Image objects, just src/name)
@@ -1000,62 +1234,189 @@ function saveState() {
             });
         }
 
-        // Clone background to avoid modifying state
-        let backgroundToSave = s.background;
-        if (s.background) {
-            backgroundToSave = JSON.parse(JSON.stringify(s.background));
-            // Handle Image object in background
-            if (s.background.image && s.background.image instanceof Image) {
-                backgroundToSave.image = s.background.image.src;
-            } else if (s.background.image && typeof s.background.image !== 'string') {
-                // Fallback if it's some other object but has src, or just null it if unsafe
-                backgroundToSave.image = s.background.image.src || null;
-            }
-        }
-
         return {
             src: s.image?.src || '', // Legacy compatibility
             name: s.name,
             deviceType: s.deviceType,
             localizedImages: localizedImages,
-            background: backgroundToSave,
+            background: serializeBackground(s.background),
             screenshot: s.screenshot,
             text: s.text,
+            layers: serializeLayers(s.layers),
+            panorama: s.panorama,
+            layoutOverrides: s.layoutOverrides,
             overrides: s.overrides
         };
     });
 
-    const stateToSave = {
+    return {
         id: currentProjectId,
         screenshots: screenshotsToSave,
         selectedIndex: state.selectedIndex,
         outputDevice: state.outputDevice,
+        layoutBaseDevice: state.layoutBaseDevice,
         customWidth: state.customWidth,
         customHeight: state.customHeight,
+        exportNaming: state.exportNaming,
+        exportFormat: state.exportFormat,
+        deviceModels: state.deviceModels,
         currentLanguage: state.currentLanguage,
         projectLanguages: state.projectLanguages,
-        defaults: state.defaults
+        defaults: {
+            ...state.defaults,
+            background: serializeBackground(state.defaults.background),
+            layers: serializeLayers(state.defaults.layers)
+        }
     };
+}
 
-    // Update screenshot count in project metadata
+// Autosave: saveState() is debounced, and a write only happens if the project changed
+const SAVE_DEBOUNCE_MS = 400;
+let saveTimer = null;
+let lastSavedSignature = null;
+
+// Save state to IndexedDB for current project
+function saveState() {
+    // Every persisted change is a potential undo step
+    commitHistoryCheckpoint();
+
+    if (!db) return;
+
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    // Redraws call this too (selecting a screenshot, switching tabs): the status only shows
+    // "Saving…" when there is something to write
+    if (getSaveSignature() === lastSavedSignature) {
+        if (!projectWriteQueue) updateSaveStatus('saved');
+        return;
+    }
+
+    saveTimer = setTimeout(flushSaveState, SAVE_DEBOUNCE_MS);
+    updateSaveStatus('saving');
+}
+
+// Numbers for the data URLs in the last save signature, so images aren't compared character by character
+let saveSignatureAssetIds = new Map();
+let nextSaveSignatureAssetId = 1;
+
+// Fingerprint of the record a save would write, so every persisted field counts as a change
+function getSaveSignature() {
+    const assetIds = new Map();
+    const signature = JSON.stringify(buildProjectRecord(), (key, value) => {
+        if (typeof value !== 'string' || value.length <= 2048) return value;
+        if (!assetIds.has(value)) {
+            assetIds.set(value, saveSignatureAssetIds.get(value) || nextSaveSignatureAssetId++);
+        }
+        return { $asset: assetIds.get(value) };
+    });
+    // Only remember the images the project still uses
+    saveSignatureAssetIds = assetIds;
+    return signature;
+}
+
+// Write pending changes now instead of waiting for the debounce (e.g. before switching projects)
+function flushSaveState() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    if (!db) return;
+
+    // Deleted projects must not be re-created
     const project = projects.find(p => p.id === currentProjectId);
-    if (project) {
+    if (!project) return;
+
+    const signature = getSaveSignature();
+    if (signature === lastSavedSignature) {
+        if (!projectWriteQueue) updateSaveStatus('saved');
+        return;
+    }
+    lastSavedSignature = signature;
+
+    // Update screenshot count in project metadata
+    if (project.screenshotCount !== state.screenshots.length) {
         project.screenshotCount = state.screenshots.length;
         saveProjectsMeta();
     }
 
+    // Images are moved to the asset store asynchronously; only the latest record per project is written
+    const stateToSave = buildProjectRecord();
+    pendingProjectWrites.set(stateToSave.id, stateToSave);
+    updateSaveStatus('saving');
+    if (!projectWriteQueue) {
+        projectWriteQueue = flushProjectWrites();
+    }
+}
+
+// Pending project records, written one at a time so older saves never overwrite newer ones
+const pendingProjectWrites = new Map();
+let projectWriteQueue = null;
+
+async function flushProjectWrites() {
+    let failed = false;
     try {
-        const transaction = db.transaction([PROJECTS_STORE], 'readwrite');
-        const store = transaction.objectStore(PROJECTS_STORE);
-        store.put(stateToSave);
-    } catch (e) {
-        console.error('Error saving state:', e);
+        while (pendingProjectWrites.size > 0) {
+            const [id, record] = pendingProjectWrites.entries().next().value;
+            pendingProjectWrites.delete(id);
+            try {
+                const stored = await storeProjectAssets(record);
+                await putProjectRecord(stored);
+            } catch (e) {
+                console.error('Error saving state:', e);
+                failed = true;
+                // Retry on the next change
+                lastSavedSignature = null;
+            }
+        }
+    } finally {
+        projectWriteQueue = null;
+        // A newer change may already be waiting for the debounce
+        updateSaveStatus(failed ? 'failed' : saveTimer ? 'saving' : 'saved');
     }
 }
 
+// Show autosave status next to the project name
+function updateSaveStatus(status) {
+    const el = document.getElementById('project-save-status');
+    if (!el) return;
+
+    const labels = { saving: 'Saving…', saved: 'Saved', failed: 'Save failed' };
+    el.dataset.status = status;
+    el.textContent = labels[status];
+    el.title = status === 'failed' ? 'Changes could not be written to browser storage. See the console for details.' : '';
+}
+
+// Don't lose the last edits when the tab is closed
+window.addEventListener('beforeunload', (e) => {
+    flushSaveState();
+    // Electron cancels the close silently when returnValue is set, so only warn in browsers
+    if (projectWriteQueue && !window.electronAPI) {
+        e.preventDefault();
+        e.returnValue = '';
+    }
+});
+
+// Wait until all queued project saves are written
+function waitForPendingSaves() {
+    return projectWriteQueue || Promise.resolve();
+}
+
+// Write a project record to IndexedDB
+function putProjectRecord(record) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([PROJECTS_STORE], 'readwrite');
+        transaction.objectStore(PROJECTS_STORE).put(record);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
 // Load state from IndexedDB for current project
-function loadState() {
-    if (!db) return Promise.resolve();
+async function loadState() {
+    if (!db) return;
+
+    // A save for this project may still be in flight
+    await waitForPendingSaves();
 
     return new Promise((resolve) => {
         try {
@@ -1063,8 +1424,16 @@ function loadState() {
             const store = transaction.objectStore(PROJECTS_STORE);
             const request = store.get(currentProjectId);
 
-            request.onsuccess = () => {
-                const parsed = request.result;
+            request.onsuccess = async () => {
+                // Swap asset references back to image data
+                let parsed = null;
+                try {
+                    parsed = request.result ? await resolveProjectAssets(request.result) : null;
+                } catch (e) {
+                    console.error('Error loading images:', e);
+                    resolve();
+                    return;
+                }
                 if (parsed) {
                     // Check if this is an old-style project (no per-screenshot settings)
                     const isOldFormat = !parsed.defaults && (parsed.background || parsed.screenshot || parsed.text);
@@ -1147,6 +1516,10 @@ function loadState() {
                                                     background: background,
                                                     screenshot: s.screenshot || JSON.parse(JSON.stringify(migratedScreenshot)),
                                                     text: s.text || JSON.parse(JSON.stringify(migratedText)),
+                                                    // Older screenshots get the layer stack they were drawn with
+                                                    layers: hydrateLayers(s.layers || createDefaultLayers()),
+                                                    panorama: s.panorama,
+                                                    layoutOverrides: s.layoutOverrides || {},
                                                     overrides: s.overrides || {}
                                                 };
                                                 loadedCount++;
@@ -1186,6 +1559,9 @@ function loadState() {
                                         background: s.background || JSON.parse(JSON.stringify(migratedBackground)),
                                         screenshot: s.screenshot || JSON.parse(JSON.stringify(migratedScreenshot)),
                                         text: s.text || JSON.parse(JSON.stringify(migratedText)),
+                                        layers: hydrateLayers(s.layers || createDefaultLayers()),
+                                        panorama: s.panorama,
+                                        layoutOverrides: s.layoutOverrides || {},
                                         overrides: s.overrides || {}
                                     };
                                     loadedCount++;
@@ -1197,6 +1573,8 @@ function loadState() {
 
                         function checkAllLoaded() {
                             if (loadedCount === totalToLoad) {
+                                // Images load asynchronously, so history starts from the fully loaded project
+                                resetHistory();
                                 updateScreenshotList();
                                 syncUIWithState();
                                 updateGradientStopsUI();
@@ -1217,8 +1595,14 @@ function loadState() {
 
                     state.selectedIndex = parsed.selectedIndex || 0;
                     state.outputDevice = parsed.outputDevice || 'iphone-6.9';
+                    // Older projects were laid out for the size they were saved with
+                    state.layoutBaseDevice = parsed.layoutBaseDevice || state.outputDevice;
                     state.customWidth = parsed.customWidth || 1320;
                     state.customHeight = parsed.customHeight || 2868;
+                    state.exportNaming = parsed.exportNaming || null;
+                    state.exportFormat = { type: 'png', quality: 90, maxSizeKB: 0, ...parsed.exportFormat };
+                    state.deviceModels = parsed.deviceModels || {};
+                    rebuildDeviceModelRegistry();
 
                     // Load global language settings
                     state.currentLanguage = parsed.currentLanguage || 'en';
@@ -1227,6 +1611,14 @@ function loadState() {
                     // Load defaults (new format) or use migrated settings
                     if (parsed.defaults) {
                         state.defaults = parsed.defaults;
+                        // Templates can set a default background image
+                        const defaultBg = state.defaults.background;
+                        if (defaultBg?.image && typeof defaultBg.image === 'string') {
+                            const bgImg = new Image();
+                            bgImg.src = defaultBg.image;
+                            defaultBg.image = bgImg;
+                        }
+                        state.defaults.layers = hydrateLayers(state.defaults.layers || createDefaultLayers());
                     } else {
                         state.defaults.background = migratedBackground;
                         state.defaults.screenshot = migratedScreenshot;
@@ -1276,8 +1668,13 @@ function resetStateToDefaults() {
     state.screenshots = [];
     state.selectedIndex = 0;
     state.outputDevice = 'iphone-6.9';
+    state.layoutBaseDevice = 'iphone-6.9';
     state.customWidth = 1320;
     state.customHeight = 2868;
+    state.exportNaming = null;
+    state.exportFormat = { type: 'png', quality: 90, maxSizeKB: 0 };
+    state.deviceModels = {};
+    rebuildDeviceModelRegistry();
     state.currentLanguage = 'en';
     state.projectLanguages = ['en'];
     state.defaults = {
@@ -1319,7 +1716,9 @@ function resetStateToDefaults() {
                 color: '#1d1d1f',
                 width: 12,
                 opacity: 100
-            }
+            },
+            deviceFrame: '',
+            deviceFrameColor: 'black'
         },
         text: {
             headlines: { en: '' },
@@ -1335,6 +1734,8 @@ function resetStateToDefaults() {
             position: 'top',
             offsetY: 12,
             lineHeight: 110,
+            headlineBlock: { ...DEFAULT_TEXT_BLOCKS.headline },
+            subheadlineBlock: { ...DEFAULT_TEXT_BLOCKS.subheadline },
             subheadlines: { en: '' },
             subheadlineLanguages: ['en'],
             currentSubheadlineLang: 'en',
@@ -1346,7 +1747,8 @@ function resetStateToDefaults() {
             subheadlineStrikethrough: false,
             subheadlineColor: '#ffffff',
             subheadlineOpacity: 70
-        }
+        },
+        layers: createDefaultLayers()
     };
 }
 
@@ -1354,13 +1756,22 @@ function resetStateToDefaults() {
 async function switchProject(projectId) {
     // Save current project first
     saveState();
+    flushSaveState();
 
     currentProjectId = projectId;
     saveProjectsMeta();
 
+    // History is per project
+    clearHistory();
+
+    // Image ids of the previous project are no longer needed once its save is written
+    await waitForPendingSaves();
+    assetIdsBySrc.clear();
+
     // Reset and load new project
     resetStateToDefaults();
     await loadState();
+    resetHistory();
 
     syncUIWithState();
     updateScreenshotList();
@@ -1369,15 +1780,38 @@ async function switchProject(projectId) {
     updateCanvas();
 }
 
-// Create a new project
-async function createProject(name) {
+// Create a new project, optionally from a stored project record (fork, import, duplicate)
+async function createProject(name, initialRecord) {
     const id = 'project_' + Date.now();
-    projects.push({ id, name, screenshotCount: 0 });
+    if (initialRecord && db) {
+        await putProjectRecord({ ...initialRecord, id });
+    }
+    projects.push({ id, name, screenshotCount: initialRecord?.screenshots?.length || 0 });
     saveProjectsMeta();
     await switchProject(id);
     updateProjectSelector();
 }
 
+// Duplicate the current project, including all images, under a new name
+async function duplicateProject() {
+    if (!db) {
+        await showAppAlert('Projects cannot be duplicated because browser storage is unavailable.', 'error');
+        return;
+    }
+
+    const project = projects.find(p => p.id === currentProjectId);
+
+    try {
+        flushSaveState();
+        await waitForPendingSaves();
+        const record = await storeProjectAssets(buildProjectRecord());
+        await createProject(getUniqueProjectName(`${project?.name || 'Project'} Copy`), record);
+    } catch (e) {
+        console.error('Error duplicating project:', e);
+        await showAppAlert('Could not duplicate project: ' + e.message, 'error');
+    }
+}
+
 // Rename current project
 function renameProject(newName) {
     const project = projects.find(p => p.id === currentProjectId);
@@ -1403,15 +1837,23 @@ async function deleteProject() {
 
     // Delete from IndexedDB
     if (db) {
+        clearTimeout(saveTimer);
+        pendingProjectWrites.delete(currentProjectId);
+        await waitForPendingSaves();
         const transaction = db.transaction([PROJECTS_STORE], 'readwrite');
         const store = transaction.objectStore(PROJECTS_STORE);
         store.delete(currentProjectId);
+        await deleteProjectSnapshots(currentProjectId);
     }
 
     // Switch to first available project
     saveProjectsMeta();
     await switchProject(projects[0].id);
     updateProjectSelector();
+
+    // Release images only the deleted project used
+    assetIdsBySrc.clear();
+    pruneUnusedAssets();
 }
 
 // Sync UI controls with current state
@@ -1510,6 +1952,7 @@ function syncUIWithState() {
     document.getElementById('frame-width-value').textContent = formatValue(ss.frame.width) + 'px';
     document.getElementById('frame-opacity').value = ss.frame.opacity;
     document.getElementById('frame-opacity-value').textContent = formatValue(ss.frame.opacity) + '%';
+    updateDeviceFrameUI(ss);
 
     // Text
     const currentHeadline = txt.headlines ? (txt.headlines[txt.currentHeadlineLang || 'en'] || '') : (txt.headline || '');
@@ -1564,9 +2007,7 @@ function syncUIWithState() {
     document.querySelectorAll('#device-type-selector button').forEach(btn => {
         btn.classList.toggle('active', btn.dataset.type === (use3D ? '3d' : '2d'));
     });
-    document.querySelectorAll('#device-3d-selector button').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.model === device3D);
-    });
+    updateDeviceModelUI();
     document.getElementById('rotation-3d-options').style.display = use3D ? 'block' : 'none';
     document.getElementById('rotation-3d-x').value = rotation3D.x;
     document.getElementById('rotation-3d-x-value').textContent = formatValue(rotation3D.x) + '°';
@@ -1585,8 +2026,14 @@ function syncUIWithState() {
         showThreeJS(use3D);
     }
     if (use3D && typeof switchPhoneModel === 'function') {
-        switchPhoneModel(device3D);
+        // Models removed from the project or library show as the iPhone
+        switchPhoneModel(deviceConfigs[device3D] ? device3D : 'iphone');
     }
+
+    // Layout values overridden for the output size
+    updateLayoutOverrideUI();
+
+    updateLayersPanel();
 }
 
 function setupEventListeners() {
@@ -1672,16 +2119,87 @@ function setupEventListeners() {
         document.getElementById('project-modal').dataset.mode = 'new';
         document.getElementById('project-modal').classList.add('visible');
         document.getElementById('project-name-input').focus();
+        updateTemplatePicker();
+    });
+
+    document.getElementById('duplicate-project-btn').addEventListener('click', () => {
+        projectDropdown.classList.remove('open');
+        duplicateProject();
+    });
+
+    document.getElementById('save-template-btn').addEventListener('click', () => {
+        projectDropdown.classList.remove('open');
+        const project = projects.find(p => p.id === currentProjectId);
+        document.getElementById('project-modal-title').textContent = 'Save as Template';
+        document.getElementById('project-name-input').value = project ? project.name : '';
+        document.getElementById('project-modal-confirm').textContent = 'Save';
+        document.getElementById('project-modal').dataset.mode = 'template';
+        document.getElementById('project-template-group').style.display = 'none';
+        document.getElementById('project-modal').classList.add('visible');
+        document.getElementById('project-name-input').focus();
+    });
+
+    // Template picker in the new project modal
+    const templateSelect = document.getElementById('project-template-select');
+    templateSelect.addEventListener('change', () => {
+        document.getElementById('delete-template-btn').disabled = !templateSelect.value;
+    });
+
+    document.getElementById('delete-template-btn').addEventListener('click', async () => {
+        const option = templateSelect.selectedOptions[0];
+        if (!templateSelect.value) return;
+        const confirmed = await showAppConfirm(`Delete template "${option.textContent}"?`, 'Delete', 'Cancel');
+        if (!confirmed) return;
+        await deleteProjectTemplate(templateSelect.value);
+        pruneUnusedAssets();
+        updateTemplatePicker();
     });
 
     // Save button removed - state is auto-saved
 
+    // Project file export/import
+    document.getElementById('export-project-btn').addEventListener('click', () => {
+        projectDropdown.classList.remove('open');
+        exportProjectFile();
+    });
+
+    document.getElementById('project-versions-btn').addEventListener('click', () => {
+        projectDropdown.classList.remove('open');
+        openSnapshotsModal();
+    });
+
+    // Project versions modal
+    document.getElementById('snapshots-modal-close').addEventListener('click', closeSnapshotsModal);
+    document.getElementById('snapshots-modal-done').addEventListener('click', closeSnapshotsModal);
+    document.getElementById('snapshots-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'snapshots-modal') closeSnapshotsModal();
+    });
+    document.getElementById('snapshot-create-btn').addEventListener('click', saveNamedSnapshot);
+    document.getElementById('snapshot-name-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveNamedSnapshot();
+    });
+
+    const projectFileInput = document.getElementById('project-file-input');
+    document.getElementById('import-project-btn').addEventListener('click', () => {
+        projectDropdown.classList.remove('open');
+        projectFileInput.click();
+    });
+
+    projectFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            await importProjectFile(file, file.name);
+        }
+        projectFileInput.value = '';
+    });
+
     document.getElementById('rename-project-btn').addEventListener('click', () => {
         const project = projects.find(p => p.id === currentProjectId);
         document.getElementById('project-modal-title').textContent = 'Rename Project';
         document.getElementById('project-name-input').value = project ? project.name : '';
         document.getElementById('project-modal-confirm').textContent = 'Rename';
         document.getElementById('project-modal').dataset.mode = 'rename';
+        document.getElementById('project-template-group').style.display = 'none';
         document.getElementById('project-modal').classList.add('visible');
         document.getElementById('project-name-input').focus();
     });
@@ -1711,9 +2229,16 @@ function setupEventListeners() {
 
         const mode = document.getElementById('project-modal').dataset.mode;
         if (mode === 'new') {
-            createProject(name);
+            const templateId = document.getElementById('project-template-select').value;
+            if (templateId) {
+                createProjectFromTemplate(name, templateId);
+            } else {
+                createProject(name);
+            }
         } else if (mode === 'rename') {
             renameProject(name);
+        } else if (mode === 'template') {
+            saveProjectAsTemplate(name);
         }
 
         document.getElementById('project-modal').classList.remove('visible');
@@ -1858,6 +2383,12 @@ function setupEventListeners() {
     document.getElementById('export-all-languages').addEventListener('click', () => {
         closeExportLanguageDialog('all');
     });
+    document.getElementById('export-matrix').addEventListener('click', () => {
+        closeExportLanguageDialog('matrix');
+    });
+    document.getElementById('export-fastlane').addEventListener('click', () => {
+        closeExportLanguageDialog('fastlane');
+    });
     document.getElementById('export-language-modal-cancel').addEventListener('click', () => {
         closeExportLanguageDialog(null);
     });
@@ -1865,6 +2396,53 @@ function setupEventListeners() {
         if (e.target.id === 'export-language-modal') closeExportLanguageDialog(null);
     });
 
+    // Per-size layout overrides
+    initLayoutOverrideControls();
+
+    // Device frames, preview guides and direct manipulation of the screenshot
+    initDeviceFrameControls();
+    initDeviceModelControls();
+    initPreviewGuideControls();
+    initCanvasManipulation();
+    initLayersPanel();
+
+    // Export file naming and image format
+    initExportNamingControls();
+    initExportFormatControls();
+
+    // Export matrix modal events
+    document.getElementById('export-matrix-cancel').addEventListener('click', closeExportMatrixDialog);
+    document.getElementById('export-matrix-confirm').addEventListener('click', confirmExportMatrix);
+    document.getElementById('export-matrix-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'export-matrix-modal') closeExportMatrixDialog();
+    });
+    document.getElementById('export-matrix-modal').addEventListener('change', (e) => {
+        keepOneSizePerFastlaneSlot(e.target);
+        updateExportMatrixSummary();
+    });
+    document.querySelectorAll('.export-matrix-toggle-all').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const boxes = Array.from(document.querySelectorAll(`#${btn.dataset.list} input`));
+            const checkAll = boxes.some(box => !box.checked);
+            boxes.forEach(box => box.checked = checkAll);
+            keepOneSizePerFastlaneSlot();
+            updateExportMatrixSummary();
+        });
+    });
+
+    // Export progress and summary modal events
+    document.getElementById('export-progress-cancel').addEventListener('click', cancelExport);
+    document.getElementById('export-summary-close').addEventListener('click', () => closeExportSummary(false));
+    document.getElementById('export-summary-download').addEventListener('click', () => closeExportSummary(true));
+
+    // Store check modal events
+    document.getElementById('store-check-summary').addEventListener('click', showStoreCheck);
+    document.getElementById('store-check-close').addEventListener('click', closeStoreCheck);
+    document.getElementById('store-check-file-sizes').addEventListener('click', checkStoreFileSizes);
+    document.getElementById('store-check-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'store-check-modal') closeStoreCheck();
+    });
+
     // Duplicate screenshot dialog
     initDuplicateDialogListeners();
     document.getElementById('duplicate-screenshot-modal').addEventListener('click', (e) => {
@@ -1997,6 +2575,7 @@ function setupEventListeners() {
                 customInputs.classList.remove('visible');
                 outputDropdown.classList.remove('open');
             }
+            updateLayoutOverrideUI();
             updateCanvas();
         });
     });
@@ -2416,7 +2995,11 @@ function setupEventListeners() {
         btn.addEventListener('click', () => {
             document.querySelectorAll('#text-position button').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
+            if (btn.dataset.position === 'free' && getTextSettings().position !== 'free') {
+                convertStackedTextToBlocks();
+            }
             setTextValue('position', btn.dataset.position);
+            updateTextBlockUI();
             updateCanvas();
         });
     });
@@ -2433,6 +3016,24 @@ function setupEventListeners() {
         updateCanvas();
     });
 
+    // Free text block placement
+    ['headline', 'subheadline'].forEach(key => {
+        document.querySelectorAll(`#${key}-align button`).forEach(btn => {
+            btn.addEventListener('click', () => {
+                setTextBlockValue(key, 'align', btn.dataset.align);
+                updateTextBlockUI();
+                updateCanvas();
+            });
+        });
+        [['x', 'x'], ['y', 'y'], ['width', 'maxWidth']].forEach(([control, prop]) => {
+            document.getElementById(`${key}-block-${control}`).addEventListener('input', (e) => {
+                setTextBlockValue(key, prop, parseFloat(e.target.value));
+                document.getElementById(`${key}-block-${control}-value`).textContent = formatValue(e.target.value) + '%';
+                updateCanvas();
+            });
+        });
+    });
+
     document.getElementById('subheadline-text').addEventListener('input', (e) => {
         const text = getTextSettings();
         if (!text.subheadlines) text.subheadlines = { en: '' };
@@ -2512,23 +3113,7 @@ function setupEventListeners() {
                 updateScreenTexture();
             }
 
-            updateCanvas();
-        });
-    });
-
-    // 3D device model selector
-    document.querySelectorAll('#device-3d-selector button').forEach(btn => {
-        btn.addEventListener('click', () => {
-            document.querySelectorAll('#device-3d-selector button').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-
-            const device3D = btn.dataset.model;
-            setScreenshotSetting('device3D', device3D);
-
-            if (typeof switchPhoneModel === 'function') {
-                switchPhoneModel(device3D);
-            }
-
+            updateMockupAspectWarning();
             updateCanvas();
         });
     });
@@ -2925,6 +3510,8 @@ function applyTranslations() {
     const isHeadline = currentTranslateTarget === 'headline';
     const texts = isHeadline ? text.headlines : text.subheadlines;
 
+    recordHistoryStep('Apply Translations');
+
     // Get all translations from the modal
     document.querySelectorAll('#translate-targets .translate-target-item').forEach(item => {
         const lang = item.dataset.lang;
@@ -3447,6 +4034,7 @@ Translate to these language codes: ${targetLangs.join(', ')}`;
         updateStatus('Applying translations...', 'Updating screenshots');
 
         // Apply translations
+        recordHistoryStep('Translate All Text');
         let appliedCount = 0;
         textsToTranslate.forEach((item, index) => {
             const itemTranslations = translations[index] || translations[String(index)];
@@ -3717,6 +4305,7 @@ function updateTextUI(text) {
     });
     document.getElementById('text-offset-y').value = text.offsetY;
     document.getElementById('text-offset-y-value').textContent = formatValue(text.offsetY) + '%';
+    updateTextBlockUI();
     document.getElementById('line-height').value = text.lineHeight;
     document.getElementById('line-height-value').textContent = formatValue(text.lineHeight) + '%';
     document.getElementById('subheadline-text').value = text.subheadline || '';
@@ -3788,12 +4377,7 @@ async function processElectronImageFile(fileData) {
     return new Promise((resolve) => {
         const img = new Image();
         img.onload = async () => {
-            // Detect device type based on aspect ratio
-            const ratio = img.width / img.height;
-            let deviceType = 'iPhone';
-            if (ratio > 0.6) {
-                deviceType = 'iPad';
-            }
+            const { deviceType, source } = detectUploadDevice(img);
 
             // Detect language from filename
             const detectedLang = detectLanguageFromFilename(fileData.name);
@@ -3819,14 +4403,14 @@ async function processElectronImageFile(fileData) {
                     if (choice === 'replace') {
                         addLocalizedImage(existingIndex, detectedLang, img, fileData.dataUrl, fileData.name);
                     } else if (choice === 'create') {
-                        createNewScreenshot(img, fileData.dataUrl, fileData.name, detectedLang, deviceType);
+                        createNewScreenshot(img, fileData.dataUrl, fileData.name, detectedLang, deviceType, source);
                     }
                 } else {
                     // No image for this language yet - just add it silently
                     addLocalizedImage(existingIndex, detectedLang, img, fileData.dataUrl, fileData.name);
                 }
             } else {
-                createNewScreenshot(img, fileData.dataUrl, fileData.name, detectedLang, deviceType);
+                createNewScreenshot(img, fileData.dataUrl, fileData.name, detectedLang, deviceType, source);
             }
 
             // Update 3D texture if in 3D mode
@@ -3834,6 +4418,7 @@ async function processElectronImageFile(fileData) {
             if (ss.use3D && typeof updateScreenTexture === 'function') {
                 updateScreenTexture();
             }
+            updateMockupAspectWarning();
             updateCanvas();
             resolve();
         };
@@ -3853,12 +4438,7 @@ async function processImageFile(file) {
         reader.onload = async (e) => {
             const img = new Image();
             img.onload = async () => {
-                // Detect device type based on aspect ratio
-                const ratio = img.width / img.height;
-                let deviceType = 'iPhone';
-                if (ratio > 0.6) {
-                    deviceType = 'iPad';
-                }
+                const { deviceType, source } = detectUploadDevice(img);
 
                 // Detect language from filename
                 const detectedLang = detectLanguageFromFilename(file.name);
@@ -3884,7 +4464,7 @@ async function processImageFile(file) {
                         if (choice === 'replace') {
                             addLocalizedImage(existingIndex, detectedLang, img, e.target.result, file.name);
                         } else if (choice === 'create') {
-                            createNewScreenshot(img, e.target.result, file.name, detectedLang, deviceType);
+                            createNewScreenshot(img, e.target.result, file.name, detectedLang, deviceType, source);
                         }
                         // 'ignore' does nothing
                     } else {
@@ -3893,7 +4473,7 @@ async function processImageFile(file) {
                     }
                 } else {
                     // No duplicate - create new screenshot
-                    createNewScreenshot(img, e.target.result, file.name, detectedLang, deviceType);
+                    createNewScreenshot(img, e.target.result, file.name, detectedLang, deviceType, source);
                 }
 
                 // Update 3D texture if in 3D mode
@@ -3901,6 +4481,7 @@ async function processImageFile(file) {
                 if (ss.use3D && typeof updateScreenTexture === 'function') {
                     updateScreenTexture();
                 }
+                updateMockupAspectWarning();
                 updateCanvas();
                 resolve();
             };
@@ -3910,7 +4491,15 @@ async function processImageFile(file) {
     });
 }
 
-function createNewScreenshot(img, src, name, lang, deviceType) {
+// Device a new screenshot's image comes from: a known device by its exact size, otherwise
+// iPhone or iPad by its shape
+function detectUploadDevice(img) {
+    const source = detectSourceDevice(img.width, img.height);
+    if (source) return { deviceType: source.name, source };
+    return { deviceType: img.width / img.height > 0.6 ? 'iPad' : 'iPhone', source: null };
+}
+
+function createNewScreenshot(img, src, name, lang, deviceType, source = null) {
     const localizedImages = {};
     localizedImages[lang] = {
         image: img,
@@ -3924,14 +4513,22 @@ function createNewScreenshot(img, src, name, lang, deviceType) {
     }
 
     // Each screenshot gets its own copy of all settings from defaults
+    const background = JSON.parse(JSON.stringify(state.defaults.background));
+    // Handle background image separately (not JSON serializable)
+    background.image = state.defaults.background.image instanceof Image ? state.defaults.background.image : null;
+    const screenshot = JSON.parse(JSON.stringify(state.defaults.screenshot));
+    applySourceDevice(screenshot, source);
+
     state.screenshots.push({
         image: img, // Keep for legacy compatibility
         name: name,
         deviceType: deviceType,
         localizedImages: localizedImages,
-        background: JSON.parse(JSON.stringify(state.defaults.background)),
-        screenshot: JSON.parse(JSON.stringify(state.defaults.screenshot)),
+        background: background,
+        screenshot,
         text: JSON.parse(JSON.stringify(state.defaults.text)),
+        layers: cloneLayers(state.defaults.layers || createDefaultLayers()),
+        layoutOverrides: {}, // Layout values changed for other output sizes
         // Legacy overrides for backwards compatibility
         overrides: {}
     });
@@ -3939,6 +4536,8 @@ function createNewScreenshot(img, src, name, lang, deviceType) {
     updateScreenshotList();
     if (state.screenshots.length === 1) {
         state.selectedIndex = 0;
+        // Show the mockup picked for it in the Device tab
+        syncUIWithState();
         // Show Magical Titles tooltip hint for first screenshot
         setTimeout(() => showMagicalTitlesTooltip(), 500);
     }
@@ -3946,6 +4545,20 @@ function createNewScreenshot(img, src, name, lang, deviceType) {
 
 let draggedScreenshotIndex = null;
 
+function selectScreenshot(index) {
+    state.selectedIndex = index;
+    updateScreenshotList();
+    // Sync all UI with current screenshot's settings
+    syncUIWithState();
+    updateGradientStopsUI();
+    // Update 3D texture if in 3D mode
+    const ss = getScreenshotSettings();
+    if (ss.use3D && typeof updateScreenTexture === 'function') {
+        updateScreenTexture();
+    }
+    updateCanvas();
+}
+
 function updateScreenshotList() {
     screenshotList.innerHTML = '';
     noScreenshot.style.display = state.screenshots.length === 0 ? 'block' : 'none';
@@ -4130,6 +4743,7 @@ function updateScreenshotList() {
                 }
 
                 // Reorder screenshots
+                recordHistoryStep('Reorder Screenshots');
                 const draggedItem = state.screenshots[draggedScreenshotIndex];
                 state.screenshots.splice(draggedScreenshotIndex, 1);
                 state.screenshots.splice(targetIndex, 0, draggedItem);
@@ -4163,17 +4777,7 @@ function updateScreenshotList() {
             }
 
             // Normal selection
-            state.selectedIndex = index;
-            updateScreenshotList();
-            // Sync all UI with current screenshot's settings
-            syncUIWithState();
-            updateGradientStopsUI();
-            // Update 3D texture if in 3D mode
-            const ss = getScreenshotSettings();
-            if (ss.use3D && typeof updateScreenTexture === 'function') {
-                updateScreenTexture();
-            }
-            updateCanvas();
+            selectScreenshot(index);
         });
 
         // Menu button handler
@@ -4237,6 +4841,7 @@ function updateScreenshotList() {
             deleteBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
                 menu?.classList.remove('open');
+                recordHistoryStep('Delete Screenshot');
                 state.screenshots.splice(index, 1);
                 if (state.selectedIndex >= state.screenshots.length) {
                     state.selectedIndex = Math.max(0, state.screenshots.length - 1);
@@ -4290,6 +4895,8 @@ function transferStyle(sourceIndex, targetIndex) {
         return;
     }
 
+    recordHistoryStep('Transfer Style');
+
     // Deep copy background settings
     target.background = JSON.parse(JSON.stringify(source.background));
     // Handle background image separately (not JSON serializable)
@@ -4299,6 +4906,7 @@ function transferStyle(sourceIndex, targetIndex) {
 
     // Deep copy screenshot settings
     target.screenshot = JSON.parse(JSON.stringify(source.screenshot));
+    target.layoutOverrides = JSON.parse(JSON.stringify(source.layoutOverrides || {}));
 
     // Copy text styling but preserve actual text content
     const targetHeadlines = target.text.headlines;
@@ -4308,6 +4916,9 @@ function transferStyle(sourceIndex, targetIndex) {
     target.text.headlines = targetHeadlines;
     target.text.subheadlines = targetSubheadlines;
 
+    // Same layer stack, with the source's added layers
+    target.layers = cloneLayers(getScreenshotLayers(source));
+
     // Reset transfer mode
     state.transferTarget = null;
 
@@ -4335,6 +4946,8 @@ function applyStyleToAll() {
         return;
     }
 
+    recordHistoryStep('Apply Style to All');
+
     // Apply style to all other screenshots
     state.screenshots.forEach((target, index) => {
         if (index === applyStyleSourceIndex) return; // Skip source
@@ -4348,6 +4961,7 @@ function applyStyleToAll() {
 
         // Deep copy screenshot settings
         target.screenshot = JSON.parse(JSON.stringify(source.screenshot));
+        target.layoutOverrides = JSON.parse(JSON.stringify(source.layoutOverrides || {}));
 
         // Copy text styling but preserve actual text content
         const targetHeadlines = target.text.headlines;
@@ -4484,8 +5098,33 @@ function getCanvasDimensions() {
 function updateCanvas() {
     saveState(); // Persist state on every update
     const dims = getCanvasDimensions();
-    canvas.width = dims.width;
-    canvas.height = dims.height;
+
+    // Without screenshots, the preview shows the project defaults
+    const current = getCurrentScreenshot();
+    const screenshot = current || state.defaults;
+    const text = screenshot.text;
+
+    renderScreenshot(screenshot, dims, state.currentLanguage, {
+        canvas: canvas,
+        projectLanguages: state.projectLanguages,
+        textLanguages: { headline: text.currentHeadlineLang, subheadline: text.currentSubheadlineLang },
+        layoutDevice: state.outputDevice,
+        panorama: current ? getPanoramaSlice(state.screenshots, state.selectedIndex) : null,
+        // The live 3D phone model shows the device the Device tab edits (draws nothing until it is
+        // loaded), other devices are drawn like in the side previews
+        drawDevice3D: current ? (target, d, image, settings, layer) => {
+            if (typeof renderThreeJSToCanvas !== 'function') return;
+            if (layer !== getEditedDeviceLayer()) {
+                renderThreeJSForScreenshot(target, d.width, d.height, state.selectedIndex, image, settings);
+                return;
+            }
+            if (!phoneModelLoaded) return;
+            if (typeof updateScreenTexture === 'function') {
+                updateScreenTexture();
+            }
+            renderThreeJSToCanvas(target, d.width, d.height, settings);
+        } : null
+    });
 
     // Scale for preview
     const maxPreviewWidth = 400;
@@ -4493,37 +5132,12 @@ function updateCanvas() {
     const scale = Math.min(maxPreviewWidth / dims.width, maxPreviewHeight / dims.height);
     canvas.style.width = (dims.width * scale) + 'px';
     canvas.style.height = (dims.height * scale) + 'px';
+    updatePreviewGuides();
+    updateManipulationOverlay();
 
-    // Draw background
-    drawBackground();
-
-    // Draw noise overlay on background if enabled
-    if (getBackground().noise) {
-        drawNoise();
-    }
-
-    // Draw screenshot (2D mode) or 3D phone model
-    if (state.screenshots.length > 0) {
-        const ss = getScreenshotSettings();
-        const use3D = ss.use3D || false;
-        if (use3D && typeof renderThreeJSToCanvas === 'function' && phoneModelLoaded) {
-            // In 3D mode, update the screen texture and render the phone model
-            if (typeof updateScreenTexture === 'function') {
-                updateScreenTexture();
-            }
-            renderThreeJSToCanvas(canvas, dims.width, dims.height);
-        } else if (!use3D) {
-            // In 2D mode, draw the screenshot normally
-            drawScreenshot();
-        }
-    }
-
-    // Draw text
-    drawText();
-
-    // Update side previews
-    updateSidePreviews();
-}
+    // Update side previews
+    updateSidePreviews();
+}
 
 function updateSidePreviews() {
     const dims = getCanvasDimensions();
@@ -4533,19 +5147,16 @@ function updateSidePreviews() {
     const previewScale = Math.min(maxPreviewWidth / dims.width, maxPreviewHeight / dims.height);
 
     // Initialize Three.js if any screenshot uses 3D mode (needed for side previews)
-    const any3D = state.screenshots.some(s => s.screenshot?.use3D);
+    const any3D = state.screenshots.some(s => getDevice3DModels(s).length > 0);
     if (any3D && typeof showThreeJS === 'function') {
         showThreeJS(true);
 
-        // Preload phone models for adjacent screenshots to prevent flicker
+        // Preload phone models for the current and adjacent screenshots to prevent flicker
         if (typeof loadCachedPhoneModel === 'function') {
-            const adjacentIndices = [state.selectedIndex - 1, state.selectedIndex + 1]
+            const nearbyIndices = [state.selectedIndex - 1, state.selectedIndex, state.selectedIndex + 1]
                 .filter(i => i >= 0 && i < state.screenshots.length);
-            adjacentIndices.forEach(i => {
-                const ss = state.screenshots[i]?.screenshot;
-                if (ss?.use3D && ss?.device3D) {
-                    loadCachedPhoneModel(ss.device3D);
-                }
+            nearbyIndices.forEach(i => {
+                getDevice3DModels(getSceneModel(state.screenshots, i)).forEach(model => loadCachedPhoneModel(model));
             });
         }
     }
@@ -4563,7 +5174,7 @@ function updateSidePreviews() {
         sidePreviewLeft.style.right = `calc(50% + ${sideOffset}px)`;
         // Skip render if already pre-rendered during slide transition
         if (!skipSidePreviewRender) {
-            renderScreenshotToCanvas(prevIndex, canvasLeft, ctxLeft, dims, previewScale);
+            renderScreenshotToCanvas(prevIndex, canvasLeft, dims, previewScale);
         }
         // Click to select previous with animation
         sidePreviewLeft.onclick = () => {
@@ -4579,7 +5190,7 @@ function updateSidePreviews() {
     if (farPrevIndex >= 0 && state.screenshots.length > 2) {
         sidePreviewFarLeft.classList.remove('hidden');
         sidePreviewFarLeft.style.right = `calc(50% + ${farSideOffset}px)`;
-        renderScreenshotToCanvas(farPrevIndex, canvasFarLeft, ctxFarLeft, dims, previewScale);
+        renderScreenshotToCanvas(farPrevIndex, canvasFarLeft, dims, previewScale);
     } else {
         sidePreviewFarLeft.classList.add('hidden');
     }
@@ -4591,7 +5202,7 @@ function updateSidePreviews() {
         sidePreviewRight.style.left = `calc(50% + ${sideOffset}px)`;
         // Skip render if already pre-rendered during slide transition
         if (!skipSidePreviewRender) {
-            renderScreenshotToCanvas(nextIndex, canvasRight, ctxRight, dims, previewScale);
+            renderScreenshotToCanvas(nextIndex, canvasRight, dims, previewScale);
         }
         // Click to select next with animation
         sidePreviewRight.onclick = () => {
@@ -4607,10 +5218,203 @@ function updateSidePreviews() {
     if (farNextIndex < state.screenshots.length && state.screenshots.length > 2) {
         sidePreviewFarRight.classList.remove('hidden');
         sidePreviewFarRight.style.left = `calc(50% + ${farSideOffset}px)`;
-        renderScreenshotToCanvas(farNextIndex, canvasFarRight, ctxFarRight, dims, previewScale);
+        renderScreenshotToCanvas(farNextIndex, canvasFarRight, dims, previewScale);
     } else {
         sidePreviewFarRight.classList.add('hidden');
     }
+
+    updatePanoramaSeams();
+}
+
+// Square off and mark the edges where the slices of a panorama meet
+function updatePanoramaSeams() {
+    [
+        [sidePreviewFarLeft, state.selectedIndex - 2],
+        [sidePreviewLeft, state.selectedIndex - 1],
+        [canvasWrapper, state.selectedIndex],
+        [sidePreviewRight, state.selectedIndex + 1],
+        [sidePreviewFarRight, state.selectedIndex + 2]
+    ].forEach(([preview, index]) => {
+        const panorama = index >= 0 && index < state.screenshots.length
+            ? getPanoramaSlice(state.screenshots, index)
+            : null;
+        preview.classList.toggle('panorama-joins-prev', !!panorama && panorama.slice > 0);
+        preview.classList.toggle('panorama-joins-next', !!panorama && panorama.slice < panorama.count - 1);
+    });
+}
+
+// ==========================================
+// Device Frames (device-frames.js)
+// ==========================================
+
+function initDeviceFrameControls() {
+    const select = document.getElementById('device-frame');
+    const groups = {};
+    Object.entries(DEVICE_FRAMES).forEach(([id, frame]) => {
+        if (!groups[frame.group]) {
+            groups[frame.group] = document.createElement('optgroup');
+            groups[frame.group].label = frame.group;
+            select.appendChild(groups[frame.group]);
+        }
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = frame.name;
+        groups[frame.group].appendChild(option);
+    });
+
+    const colors = document.getElementById('device-frame-colors');
+    Object.entries(DEVICE_FRAME_COLORS).forEach(([id, color]) => {
+        const button = document.createElement('button');
+        button.dataset.color = id;
+        button.textContent = color.name;
+        colors.appendChild(button);
+    });
+
+    select.addEventListener('change', () => {
+        setScreenshotSetting('deviceFrame', select.value);
+        updateDeviceFrameUI(getScreenshotSettings());
+        updateCanvas();
+    });
+
+    colors.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        setScreenshotSetting('deviceFrameColor', button.dataset.color);
+        updateDeviceFrameUI(getScreenshotSettings());
+        updateCanvas();
+    });
+}
+
+// A device frame has its own screen corners and bezel, so the corner radius and border are hidden
+function updateDeviceFrameUI(ss) {
+    const framed = !!getDeviceFrame(ss);
+    document.getElementById('device-frame').value = framed ? ss.deviceFrame : '';
+    document.querySelectorAll('#device-frame-colors button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.color === (ss.deviceFrameColor || 'black'));
+    });
+    document.getElementById('device-frame-color-group').style.display = framed ? 'block' : 'none';
+    document.getElementById('corner-radius-group').style.display = framed ? 'none' : 'block';
+    document.getElementById('border-settings').style.display = framed ? 'none' : 'block';
+    updateMockupAspectWarning();
+}
+
+// Preselect the mockup of the device a new screenshot comes from (see SOURCE_DEVICES), in the
+// mode the defaults use
+function applySourceDevice(settings, source) {
+    if (!source) return;
+    if (settings.use3D) {
+        if (source.device3D) settings.device3D = source.device3D;
+    } else if (source.frame) {
+        settings.deviceFrame = source.frame;
+    }
+}
+
+// Screen of the mockup a device is drawn in ({ name, aspect, fit }), null without a mockup
+function getMockupScreen(ss, img) {
+    if (ss.use3D) {
+        const config = typeof deviceConfigs !== 'undefined' && deviceConfigs[ss.device3D || 'iphone'];
+        return config ? { name: `${config.name} 3D model`, aspect: config.aspectRatio, fit: 'stretched' } : null;
+    }
+    const deviceFrame = getDeviceFrame(ss);
+    if (!deviceFrame) return null;
+    // Frames turn with landscape screenshots
+    const { width, height } = deviceFrame.frame.screen;
+    const aspect = img.width > img.height ? height / width : width / height;
+    return { name: deviceFrame.frame.name, aspect, fit: 'cropped' };
+}
+
+// Warn when the edited device's image doesn't have the shape of its mockup's screen
+function updateMockupAspectWarning() {
+    const warning = document.getElementById('mockup-aspect-warning');
+    const img = getCurrentScreenshot() ? getDeviceLayerImage(getEditedDeviceLayer()) : null;
+    const screen = img ? getMockupScreen(getScreenshotSettings(), img) : null;
+    if (!screen || matchesScreenAspect(img, screen.aspect)) {
+        warning.style.display = 'none';
+        return;
+    }
+    document.getElementById('mockup-aspect-text').textContent =
+        `This ${img.width} × ${img.height} screenshot doesn't have the shape of the ${screen.name} screen, ` +
+        `so it is ${screen.fit} to fit.`;
+    warning.style.display = 'flex';
+}
+
+// ==========================================
+// Preview Guides (preview-guides.js)
+// ==========================================
+
+// Enabled guides are a view preference of this browser, not part of the project
+let previewGuides = [];
+try {
+    previewGuides = JSON.parse(localStorage.getItem('previewGuides')) || [];
+} catch (e) {
+    previewGuides = [];
+}
+
+// Output size the guides are for, custom sizes that match a preset get its guides
+function getPreviewGuideDevice() {
+    if (state.outputDevice !== 'custom') return state.outputDevice;
+    return findDeviceForDimensions(getCanvasDimensions()) || 'custom';
+}
+
+function initPreviewGuideControls() {
+    const menu = document.getElementById('preview-guides-menu');
+    Object.entries(PREVIEW_GUIDES).forEach(([id, name]) => {
+        const label = document.createElement('label');
+        label.className = 'preview-guides-option';
+        label.innerHTML = `<input type="checkbox" value="${id}"> <span>${name}</span>`;
+        menu.appendChild(label);
+    });
+
+    menu.addEventListener('change', (e) => {
+        previewGuides = Array.from(menu.querySelectorAll('input:checked')).map(input => input.value);
+        localStorage.setItem('previewGuides', JSON.stringify(previewGuides));
+        updatePreviewGuides();
+    });
+
+    document.getElementById('preview-guides-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        menu.classList.toggle('visible');
+        updatePreviewGuidesMenu();
+    });
+
+    // Close guides menu when clicking outside
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.preview-guides-picker')) {
+            menu.classList.remove('visible');
+        }
+    });
+}
+
+// Check the enabled guides, guides for other output sizes can't be turned on
+function updatePreviewGuidesMenu() {
+    const device = getPreviewGuideDevice();
+    document.querySelectorAll('#preview-guides-menu input').forEach(input => {
+        const available = isPreviewGuideAvailable(input.value, device);
+        input.checked = previewGuides.includes(input.value);
+        input.disabled = !available;
+        input.parentElement.classList.toggle('disabled', !available);
+    });
+    document.getElementById('preview-guides-btn').classList.toggle('active', previewGuides.length > 0);
+}
+
+// Draw the guides over the preview canvas at its displayed size
+function updatePreviewGuides() {
+    const overlay = document.getElementById('preview-guides');
+    const dims = getCanvasDimensions();
+    const displayWidth = parseFloat(canvas.style.width) || dims.width;
+    const displayHeight = parseFloat(canvas.style.height) || dims.height;
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    overlay.style.width = displayWidth + 'px';
+    overlay.style.height = displayHeight + 'px';
+    overlay.width = Math.round(displayWidth * pixelRatio);
+    overlay.height = Math.round(displayHeight * pixelRatio);
+    overlay.style.display = previewGuides.length > 0 ? '' : 'none';
+    if (previewGuides.length === 0) return;
+
+    const context = overlay.getContext('2d');
+    context.scale(pixelRatio, pixelRatio);
+    drawPreviewGuides(context, dims, getPreviewGuideDevice(), previewGuides, displayWidth / dims.width);
 }
 
 function slideToScreenshot(newIndex, direction) {
@@ -4629,11 +5433,10 @@ function slideToScreenshot(newIndex, direction) {
     // Collect model loading promises for new active AND adjacent screenshots
     const modelPromises = [];
     [newIndex, newPrevIndex, newNextIndex].forEach(index => {
-        if (index >= 0 && index < state.screenshots.length) {
-            const ss = state.screenshots[index]?.screenshot;
-            if (ss?.use3D && ss?.device3D && typeof loadCachedPhoneModel === 'function') {
-                modelPromises.push(loadCachedPhoneModel(ss.device3D).catch(() => null));
-            }
+        if (index >= 0 && index < state.screenshots.length && typeof loadCachedPhoneModel === 'function') {
+            getDevice3DModels(getSceneModel(state.screenshots, index)).forEach(model => {
+                modelPromises.push(loadCachedPhoneModel(model).catch(() => null));
+            });
         }
     });
 
@@ -4656,8 +5459,7 @@ function slideToScreenshot(newIndex, direction) {
         const prerenderToTemp = (index, targetCanvas) => {
             if (index < 0 || index >= state.screenshots.length) return null;
             const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            renderScreenshotToCanvas(index, tempCanvas, tempCtx, dims, previewScale);
+            renderScreenshotToCanvas(index, tempCanvas, dims, previewScale);
             return { tempCanvas, targetCanvas };
         };
 
@@ -4712,7 +5514,7 @@ function slideToScreenshot(newIndex, direction) {
     });
 }
 
-function renderScreenshotToCanvas(index, targetCanvas, targetCtx, dims, previewScale) {
+function renderScreenshotToCanvas(index, targetCanvas, dims, previewScale) {
     const screenshot = state.screenshots[index];
     if (!screenshot) return;
 
@@ -4720,906 +5522,714 @@ function renderScreenshotToCanvas(index, targetCanvas, targetCtx, dims, previewS
     const img = getScreenshotImage(screenshot);
     if (!img) return;
 
-    // Set canvas size (this also clears the canvas)
-    targetCanvas.width = dims.width;
-    targetCanvas.height = dims.height;
+    renderScreenshot(screenshot, dims, state.currentLanguage, {
+        canvas: targetCanvas,
+        projectLanguages: state.projectLanguages,
+        textLanguages: { headline: screenshot.text.currentHeadlineLang, subheadline: screenshot.text.currentSubheadlineLang },
+        layoutDevice: state.outputDevice,
+        panorama: getPanoramaSlice(state.screenshots, index),
+        // 3D if the phone model is ready, otherwise drawn flat
+        drawDevice3D: typeof renderThreeJSForScreenshot === 'function' && phoneModelLoaded
+            ? (target, d, image, settings) => renderThreeJSForScreenshot(target, d.width, d.height, index, image, settings)
+            : null
+    });
+
     targetCanvas.style.width = (dims.width * previewScale) + 'px';
     targetCanvas.style.height = (dims.height * previewScale) + 'px';
-
-    // Clear canvas explicitly
-    targetCtx.clearRect(0, 0, dims.width, dims.height);
-
-    // Draw background for this screenshot
-    const bg = screenshot.background;
-    drawBackgroundToContext(targetCtx, dims, bg);
-
-    // Draw noise if enabled
-    if (bg.noise) {
-        drawNoiseToContext(targetCtx, dims, bg.noiseIntensity);
-    }
-
-    // Draw screenshot - 3D if active for this screenshot, otherwise 2D
-    const settings = screenshot.screenshot;
-    const use3D = settings.use3D || false;
-
-    if (use3D && typeof renderThreeJSForScreenshot === 'function' && phoneModelLoaded) {
-        // Render 3D phone model for this specific screenshot
-        renderThreeJSForScreenshot(targetCanvas, dims.width, dims.height, index);
-    } else {
-        // Draw 2D screenshot using localized image
-        drawScreenshotToContext(targetCtx, dims, img, settings);
-    }
-
-    // Draw text
-    const txt = screenshot.text;
-    drawTextToContext(targetCtx, dims, txt);
 }
 
-function drawBackgroundToContext(context, dims, bg) {
-    if (bg.type === 'gradient') {
-        const angle = bg.gradient.angle * Math.PI / 180;
-        const x1 = dims.width / 2 - Math.cos(angle) * dims.width;
-        const y1 = dims.height / 2 - Math.sin(angle) * dims.height;
-        const x2 = dims.width / 2 + Math.cos(angle) * dims.width;
-        const y2 = dims.height / 2 + Math.sin(angle) * dims.height;
-
-        const gradient = context.createLinearGradient(x1, y1, x2, y2);
-        bg.gradient.stops.forEach(stop => {
-            gradient.addColorStop(stop.position / 100, stop.color);
-        });
-
-        context.fillStyle = gradient;
-        context.fillRect(0, 0, dims.width, dims.height);
-    } else if (bg.type === 'solid') {
-        context.fillStyle = bg.solid;
-        context.fillRect(0, 0, dims.width, dims.height);
-    } else if (bg.type === 'image' && bg.image) {
-        const img = bg.image;
-        let sx = 0, sy = 0, sw = img.width, sh = img.height;
-        let dx = 0, dy = 0, dw = dims.width, dh = dims.height;
-
-        if (bg.imageFit === 'cover') {
-            const imgRatio = img.width / img.height;
-            const canvasRatio = dims.width / dims.height;
-
-            if (imgRatio > canvasRatio) {
-                sw = img.height * canvasRatio;
-                sx = (img.width - sw) / 2;
-            } else {
-                sh = img.width / canvasRatio;
-                sy = (img.height - sh) / 2;
-            }
-        } else if (bg.imageFit === 'contain') {
-            const imgRatio = img.width / img.height;
-            const canvasRatio = dims.width / dims.height;
-
-            if (imgRatio > canvasRatio) {
-                dh = dims.width / imgRatio;
-                dy = (dims.height - dh) / 2;
-            } else {
-                dw = dims.height * imgRatio;
-                dx = (dims.width - dw) / 2;
-            }
-
-            context.fillStyle = '#000';
-            context.fillRect(0, 0, dims.width, dims.height);
-        }
-
-        if (bg.imageBlur > 0) {
-            context.filter = `blur(${bg.imageBlur}px)`;
-        }
-
-        context.drawImage(img, sx, sy, sw, sh, dx, dy, dw, dh);
-        context.filter = 'none';
-
-        if (bg.overlayOpacity > 0) {
-            context.fillStyle = bg.overlayColor;
-            context.globalAlpha = bg.overlayOpacity / 100;
-            context.fillRect(0, 0, dims.width, dims.height);
-            context.globalAlpha = 1;
-        }
-    }
+// Render a screenshot at full size in a language, for export
+function renderScreenshotForExport(index, lang, dims = getCanvasDimensions(), layoutDevice = state.outputDevice) {
+    return renderScreenshot(state.screenshots[index], dims, lang, {
+        canvas: document.createElement('canvas'),
+        projectLanguages: state.projectLanguages,
+        layoutDevice,
+        panorama: getPanoramaSlice(state.screenshots, index),
+        drawDevice3D: typeof renderThreeJSForScreenshot === 'function'
+            ? (target, d, image, settings) => renderThreeJSForScreenshot(target, d.width, d.height, index, image, settings)
+            : null
+    });
 }
 
-function drawNoiseToContext(context, dims, intensity) {
-    const imageData = context.getImageData(0, 0, dims.width, dims.height);
-    const data = imageData.data;
-    const noiseAmount = intensity / 100;
+// Load the phone models used by 3D screenshots, so exports don't skip them
+async function loadExportPhoneModels() {
+    if (typeof loadCachedPhoneModel !== 'function') return;
 
-    for (let i = 0; i < data.length; i += 4) {
-        const noise = (Math.random() - 0.5) * 255 * noiseAmount;
-        data[i] = Math.max(0, Math.min(255, data[i] + noise));
-        data[i + 1] = Math.max(0, Math.min(255, data[i + 1] + noise));
-        data[i + 2] = Math.max(0, Math.min(255, data[i + 2] + noise));
+    const deviceTypes = new Set(state.screenshots.flatMap(s => getDevice3DModels(s)));
+    for (const deviceType of deviceTypes) {
+        await loadCachedPhoneModel(deviceType).catch(() => null);
     }
-
-    context.putImageData(imageData, 0, 0);
 }
 
-function drawScreenshotToContext(context, dims, img, settings) {
-    if (!img) return;
-
-    const scale = settings.scale / 100;
-    let imgWidth = dims.width * scale;
-    let imgHeight = (img.height / img.width) * imgWidth;
-
-    if (imgHeight > dims.height * scale) {
-        imgHeight = dims.height * scale;
-        imgWidth = (img.width / img.height) * imgHeight;
+async function exportCurrent() {
+    if (state.screenshots.length === 0) {
+        alert('Please upload a screenshot first');
+        return;
     }
 
-    const x = (dims.width - imgWidth) * (settings.x / 100);
-    const y = (dims.height - imgHeight) * (settings.y / 100);
-    const centerX = x + imgWidth / 2;
-    const centerY = y + imgHeight / 2;
-
-    context.save();
+    // Ensure canvas is up-to-date (especially important for 3D mode)
+    updateCanvas();
 
-    // Apply transformations
-    context.translate(centerX, centerY);
+    // A single download can't create folders
+    const template = getExportNamingTemplate(state.exportNaming, 'screenshot-{index}');
+    const fileName = getExportJobPath({ index: state.selectedIndex, lang: state.currentLanguage }, template).replace(/\//g, '_');
 
-    // Apply rotation
-    if (settings.rotation !== 0) {
-        context.rotate(settings.rotation * Math.PI / 180);
+    let blob;
+    try {
+        blob = await encodeExportImage(canvas, getExportFormat());
+    } catch (error) {
+        console.error('Export failed:', error);
+        await showAppAlert(`Export failed: ${error.message}`, 'error');
+        return;
     }
 
-    // Apply perspective (simulated with scale transform)
-    if (settings.perspective !== 0) {
-        context.transform(1, settings.perspective * 0.01, 0, 1, 0, 0);
-    }
+    const link = document.createElement('a');
+    link.download = fileName;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
-    context.translate(-centerX, -centerY);
-
-    // Scale corner radius with image size
-    const radius = (settings.cornerRadius || 0) * (imgWidth / 400);
-
-    // Draw shadow first (needs a filled shape, not clipped)
-    if (settings.shadow && settings.shadow.enabled) {
-        const shadowOpacity = settings.shadow.opacity / 100;
-        const shadowColor = settings.shadow.color + Math.round(shadowOpacity * 255).toString(16).padStart(2, '0');
-        context.shadowColor = shadowColor;
-        context.shadowBlur = settings.shadow.blur;
-        context.shadowOffsetX = settings.shadow.x;
-        context.shadowOffsetY = settings.shadow.y;
-
-        // Draw filled rounded rect for shadow
-        context.fillStyle = '#000';
-        context.beginPath();
-        context.roundRect(x, y, imgWidth, imgHeight, radius);
-        context.fill();
-
-        // Reset shadow before drawing image
-        context.shadowColor = 'transparent';
-        context.shadowBlur = 0;
-        context.shadowOffsetX = 0;
-        context.shadowOffsetY = 0;
+async function exportAll() {
+    if (state.screenshots.length === 0) {
+        alert('Please upload screenshots first');
+        return;
     }
 
-    // Clip and draw image
-    context.beginPath();
-    context.roundRect(x, y, imgWidth, imgHeight, radius);
-    context.clip();
-    context.drawImage(img, x, y, imgWidth, imgHeight);
-
-    context.restore();
-
-    // Draw device frame if enabled
-    if (settings.frame && settings.frame.enabled) {
-        context.save();
-        context.translate(centerX, centerY);
-        if (settings.rotation !== 0) {
-            context.rotate(settings.rotation * Math.PI / 180);
-        }
-        if (settings.perspective !== 0) {
-            context.transform(1, settings.perspective * 0.01, 0, 1, 0, 0);
+    // Show export choice dialog (languages, or several sizes at once)
+    updateExportNamingUI();
+    updateExportFormatUI();
+    runStoreCheck();
+    showExportLanguageDialog(async (choice) => {
+        if (choice === 'current') {
+            await exportAllForLanguage(state.currentLanguage);
+        } else if (choice === 'all') {
+            await exportAllLanguages();
+        } else if (choice === 'matrix') {
+            showExportMatrixDialog('folders');
+        } else if (choice === 'fastlane') {
+            showExportMatrixDialog('fastlane');
         }
-        context.translate(-centerX, -centerY);
-        drawDeviceFrameToContext(context, x, y, imgWidth, imgHeight, settings);
-        context.restore();
-    }
+    });
 }
 
-function drawDeviceFrameToContext(context, x, y, width, height, settings) {
-    const frameColor = settings.frame.color;
-    const frameWidth = settings.frame.width * (width / 400);
-    const frameOpacity = settings.frame.opacity / 100;
-    const radius = (settings.cornerRadius || 0) * (width / 400) + frameWidth;
+// Show export progress modal
+function showExportProgress(status, detail, percent) {
+    const modal = document.getElementById('export-progress-modal');
+    const statusEl = document.getElementById('export-progress-status');
+    const detailEl = document.getElementById('export-progress-detail');
+    const fillEl = document.getElementById('export-progress-fill');
 
-    context.globalAlpha = frameOpacity;
-    context.strokeStyle = frameColor;
-    context.lineWidth = frameWidth;
-    context.beginPath();
-    context.roundRect(x - frameWidth / 2, y - frameWidth / 2, width + frameWidth, height + frameWidth, radius);
-    context.stroke();
-    context.globalAlpha = 1;
+    if (modal) modal.classList.add('visible');
+    if (statusEl) statusEl.textContent = status;
+    if (detailEl) detailEl.textContent = detail || '';
+    if (fillEl && percent !== undefined) fillEl.style.width = `${percent}%`;
 }
 
-function drawTextToContext(context, dims, txt) {
-    // Check enabled states (default headline to true for backwards compatibility)
-    const headlineEnabled = txt.headlineEnabled !== false;
-    const subheadlineEnabled = txt.subheadlineEnabled || false;
-
-    const headline = headlineEnabled && txt.headlines ? (txt.headlines[txt.currentHeadlineLang || 'en'] || '') : '';
-    const subheadline = subheadlineEnabled && txt.subheadlines ? (txt.subheadlines[txt.currentSubheadlineLang || 'en'] || '') : '';
-
-    if (!headline && !subheadline) return;
-
-    const padding = dims.width * 0.08;
-    const textY = txt.position === 'top'
-        ? dims.height * (txt.offsetY / 100)
-        : dims.height * (1 - txt.offsetY / 100);
-
-    context.textAlign = 'center';
-    context.textBaseline = txt.position === 'top' ? 'top' : 'bottom';
-
-    let currentY = textY;
+// Hide export progress modal
+function hideExportProgress() {
+    const modal = document.getElementById('export-progress-modal');
+    if (modal) modal.classList.remove('visible');
+}
 
-    // Draw headline
-    if (headline) {
-        const fontStyle = txt.headlineItalic ? 'italic' : 'normal';
-        context.font = `${fontStyle} ${txt.headlineWeight} ${txt.headlineSize}px ${txt.headlineFont}`;
-        context.fillStyle = txt.headlineColor;
+let exportAbortController = null;  // Set while a batch export is rendering
+let exportSummaryResolve = null;
 
-        const lines = wrapText(context, headline, dims.width - padding * 2);
-        const lineHeight = txt.headlineSize * (txt.lineHeight / 100);
+function setExportCancelable(cancelable) {
+    const cancelBtn = document.getElementById('export-progress-cancel');
+    if (cancelBtn) cancelBtn.disabled = !cancelable;
+}
 
-        // For bottom positioning, offset currentY so lines draw correctly
-        if (txt.position === 'bottom') {
-            currentY -= (lines.length - 1) * lineHeight;
-        }
+// Cancel the batch export that is rendering
+function cancelExport() {
+    if (!exportAbortController) return;
+    exportAbortController.abort();
+    setExportCancelable(false);
+    showExportProgress('Canceling...', '');
+}
 
-        let lastLineY;
-        lines.forEach((line, i) => {
-            const y = currentY + i * lineHeight;
-            lastLineY = y;
-            context.fillText(line, dims.width / 2, y);
-
-            // Calculate text metrics for decorations
-            const textWidth = context.measureText(line).width;
-            const fontSize = txt.headlineSize;
-            const lineThickness = Math.max(2, fontSize * 0.05);
-            const x = dims.width / 2 - textWidth / 2;
-
-            // Draw underline
-            if (txt.headlineUnderline) {
-                const underlineY = txt.position === 'top'
-                    ? y + fontSize * 0.9
-                    : y + fontSize * 0.1;
-                context.fillRect(x, underlineY, textWidth, lineThickness);
-            }
+// Describe an export job for the failure summary
+function describeExportJob(job) {
+    const langName = languageNames[job.lang] || job.lang.toUpperCase();
+    const prefix = job.deviceName ? `${job.deviceName}, ` : '';
+    return `${prefix}${langName} – Screenshot ${job.index + 1}`;
+}
 
-            // Draw strikethrough
-            if (txt.headlineStrikethrough) {
-                const strikeY = txt.position === 'top'
-                    ? y + fontSize * 0.4
-                    : y - fontSize * 0.4;
-                context.fillRect(x, strikeY, textWidth, lineThickness);
-            }
-        });
+/**
+ * Show the screenshots that failed to export
+ * @param {Array<{job: Object, error: Error}>} failures - Failed export jobs
+ * @param {number} exportedCount - Number of screenshots that did export
+ * @returns {Promise<boolean>} Whether to download the ZIP with the exported screenshots
+ */
+function showExportSummary(failures, exportedCount) {
+    const total = failures.length + exportedCount;
+    document.getElementById('export-summary-message').textContent = exportedCount > 0
+        ? `${failures.length} of ${total} screenshots could not be exported. You can still download the other ${exportedCount}.`
+        : 'None of the screenshots could be exported.';
+
+    const list = document.getElementById('export-failure-list');
+    list.innerHTML = '';
+    failures.forEach(({ job, error }) => {
+        const item = document.createElement('li');
+        const title = document.createElement('span');
+        title.className = 'export-failure-item';
+        title.textContent = describeExportJob(job);
+        const reason = document.createElement('span');
+        reason.className = 'export-failure-reason';
+        reason.textContent = error?.message || String(error);
+        item.append(title, reason);
+        list.appendChild(item);
+    });
+
+    document.getElementById('export-summary-download').style.display = exportedCount > 0 ? '' : 'none';
+    document.getElementById('export-summary-modal').classList.add('visible');
+
+    return new Promise(resolve => {
+        exportSummaryResolve = resolve;
+    });
+}
 
-        // Track where subheadline should start (below the bottom edge of headline)
-        // The gap between headline and subheadline should be (lineHeight - fontSize)
-        // This is the "extra" spacing beyond the text itself
-        const gap = lineHeight - txt.headlineSize;
-        if (txt.position === 'top') {
-            // For top: lastLineY is top of last line, add fontSize to get bottom, then add gap
-            currentY = lastLineY + txt.headlineSize + gap;
-        } else {
-            // For bottom: lastLineY is already the bottom of last line, just add gap
-            currentY = lastLineY + gap;
-        }
+function closeExportSummary(download) {
+    document.getElementById('export-summary-modal').classList.remove('visible');
+    if (exportSummaryResolve) {
+        exportSummaryResolve(download);
+        exportSummaryResolve = null;
     }
+}
 
-    // Draw subheadline (always below headline visually)
-    if (subheadline) {
-        const subFontStyle = txt.subheadlineItalic ? 'italic' : 'normal';
-        const subWeight = txt.subheadlineWeight || '400';
-        context.font = `${subFontStyle} ${subWeight} ${txt.subheadlineSize}px ${txt.subheadlineFont || txt.headlineFont}`;
-        context.fillStyle = hexToRgba(txt.subheadlineColor, txt.subheadlineOpacity / 100);
-
-        const lines = wrapText(context, subheadline, dims.width - padding * 2);
-        const subLineHeight = txt.subheadlineSize * 1.4;
-
-        // Subheadline starts after headline with gap determined by headline lineHeight
-        // For bottom position, switch to 'top' baseline so subheadline draws downward
-        const subY = currentY;
-        if (txt.position === 'bottom') {
-            context.textBaseline = 'top';
-        }
-
-        lines.forEach((line, i) => {
-            const y = subY + i * subLineHeight;
-            context.fillText(line, dims.width / 2, y);
-
-            // Calculate text metrics for decorations
-            const textWidth = context.measureText(line).width;
-            const fontSize = txt.subheadlineSize;
-            const lineThickness = Math.max(2, fontSize * 0.05);
-            const x = dims.width / 2 - textWidth / 2;
-
-            // Draw underline (using 'top' baseline for subheadline)
-            if (txt.subheadlineUnderline) {
-                const underlineY = y + fontSize * 0.9;
-                context.fillRect(x, underlineY, textWidth, lineThickness);
-            }
-
-            // Draw strikethrough
-            if (txt.subheadlineStrikethrough) {
-                const strikeY = y + fontSize * 0.4;
-                context.fillRect(x, strikeY, textWidth, lineThickness);
+/**
+ * Render export jobs and download them as a ZIP
+ * Screenshots that fail are listed afterwards, with the option to download the rest.
+ * @param {Object[]} jobs - Export jobs ({ index, lang }), with an optional naming template of their own
+ * @param {string} zipName - Download file name
+ * @param {string} [template] - Naming template for the files in the ZIP
+ */
+async function exportImagesToZip(jobs, zipName, template) {
+    exportAbortController = new AbortController();
+    setExportCancelable(true);
+
+    let result;
+    try {
+        result = await renderExportImages(jobs, {
+            signal: exportAbortController.signal,
+            format: getExportFormat(),
+            onProgress: (completed, total) => {
+                const percent = Math.round((completed / total) * 90); // Reserve 10% for ZIP generation
+                showExportProgress('Exporting...', `Screenshot ${completed} of ${total}`, percent);
             }
         });
-
-        // Restore baseline if we changed it
-        if (txt.position === 'bottom') {
-            context.textBaseline = 'bottom';
+    } catch (error) {
+        hideExportProgress();
+        if (error.name !== 'AbortError') {
+            console.error('Export failed:', error);
+            await showAppAlert(`Export failed: ${error.message}`, 'error');
         }
+        return;
+    } finally {
+        exportAbortController = null;
+        setExportCancelable(false);
     }
-}
-
-function drawBackground() {
-    const dims = getCanvasDimensions();
-    const bg = getBackground();
 
-    if (bg.type === 'gradient') {
-        const angle = bg.gradient.angle * Math.PI / 180;
-        const x1 = dims.width / 2 - Math.cos(angle) * dims.width;
-        const y1 = dims.height / 2 - Math.sin(angle) * dims.height;
-        const x2 = dims.width / 2 + Math.cos(angle) * dims.width;
-        const y2 = dims.height / 2 + Math.sin(angle) * dims.height;
-
-        const gradient = ctx.createLinearGradient(x1, y1, x2, y2);
-        bg.gradient.stops.forEach(stop => {
-            gradient.addColorStop(stop.position / 100, stop.color);
-        });
+    const zip = new JSZip();
+    const paths = makeUniqueExportPaths(jobs.map(job => getExportJobPath(job, job.template || template)));
+    jobs.forEach((job, i) => {
+        if (result.images[i]) zip.file(paths[i], result.images[i]);
+    });
+    const exportedCount = result.images.filter(Boolean).length;
 
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, dims.width, dims.height);
-    } else if (bg.type === 'solid') {
-        ctx.fillStyle = bg.solid;
-        ctx.fillRect(0, 0, dims.width, dims.height);
-    } else if (bg.type === 'image' && bg.image) {
-        const img = bg.image;
-        let sx = 0, sy = 0, sw = img.width, sh = img.height;
-        let dx = 0, dy = 0, dw = dims.width, dh = dims.height;
-
-        if (bg.imageFit === 'cover') {
-            const imgRatio = img.width / img.height;
-            const canvasRatio = dims.width / dims.height;
-
-            if (imgRatio > canvasRatio) {
-                sw = img.height * canvasRatio;
-                sx = (img.width - sw) / 2;
-            } else {
-                sh = img.width / canvasRatio;
-                sy = (img.height - sh) / 2;
-            }
-        } else if (bg.imageFit === 'contain') {
-            const imgRatio = img.width / img.height;
-            const canvasRatio = dims.width / dims.height;
+    if (result.failures.length > 0) {
+        hideExportProgress();
+        const download = await showExportSummary(result.failures, exportedCount);
+        if (!download) return;
+        showExportProgress('Generating ZIP...', '', 95);
+    } else {
+        showExportProgress('Generating ZIP...', '', 95);
+    }
 
-            if (imgRatio > canvasRatio) {
-                dh = dims.width / imgRatio;
-                dy = (dims.height - dh) / 2;
-            } else {
-                dw = dims.height * imgRatio;
-                dx = (dims.width - dw) / 2;
-            }
+    const content = await zip.generateAsync({ type: 'blob' });
 
-            ctx.fillStyle = '#000';
-            ctx.fillRect(0, 0, dims.width, dims.height);
-        }
+    showExportProgress('Complete!', '', 100);
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    hideExportProgress();
 
-        if (bg.imageBlur > 0) {
-            ctx.filter = `blur(${bg.imageBlur}px)`;
-        }
+    const link = document.createElement('a');
+    link.download = zipName;
+    link.href = URL.createObjectURL(content);
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
-        ctx.drawImage(img, sx, sy, sw, sh, dx, dy, dw, dh);
-        ctx.filter = 'none';
+// Export all screenshots for a specific language
+async function exportAllForLanguage(lang) {
+    const langName = languageNames[lang] || lang.toUpperCase();
+    showExportProgress('Exporting...', `Preparing ${langName} screenshots`, 0);
 
-        // Overlay
-        if (bg.overlayOpacity > 0) {
-            ctx.fillStyle = bg.overlayColor;
-            ctx.globalAlpha = bg.overlayOpacity / 100;
-            ctx.fillRect(0, 0, dims.width, dims.height);
-            ctx.globalAlpha = 1;
-        }
-    }
+    const jobs = state.screenshots.map((_, i) => ({ index: i, lang }));
+    await exportImagesToZip(jobs, `screenshots-${lang}.zip`, getExportNamingTemplate(state.exportNaming, 'screenshot-{index}'));
 }
 
-function drawScreenshot() {
-    const dims = getCanvasDimensions();
-    const screenshot = state.screenshots[state.selectedIndex];
-    if (!screenshot) return;
-
-    // Use localized image based on current language
-    const img = getScreenshotImage(screenshot);
-    if (!img) return;
+// Export all screenshots for all languages (separate folders)
+async function exportAllLanguages() {
+    showExportProgress('Exporting...', 'Preparing all languages', 0);
 
-    const settings = getScreenshotSettings();
-    const scale = settings.scale / 100;
+    const jobs = [];
+    state.projectLanguages.forEach(lang => {
+        state.screenshots.forEach((_, i) => jobs.push({ index: i, lang }));
+    });
 
-    // Calculate scaled dimensions
-    let imgWidth = dims.width * scale;
-    let imgHeight = (img.height / img.width) * imgWidth;
+    // Use language code as folder name
+    const template = getExportNamingTemplate(state.exportNaming, '{lang}/screenshot-{index}', {
+        languages: state.projectLanguages.length > 1
+    });
+    await exportImagesToZip(jobs, 'screenshots-all-languages.zip', template);
+}
 
-    // If image is taller than canvas after scaling, adjust
-    if (imgHeight > dims.height * scale) {
-        imgHeight = dims.height * scale;
-        imgWidth = (img.width / img.height) * imgHeight;
-    }
+// ==========================================
+// Export File Naming
+// ==========================================
 
-    const x = (dims.width - imgWidth) * (settings.x / 100);
-    const y = (dims.height - imgHeight) * (settings.y / 100);
+// Output size as used in export file names (custom sizes include their dimensions)
+function getOutputDeviceId() {
+    return state.outputDevice === 'custom'
+        ? `custom-${state.customWidth}x${state.customHeight}`
+        : state.outputDevice;
+}
 
-    // Center point for transformations
-    const centerX = x + imgWidth / 2;
-    const centerY = y + imgHeight / 2;
+// File path of an export job inside the ZIP
+function getExportJobPath(job, template) {
+    const dims = job.dims || getCanvasDimensions();
+    return getExportFilePath(template, {
+        index: job.index + 1,
+        name: state.screenshots[job.index]?.name,
+        lang: job.lang,
+        device: job.device || getOutputDeviceId(),
+        width: dims.width,
+        height: dims.height
+    }, state.exportFormat);
+}
 
-    ctx.save();
+function initExportNamingControls() {
+    const presetSelect = document.getElementById('export-naming-preset');
+    Object.entries(EXPORT_NAMING_PRESETS).forEach(([id, preset]) => {
+        presetSelect.add(new Option(preset.name, id));
+    });
+    presetSelect.add(new Option('Custom', 'custom'));
 
-    // Apply transformations
-    ctx.translate(centerX, centerY);
+    presetSelect.addEventListener('change', () => {
+        const preset = EXPORT_NAMING_PRESETS[presetSelect.value];
+        if (preset) {
+            recordHistoryStep('Change File Naming');
+            state.exportNaming = preset.template;
+            saveState();
+            updateExportNamingUI();
+        } else {
+            document.getElementById('export-naming-template').focus();
+        }
+    });
 
-    // Apply rotation
-    if (settings.rotation !== 0) {
-        ctx.rotate(settings.rotation * Math.PI / 180);
-    }
+    document.getElementById('export-naming-template').addEventListener('input', (e) => {
+        markHistoryEdit('exportNaming');
+        state.exportNaming = e.target.value.trim() || null;
+        saveState();
+        updateExportNamingUI(false);
+    });
+}
 
-    // Apply perspective (simulated with scale transform)
-    if (settings.perspective !== 0) {
-        const perspectiveScale = 1 - Math.abs(settings.perspective) * 0.005;
-        ctx.transform(1, settings.perspective * 0.01, 0, 1, 0, 0);
+// Show the project's naming template and an example file name
+function updateExportNamingUI(updateInput = true) {
+    const template = state.exportNaming || '';
+    const presetId = Object.keys(EXPORT_NAMING_PRESETS)
+        .find(id => (EXPORT_NAMING_PRESETS[id].template || '') === template);
+    const presetSelect = document.getElementById('export-naming-preset');
+    // Keep "Custom" selected while a custom template is being typed
+    if (presetSelect.value !== 'custom' || template) {
+        presetSelect.value = presetId || 'custom';
     }
-
-    ctx.translate(-centerX, -centerY);
-
-    // Draw rounded rectangle with screenshot
-    const radius = settings.cornerRadius * (imgWidth / 400); // Scale radius with image
-
-    // Draw shadow first (needs a filled shape, not clipped)
-    if (settings.shadow.enabled) {
-        const shadowColor = hexToRgba(settings.shadow.color, settings.shadow.opacity / 100);
-        ctx.shadowColor = shadowColor;
-        ctx.shadowBlur = settings.shadow.blur;
-        ctx.shadowOffsetX = settings.shadow.x;
-        ctx.shadowOffsetY = settings.shadow.y;
-
-        // Draw filled rounded rect for shadow
-        ctx.fillStyle = '#000';
-        ctx.beginPath();
-        roundRect(ctx, x, y, imgWidth, imgHeight, radius);
-        ctx.fill();
-
-        // Reset shadow before drawing image
-        ctx.shadowColor = 'transparent';
-        ctx.shadowBlur = 0;
-        ctx.shadowOffsetX = 0;
-        ctx.shadowOffsetY = 0;
+    if (updateInput) {
+        document.getElementById('export-naming-template').value = template;
     }
 
-    // Clip and draw image
-    ctx.beginPath();
-    roundRect(ctx, x, y, imgWidth, imgHeight, radius);
-    ctx.clip();
-    ctx.drawImage(img, x, y, imgWidth, imgHeight);
-
-    ctx.restore();
-
-    // Draw device frame if enabled (needs separate transform context)
-    if (settings.frame.enabled) {
-        ctx.save();
-        ctx.translate(centerX, centerY);
-        if (settings.rotation !== 0) {
-            ctx.rotate(settings.rotation * Math.PI / 180);
-        }
-        if (settings.perspective !== 0) {
-            ctx.transform(1, settings.perspective * 0.01, 0, 1, 0, 0);
-        }
-        ctx.translate(-centerX, -centerY);
-        drawDeviceFrame(x, y, imgWidth, imgHeight);
-        ctx.restore();
-    }
+    const example = getExportJobPath({ index: 0, lang: state.currentLanguage }, template || 'screenshot-{index}');
+    document.getElementById('export-naming-example').textContent = `e.g. ${example}`;
 }
 
-function drawDeviceFrame(x, y, width, height) {
-    const settings = getScreenshotSettings();
-    const frameColor = settings.frame.color;
-    const frameWidth = settings.frame.width * (width / 400); // Scale with image
-    const frameOpacity = settings.frame.opacity / 100;
-    const radius = settings.cornerRadius * (width / 400) + frameWidth;
-
-    ctx.globalAlpha = frameOpacity;
-    ctx.strokeStyle = frameColor;
-    ctx.lineWidth = frameWidth;
-    ctx.beginPath();
-    roundRect(ctx, x - frameWidth / 2, y - frameWidth / 2, width + frameWidth, height + frameWidth, radius);
-    ctx.stroke();
-    ctx.globalAlpha = 1;
+// Image format of exports, as encodeExportImage() takes it
+function getExportFormat() {
+    const { type, quality, maxSizeKB } = state.exportFormat;
+    return { type, quality, maxBytes: maxSizeKB > 0 ? maxSizeKB * 1024 : 0 };
 }
 
-function drawText() {
-    const dims = getCanvasDimensions();
-    const text = getTextSettings();
-
-    // Check enabled states (default headline to true for backwards compatibility)
-    const headlineEnabled = text.headlineEnabled !== false;
-    const subheadlineEnabled = text.subheadlineEnabled || false;
-
-    // Get current language text (only if enabled)
-    const headline = headlineEnabled && text.headlines ? (text.headlines[text.currentHeadlineLang || 'en'] || '') : '';
-    const subheadline = subheadlineEnabled && text.subheadlines ? (text.subheadlines[text.currentSubheadlineLang || 'en'] || '') : '';
-
-    if (!headline && !subheadline) return;
-
-    const padding = dims.width * 0.08;
-    const textY = text.position === 'top'
-        ? dims.height * (text.offsetY / 100)
-        : dims.height * (1 - text.offsetY / 100);
-
-    ctx.textAlign = 'center';
-    ctx.textBaseline = text.position === 'top' ? 'top' : 'bottom';
-
-    let currentY = textY;
-
-    // Draw headline
-    if (headline) {
-        const fontStyle = text.headlineItalic ? 'italic' : 'normal';
-        ctx.font = `${fontStyle} ${text.headlineWeight} ${text.headlineSize}px ${text.headlineFont}`;
-        ctx.fillStyle = text.headlineColor;
-
-        const lines = wrapText(ctx, headline, dims.width - padding * 2);
-        const lineHeight = text.headlineSize * (text.lineHeight / 100);
-
-        if (text.position === 'bottom') {
-            currentY -= (lines.length - 1) * lineHeight;
-        }
+function initExportFormatControls() {
+    document.querySelectorAll('#export-format-type button').forEach(btn => {
+        btn.addEventListener('click', () => {
+            recordHistoryStep('Change Export Format');
+            state.exportFormat = { ...state.exportFormat, type: btn.dataset.format };
+            saveState();
+            updateExportFormatUI();
+            updateExportNamingUI(false);
+            runStoreCheck();
+        });
+    });
 
-        let lastLineY;
-        lines.forEach((line, i) => {
-            const y = currentY + i * lineHeight;
-            lastLineY = y;
-            ctx.fillText(line, dims.width / 2, y);
-
-            // Calculate text metrics for decorations
-            // When textBaseline is 'top', y is at top of text; when 'bottom', y is at bottom
-            const textWidth = ctx.measureText(line).width;
-            const fontSize = text.headlineSize;
-            const lineThickness = Math.max(2, fontSize * 0.05);
-            const x = dims.width / 2 - textWidth / 2;
-
-            // Draw underline
-            if (text.headlineUnderline) {
-                const underlineY = text.position === 'top'
-                    ? y + fontSize * 0.9  // Below text when baseline is top
-                    : y + fontSize * 0.1; // Below text when baseline is bottom
-                ctx.fillRect(x, underlineY, textWidth, lineThickness);
-            }
+    document.getElementById('export-quality').addEventListener('input', (e) => {
+        markHistoryEdit('exportFormat.quality');
+        state.exportFormat = { ...state.exportFormat, quality: parseInt(e.target.value, 10) };
+        saveState();
+        updateExportFormatUI();
+    });
 
-            // Draw strikethrough
-            if (text.headlineStrikethrough) {
-                const strikeY = text.position === 'top'
-                    ? y + fontSize * 0.4  // Middle of text when baseline is top
-                    : y - fontSize * 0.4; // Middle of text when baseline is bottom
-                ctx.fillRect(x, strikeY, textWidth, lineThickness);
-            }
-        });
+    document.getElementById('export-max-size').addEventListener('input', (e) => {
+        markHistoryEdit('exportFormat.maxSizeKB');
+        state.exportFormat = { ...state.exportFormat, maxSizeKB: Math.max(0, parseInt(e.target.value, 10) || 0) };
+        saveState();
+    });
+}
 
-        // Track where subheadline should start (below the bottom edge of headline)
-        // The gap between headline and subheadline should be (lineHeight - fontSize)
-        // This is the "extra" spacing beyond the text itself
-        const gap = lineHeight - text.headlineSize;
-        if (text.position === 'top') {
-            // For top: lastLineY is top of last line, add fontSize to get bottom, then add gap
-            currentY = lastLineY + text.headlineSize + gap;
-        } else {
-            // For bottom: lastLineY is already the bottom of last line, just add gap
-            currentY = lastLineY + gap;
-        }
+// Show the project's export format; quality and size limit only apply to lossy formats
+function updateExportFormatUI() {
+    const format = state.exportFormat;
+    const spec = EXPORT_FORMATS[format.type];
+    document.querySelectorAll('#export-format-type button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.format === format.type);
+    });
+    document.getElementById('export-format-options').style.display = spec.lossy ? '' : 'none';
+    document.getElementById('export-quality').value = format.quality;
+    document.getElementById('export-quality-value').textContent = `${format.quality}%`;
+    const maxSizeInput = document.getElementById('export-max-size');
+    if (document.activeElement !== maxSizeInput) {
+        maxSizeInput.value = format.maxSizeKB > 0 ? format.maxSizeKB : '';
     }
 
-    // Draw subheadline (always below headline visually)
-    if (subheadline) {
-        const subFontStyle = text.subheadlineItalic ? 'italic' : 'normal';
-        const subWeight = text.subheadlineWeight || '400';
-        ctx.font = `${subFontStyle} ${subWeight} ${text.subheadlineSize}px ${text.subheadlineFont || text.headlineFont}`;
-        ctx.fillStyle = hexToRgba(text.subheadlineColor, text.subheadlineOpacity / 100);
-
-        const lines = wrapText(ctx, subheadline, dims.width - padding * 2);
-        const subLineHeight = text.subheadlineSize * 1.4;
-
-        // Subheadline starts after headline with gap determined by headline lineHeight
-        // For bottom position, switch to 'top' baseline so subheadline draws downward
-        const subY = currentY;
-        if (text.position === 'bottom') {
-            ctx.textBaseline = 'top';
-        }
+    let hint = 'Lossless, keeps transparency';
+    if (format.type === 'jpeg') {
+        hint = 'Transparent areas are filled with white';
+    } else if (format.type === 'webp') {
+        hint = 'Keeps transparency, not accepted by App Store Connect';
+    }
+    if (spec.lossy) {
+        hint += '. With a size limit, quality is lowered until each image fits';
+    }
+    document.getElementById('export-format-hint').textContent = hint;
+}
 
-        lines.forEach((line, i) => {
-            const y = subY + i * subLineHeight;
-            ctx.fillText(line, dims.width / 2, y);
+// ==========================================
+// Store Check (store-validator.js)
+// ==========================================
 
-            // Calculate text metrics for decorations
-            const textWidth = ctx.measureText(line).width;
-            const fontSize = text.subheadlineSize;
-            const lineThickness = Math.max(2, fontSize * 0.05);
-            const x = dims.width / 2 - textWidth / 2;
+// Result of the last store check, file sizes are only added on request
+let storeCheckResult = null;
+let storeFileSizeAbortController = null;
 
-            // Draw underline (using 'top' baseline for subheadline)
-            if (text.subheadlineUnderline) {
-                const underlineY = y + fontSize * 0.9;
-                ctx.fillRect(x, underlineY, textWidth, lineThickness);
-            }
+// Check the project for the current output size and show the result in the export dialog
+function runStoreCheck() {
+    storeCheckResult = validateProjectForStores({
+        device: state.outputDevice,
+        dims: getCanvasDimensions(),
+        format: state.exportFormat
+    });
+    updateStoreCheckSummary();
+}
 
-            // Draw strikethrough
-            if (text.subheadlineStrikethrough) {
-                const strikeY = y + fontSize * 0.4;
-                ctx.fillRect(x, strikeY, textWidth, lineThickness);
-            }
-        });
+function updateStoreCheckSummary() {
+    const issues = Object.values(storeCheckResult.checks).filter(Boolean).flat();
+    const errors = issues.filter(issue => issue.level === 'error').length;
+    const warnings = issues.length - errors;
 
-        // Restore baseline if we changed it
-        if (text.position === 'bottom') {
-            ctx.textBaseline = 'bottom';
-        }
+    const summary = document.getElementById('store-check-summary');
+    summary.classList.toggle('has-errors', errors > 0);
+    summary.classList.toggle('has-warnings', errors === 0 && warnings > 0);
+    if (issues.length === 0) {
+        summary.textContent = '✓ Store check passed';
+        return;
     }
+    const counts = [];
+    if (errors > 0) counts.push(`${errors} ${errors === 1 ? 'problem' : 'problems'}`);
+    if (warnings > 0) counts.push(`${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`);
+    summary.textContent = `Store check: ${counts.join(', ')} – Review`;
 }
 
-function drawNoise() {
-    const dims = getCanvasDimensions();
-    const imageData = ctx.getImageData(0, 0, dims.width, dims.height);
-    const data = imageData.data;
-    const intensity = getBackground().noiseIntensity / 100 * 50;
-
-    for (let i = 0; i < data.length; i += 4) {
-        const noise = (Math.random() - 0.5) * intensity;
-        data[i] = Math.min(255, Math.max(0, data[i] + noise));
-        data[i + 1] = Math.min(255, Math.max(0, data[i + 1] + noise));
-        data[i + 2] = Math.min(255, Math.max(0, data[i + 2] + noise));
-    }
-
-    ctx.putImageData(imageData, 0, 0);
+function showStoreCheck() {
+    if (!storeCheckResult) runStoreCheck();
+    updateStoreChecklist();
+    document.getElementById('store-check-modal').classList.add('visible');
 }
 
-function roundRect(ctx, x, y, width, height, radius) {
-    ctx.moveTo(x + radius, y);
-    ctx.lineTo(x + width - radius, y);
-    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-    ctx.lineTo(x + width, y + height - radius);
-    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-    ctx.lineTo(x + radius, y + height);
-    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-    ctx.lineTo(x, y + radius);
-    ctx.quadraticCurveTo(x, y, x + radius, y);
-    ctx.closePath();
+function closeStoreCheck() {
+    if (storeFileSizeAbortController) storeFileSizeAbortController.abort();
+    document.getElementById('store-check-modal').classList.remove('visible');
 }
 
-function wrapText(ctx, text, maxWidth) {
-    const words = text.split(' ');
-    const lines = [];
-    let currentLine = '';
-
-    words.forEach(word => {
-        const testLine = currentLine + (currentLine ? ' ' : '') + word;
-        const metrics = ctx.measureText(testLine);
+function updateStoreChecklist() {
+    const { store, checks } = storeCheckResult;
+    const dims = getCanvasDimensions();
+    const rules = store ? ` against ${STORE_RULES[store].name} rules` : '';
+    document.getElementById('store-check-message').textContent =
+        `${getDeviceName(state.outputDevice)} (${dims.width} × ${dims.height}) checked${rules}.`;
+
+    const list = document.getElementById('store-checklist');
+    list.innerHTML = '';
+    Object.entries(STORE_CHECKS).forEach(([key, title]) => {
+        const issues = checks[key];
+        let status = 'passed';
+        if (!issues) {
+            status = 'skipped';
+        } else if (issues.some(issue => issue.level === 'error')) {
+            status = 'error';
+        } else if (issues.length > 0) {
+            status = 'warning';
+        }
 
-        if (metrics.width > maxWidth && currentLine) {
-            lines.push(currentLine);
-            currentLine = word;
-        } else {
-            currentLine = testLine;
+        const item = document.createElement('li');
+        item.className = `store-check-item ${status}`;
+        const header = document.createElement('div');
+        header.className = 'store-check-header';
+        header.innerHTML = `<span class="store-check-status">${{ passed: '✓', error: '✕', warning: '!', skipped: '–' }[status]}</span>`;
+        const titleEl = document.createElement('span');
+        titleEl.className = 'store-check-title';
+        titleEl.textContent = key === 'fileSize' && !issues ? `${title} (not checked yet)` : title;
+        header.appendChild(titleEl);
+        item.appendChild(header);
+
+        if (issues && issues.length > 0) {
+            const issueList = document.createElement('ul');
+            issueList.className = 'store-check-issues';
+            issues.forEach(issue => {
+                const issueItem = document.createElement('li');
+                issueItem.className = issue.level;
+                const message = document.createElement('span');
+                if (issue.index !== undefined) {
+                    const where = issue.lang && state.projectLanguages.length > 1
+                        ? describeExportJob(issue)
+                        : `Screenshot ${issue.index + 1}`;
+                    message.textContent = `${where}: ${issue.message}`;
+                } else {
+                    message.textContent = issue.message;
+                }
+                issueItem.appendChild(message);
+
+                if (issue.index !== undefined) {
+                    const jump = document.createElement('button');
+                    jump.className = 'store-check-jump';
+                    jump.textContent = 'Show';
+                    jump.addEventListener('click', () => jumpToStoreIssue(issue));
+                    issueItem.appendChild(jump);
+                }
+                issueList.appendChild(issueItem);
+            });
+            item.appendChild(issueList);
         }
+        list.appendChild(item);
     });
-
-    if (currentLine) {
-        lines.push(currentLine);
-    }
-
-    return lines;
-}
-
-function hexToRgba(hex, alpha) {
-    const r = parseInt(hex.slice(1, 3), 16);
-    const g = parseInt(hex.slice(3, 5), 16);
-    const b = parseInt(hex.slice(5, 7), 16);
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
 }
 
-function exportCurrent() {
-    if (state.screenshots.length === 0) {
-        alert('Please upload a screenshot first');
-        return;
+// Close the dialogs and select the screenshot (and language) an issue is about
+function jumpToStoreIssue(issue) {
+    closeStoreCheck();
+    closeExportLanguageDialog(null);
+    if (issue.lang && issue.lang !== state.currentLanguage) {
+        switchGlobalLanguage(issue.lang);
     }
-
-    // Ensure canvas is up-to-date (especially important for 3D mode)
-    updateCanvas();
-
-    const link = document.createElement('a');
-    link.download = `screenshot-${state.selectedIndex + 1}.png`;
-    link.href = canvas.toDataURL('image/png');
-    link.click();
+    selectScreenshot(issue.index);
 }
 
-async function exportAll() {
-    if (state.screenshots.length === 0) {
-        alert('Please upload screenshots first');
-        return;
-    }
-
-    // Check if project has multiple languages configured
-    const hasMultipleLanguages = state.projectLanguages.length > 1;
+// Render every screenshot in every language like an export does and check the file sizes
+async function checkStoreFileSizes() {
+    const button = document.getElementById('store-check-file-sizes');
+    const jobs = state.screenshots.flatMap((_, index) => state.projectLanguages.map(lang => ({ index, lang })));
+    const result = storeCheckResult;
 
-    if (hasMultipleLanguages) {
-        // Show language choice dialog
-        showExportLanguageDialog(async (choice) => {
-            if (choice === 'current') {
-                await exportAllForLanguage(state.currentLanguage);
-            } else if (choice === 'all') {
-                await exportAllLanguages();
+    storeFileSizeAbortController = new AbortController();
+    button.disabled = true;
+    try {
+        const rendered = await renderExportImages(jobs, {
+            signal: storeFileSizeAbortController.signal,
+            format: getExportFormat(),
+            onProgress: (completed, total) => {
+                button.textContent = `Checking ${completed} of ${total}...`;
             }
         });
-    } else {
-        // Only one language, export directly
-        await exportAllForLanguage(state.currentLanguage);
+        result.checks.fileSize = checkExportFileSizes(result.store, jobs, rendered);
+        if (result === storeCheckResult) {
+            updateStoreChecklist();
+            updateStoreCheckSummary();
+        }
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.error('File size check failed:', error);
+            await showAppAlert(`Could not check file sizes: ${error.message}`, 'error');
+        }
+    } finally {
+        storeFileSizeAbortController = null;
+        button.disabled = false;
+        button.textContent = 'Check File Sizes';
     }
 }
 
-// Show export progress modal
-function showExportProgress(status, detail, percent) {
-    const modal = document.getElementById('export-progress-modal');
-    const statusEl = document.getElementById('export-progress-status');
-    const detailEl = document.getElementById('export-progress-detail');
-    const fillEl = document.getElementById('export-progress-fill');
+// ==========================================
+// Export Matrix (several output sizes and languages in one ZIP)
+// ==========================================
 
-    if (modal) modal.classList.add('visible');
-    if (statusEl) statusEl.textContent = status;
-    if (detailEl) detailEl.textContent = detail || '';
-    if (fillEl) fillEl.style.width = `${percent}%`;
-}
+// Last { devices, languages } chosen per mode ('folders' or 'fastlane'), kept while the app is open
+const exportMatrixSelection = {};
+let exportMatrixMode = 'folders';
 
-// Hide export progress modal
-function hideExportProgress() {
-    const modal = document.getElementById('export-progress-modal');
-    if (modal) modal.classList.remove('visible');
+// Display name of an output size, as shown in the output size menu
+function getDeviceName(device) {
+    const nameEl = document.querySelector(`#output-size-menu .device-option[data-device="${device}"] .device-option-name`);
+    return nameEl ? nameEl.textContent : device;
 }
 
-// Export all screenshots for a specific language
-async function exportAllForLanguage(lang) {
-    const originalIndex = state.selectedIndex;
-    const originalLang = state.currentLanguage;
-    const zip = new JSZip();
-    const total = state.screenshots.length;
-
-    // Show progress
-    const langName = languageNames[lang] || lang.toUpperCase();
-    showExportProgress('Exporting...', `Preparing ${langName} screenshots`, 0);
-
-    // Save original text languages for each screenshot
-    const originalTextLangs = state.screenshots.map(s => ({
-        headline: s.text.currentHeadlineLang,
-        subheadline: s.text.currentSubheadlineLang
+// All preset output sizes, plus the project's custom size if it uses one
+function getExportMatrixDevices() {
+    const devices = Object.keys(deviceDimensions).map(id => ({
+        id,
+        name: getDeviceName(id),
+        dims: deviceDimensions[id],
+        layoutDevice: id
     }));
+    if (state.outputDevice === 'custom') {
+        devices.push({ id: getOutputDeviceId(), name: getDeviceName('custom'), dims: getCanvasDimensions(), layoutDevice: 'custom' });
+    }
+    return devices;
+}
 
-    // Temporarily switch to the target language (images and text)
-    state.currentLanguage = lang;
-    state.screenshots.forEach(s => {
-        s.text.currentHeadlineLang = lang;
-        s.text.currentSubheadlineLang = lang;
-    });
-
-    for (let i = 0; i < state.screenshots.length; i++) {
-        state.selectedIndex = i;
-        updateCanvas();
-
-        // Update progress
-        const percent = Math.round(((i + 1) / total) * 90); // Reserve 10% for ZIP generation
-        showExportProgress('Exporting...', `Screenshot ${i + 1} of ${total}`, percent);
+function createExportMatrixItem(value, label, detail, checked) {
+    const item = document.createElement('label');
+    item.className = 'export-matrix-item';
 
-        await new Promise(resolve => setTimeout(resolve, 100));
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = value;
+    checkbox.checked = checked;
 
-        // Get canvas data as base64, strip the data URL prefix
-        const dataUrl = canvas.toDataURL('image/png');
-        const base64Data = dataUrl.replace(/^data:image\/png;base64,/, '');
+    const name = document.createElement('span');
+    name.textContent = label;
+    item.append(checkbox, name);
 
-        zip.file(`screenshot-${i + 1}.png`, base64Data, { base64: true });
+    if (detail) {
+        const size = document.createElement('span');
+        size.className = 'export-matrix-item-size';
+        size.textContent = detail;
+        item.appendChild(size);
     }
+    return item;
+}
 
-    // Restore original settings
-    state.selectedIndex = originalIndex;
-    state.currentLanguage = originalLang;
-    state.screenshots.forEach((s, i) => {
-        s.text.currentHeadlineLang = originalTextLangs[i].headline;
-        s.text.currentSubheadlineLang = originalTextLangs[i].subheadline;
-    });
-    updateCanvas();
-
-    // Generate ZIP
-    showExportProgress('Generating ZIP...', '', 95);
-    const content = await zip.generateAsync({ type: 'blob' });
-
-    showExportProgress('Complete!', '', 100);
-    await new Promise(resolve => setTimeout(resolve, 1500));
-    hideExportProgress();
-
-    const link = document.createElement('a');
-    link.download = `screenshots-${lang}.zip`;
-    link.href = URL.createObjectURL(content);
-    link.click();
-    URL.revokeObjectURL(link.href);
+function getExportMatrixChecked(listId) {
+    return Array.from(document.querySelectorAll(`#${listId} input:checked`)).map(box => box.value);
 }
 
-// Export all screenshots for all languages (separate folders)
-async function exportAllLanguages() {
-    const originalIndex = state.selectedIndex;
-    const originalLang = state.currentLanguage;
-    const zip = new JSZip();
+/**
+ * Show the export matrix dialog
+ * @param {string} [mode] - 'folders' (<size>/<language>/01.png) or 'fastlane' (deliver and supply folders)
+ */
+function showExportMatrixDialog(mode = 'folders') {
+    exportMatrixMode = mode;
+    const fastlane = mode === 'fastlane';
+    const devices = getExportMatrixDevices().filter(device => !fastlane || getFastlaneTemplate(device.id));
+    const defaultDevices = devices.some(device => device.id === getOutputDeviceId())
+        ? [getOutputDeviceId()]
+        : [devices[0].id];
+    const selectedDevices = exportMatrixSelection[mode]?.devices || defaultDevices;
+    const selectedLanguages = exportMatrixSelection[mode]?.languages || (fastlane ? state.projectLanguages : [state.currentLanguage]);
+
+    document.getElementById('export-matrix-title').textContent = fastlane ? 'Export for fastlane' : 'Export Sizes & Languages';
+    document.getElementById('export-matrix-message').innerHTML = fastlane
+        ? 'App Store sizes go to <code>fastlane/screenshots/&lt;locale&gt;/</code> for deliver, Android sizes to <code>fastlane/metadata/android/&lt;locale&gt;/images/</code> for supply. ' +
+            'Sizes that fill the same store slot, like 6.9" and 6.7" iPhones, can\'t be exported together.'
+        : 'Every selected size is exported in every selected language, as <code>size/language/01.png</code> in one ZIP.';
+
+    const deviceList = document.getElementById('export-matrix-devices');
+    deviceList.innerHTML = '';
+    devices.forEach(device => {
+        deviceList.appendChild(createExportMatrixItem(device.id, device.name,
+            `${device.dims.width} × ${device.dims.height}`, selectedDevices.includes(device.id)));
+    });
+
+    const languageList = document.getElementById('export-matrix-languages');
+    languageList.innerHTML = '';
+    state.projectLanguages.forEach(lang => {
+        const flag = languageFlags[lang] || '🏳️';
+        const name = languageNames[lang] || lang.toUpperCase();
+        // fastlane needs store locales: App Store · Google Play
+        const locales = fastlane ? `${appStoreLocales[lang] || lang} · ${playStoreLocales[lang] || lang}` : null;
+        languageList.appendChild(createExportMatrixItem(lang, `${flag} ${name}`, locales, selectedLanguages.includes(lang)));
+    });
 
-    const totalLangs = state.projectLanguages.length;
-    const totalScreenshots = state.screenshots.length;
-    const totalItems = totalLangs * totalScreenshots;
-    let completedItems = 0;
+    keepOneSizePerFastlaneSlot();
+    updateExportMatrixSummary();
+    document.getElementById('export-matrix-modal').classList.add('visible');
+}
 
-    // Show progress
-    showExportProgress('Exporting...', 'Preparing all languages', 0);
+function closeExportMatrixDialog() {
+    document.getElementById('export-matrix-modal').classList.remove('visible');
+}
 
-    // Save original text languages for each screenshot
-    const originalTextLangs = state.screenshots.map(s => ({
-        headline: s.text.currentHeadlineLang,
-        subheadline: s.text.currentSubheadlineLang
-    }));
+/**
+ * Uncheck sizes that fill the same fastlane slot as another checked size
+ * @param {HTMLInputElement} [preferred] - Checkbox the user just changed, kept if checked
+ */
+function keepOneSizePerFastlaneSlot(preferred = null) {
+    if (exportMatrixMode !== 'fastlane') return;
+    const boxes = Array.from(document.querySelectorAll('#export-matrix-devices input:checked'))
+        .sort((a, b) => (b === preferred) - (a === preferred));
+    const slots = new Set();
+    boxes.forEach(box => {
+        const slot = getFastlaneSlot(box.value);
+        if (slots.has(slot)) {
+            box.checked = false;
+        } else {
+            slots.add(slot);
+        }
+    });
+}
 
-    for (let langIdx = 0; langIdx < state.projectLanguages.length; langIdx++) {
-        const lang = state.projectLanguages[langIdx];
-        const langName = languageNames[lang] || lang.toUpperCase();
+// Show how many images the selection produces
+function updateExportMatrixSummary() {
+    const count = getExportMatrixChecked('export-matrix-devices').length *
+        getExportMatrixChecked('export-matrix-languages').length *
+        state.screenshots.length;
+    const confirmBtn = document.getElementById('export-matrix-confirm');
+    confirmBtn.disabled = count === 0;
+    confirmBtn.textContent = count === 0 ? 'Export' : `Export ${count} Image${count === 1 ? '' : 's'}`;
+}
 
-        // Temporarily switch to this language (images and text)
-        state.currentLanguage = lang;
-        state.screenshots.forEach(s => {
-            s.text.currentHeadlineLang = lang;
-            s.text.currentSubheadlineLang = lang;
+async function confirmExportMatrix() {
+    const deviceIds = getExportMatrixChecked('export-matrix-devices');
+    const languages = getExportMatrixChecked('export-matrix-languages');
+    if (deviceIds.length === 0 || languages.length === 0) return;
+
+    const fastlane = exportMatrixMode === 'fastlane';
+    exportMatrixSelection[exportMatrixMode] = { devices: deviceIds, languages };
+    closeExportMatrixDialog();
+    showExportProgress('Exporting...', `Preparing ${deviceIds.length * languages.length} size and language combinations`, 0);
+
+    const devices = getExportMatrixDevices().filter(device => deviceIds.includes(device.id));
+    const jobs = [];
+    devices.forEach(device => {
+        languages.forEach(lang => {
+            state.screenshots.forEach((_, i) => jobs.push({
+                index: i,
+                lang,
+                device: device.id,
+                deviceName: device.name,
+                dims: device.dims,
+                layoutDevice: device.layoutDevice,
+                template: fastlane ? getFastlaneTemplate(device.id) : null
+            }));
         });
+    });
 
-        for (let i = 0; i < state.screenshots.length; i++) {
-            state.selectedIndex = i;
-            updateCanvas();
-
-            completedItems++;
-            const percent = Math.round((completedItems / totalItems) * 90); // Reserve 10% for ZIP
-            showExportProgress('Exporting...', `${langName}: Screenshot ${i + 1} of ${totalScreenshots}`, percent);
-
-            await new Promise(resolve => setTimeout(resolve, 100));
-
-            // Get canvas data as base64, strip the data URL prefix
-            const dataUrl = canvas.toDataURL('image/png');
-            const base64Data = dataUrl.replace(/^data:image\/png;base64,/, '');
-
-            // Use language code as folder name
-            zip.file(`${lang}/screenshot-${i + 1}.png`, base64Data, { base64: true });
-        }
+    if (fastlane) {
+        await exportImagesToZip(jobs, 'fastlane-screenshots.zip');
+        return;
     }
 
-    // Restore original settings
-    state.selectedIndex = originalIndex;
-    state.currentLanguage = originalLang;
-    state.screenshots.forEach((s, i) => {
-        s.text.currentHeadlineLang = originalTextLangs[i].headline;
-        s.text.currentSubheadlineLang = originalTextLangs[i].subheadline;
+    const template = getExportNamingTemplate(state.exportNaming, '{device}/{lang}/{index:02}', {
+        languages: languages.length > 1,
+        devices: devices.length > 1
     });
-    updateCanvas();
-
-    // Generate ZIP
-    showExportProgress('Generating ZIP...', '', 95);
-    const content = await zip.generateAsync({ type: 'blob' });
-
-    showExportProgress('Complete!', '', 100);
-    await new Promise(resolve => setTimeout(resolve, 1500));
-    hideExportProgress();
-
-    const link = document.createElement('a');
-    link.download = 'screenshots-all-languages.zip';
-    link.href = URL.createObjectURL(content);
-    link.click();
-    URL.revokeObjectURL(link.href);
+    await exportImagesToZip(jobs, 'screenshots-all-sizes.zip', template);
 }
 
 // Initialize the app
@@ -0,0 +1,293 @@
+// Image Asset Store
+// Images are stored once as Blobs in the IndexedDB assets store, keyed by a hash of their
+// content. Project records only hold { $asset: id } references in place of data URLs,
+// so saving a project no longer rewrites every image.
+
+// Content hash for each data URL seen in this session (avoids re-hashing on every save)
+const assetIdsBySrc = new Map();
+
+// Unreferenced assets younger than this aren't pruned: their project, snapshot or template is
+// written in a later transaction, possibly in another tab whose references this tab can't see
+const ASSET_PRUNE_GRACE_MS = 10 * 60 * 1000;
+
+// ==========================================
+// Value helpers
+// ==========================================
+
+/**
+ * Recursively copy a value, replacing parts of it via a callback
+ * @param {*} value - Value to walk
+ * @param {Function} replace - Returns a replacement, or undefined to keep walking
+ * @returns {*} Copied value
+ */
+function mapProjectValues(value, replace) {
+    const replacement = replace(value);
+    if (replacement !== undefined) return replacement;
+
+    if (Array.isArray(value)) {
+        return value.map(item => mapProjectValues(item, replace));
+    }
+    if (value && typeof value === 'object') {
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = mapProjectValues(value[key], replace);
+        });
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Split an image (or 3D model) data URL into MIME type and base64 payload
+ * @param {string} dataUrl - Data URL (data:image/png;base64,... or data:model/gltf-binary;base64,...)
+ * @returns {Object|null} { mimeType, base64 } or null if not a base64 image or model data URL
+ */
+function parseImageDataUrl(dataUrl) {
+    if (typeof dataUrl !== 'string' || !/^data:(image|model)\//.test(dataUrl)) return null;
+    const match = /^data:((?:image|model)\/[\w.+-]+);base64,(.*)$/s.exec(dataUrl);
+    if (!match) return null;
+    return { mimeType: match[1], base64: match[2] };
+}
+
+/**
+ * Check whether a value is an asset reference ({ $asset: id })
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isAssetRef(value) {
+    return !!value && typeof value === 'object' && typeof value.$asset === 'string';
+}
+
+/**
+ * Collect all asset ids referenced by a record
+ * @param {*} record - Project record (or any value)
+ * @param {Set<string>} ids - Set to add to
+ * @returns {Set<string>} The same set
+ */
+function collectAssetRefs(record, ids = new Set()) {
+    mapProjectValues(record, value => {
+        if (isAssetRef(value)) {
+            ids.add(value.$asset);
+            return value;
+        }
+        return undefined;
+    });
+    return ids;
+}
+
+// ==========================================
+// Conversion
+// ==========================================
+
+function dataUrlToBlob(dataUrl) {
+    const parsed = parseImageDataUrl(dataUrl);
+    const binary = atob(parsed.base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: parsed.mimeType });
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Hash a blob's content to use as its asset id
+ * Uses SHA-256 where available (secure contexts), FNV-1a otherwise.
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>} Hex asset id
+ */
+async function hashAssetBlob(blob) {
+    const buffer = await blob.arrayBuffer();
+
+    if (typeof crypto !== 'undefined' && crypto.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Insecure context fallback: two FNV-1a passes with different seeds plus size
+    const bytes = new Uint8Array(buffer);
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193 ^ bytes.length;
+    for (let i = 0; i < bytes.length; i++) {
+        h1 = Math.imul(h1 ^ bytes[i], 0x01000193);
+        h2 = Math.imul(h2 ^ bytes[i], 0x5bd1e995);
+    }
+    return 'fnv-' + (h1 >>> 0).toString(16) + (h2 >>> 0).toString(16) + '-' + bytes.length.toString(16);
+}
+
+// ==========================================
+// IndexedDB access
+// ==========================================
+
+function putAssets(assets) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([ASSETS_STORE], 'readwrite');
+        const store = transaction.objectStore(ASSETS_STORE);
+        assets.forEach(asset => store.put(asset));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Read asset blobs by id
+ * @param {string[]} ids - Asset ids
+ * @returns {Promise<Object>} Map of id -> Blob (missing assets are omitted)
+ */
+function getAssetBlobs(ids) {
+    return new Promise((resolve, reject) => {
+        const result = {};
+        if (ids.length === 0) {
+            resolve(result);
+            return;
+        }
+        const transaction = db.transaction([ASSETS_STORE], 'readonly');
+        const store = transaction.objectStore(ASSETS_STORE);
+        ids.forEach(id => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) result[id] = request.result.blob;
+            };
+        });
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Move all data URLs of a record into the asset store
+ * @param {Object} record - Project record with data URLs
+ * @returns {Promise<Object>} Copy of the record with { $asset: id } references
+ */
+async function storeProjectAssets(record) {
+    const newAssets = [];
+    const pending = new Map();
+
+    mapProjectValues(record, value => {
+        if (typeof value !== 'string' || assetIdsBySrc.has(value)) return undefined;
+        if (parseImageDataUrl(value)) pending.set(value, null);
+        return undefined;
+    });
+
+    for (const src of pending.keys()) {
+        const blob = dataUrlToBlob(src);
+        const id = await hashAssetBlob(blob);
+        newAssets.push({ id, blob, type: blob.type, size: blob.size, createdAt: Date.now() });
+        pending.set(src, id);
+    }
+
+    if (newAssets.length > 0) {
+        await putAssets(newAssets);
+        pending.forEach((id, src) => assetIdsBySrc.set(src, id));
+    }
+
+    return mapProjectValues(record, value => {
+        if (typeof value !== 'string' || !assetIdsBySrc.has(value)) return undefined;
+        return { $asset: assetIdsBySrc.get(value) };
+    });
+}
+
+/**
+ * Replace asset references of a stored record with data URLs
+ * @param {Object} record - Project record as stored
+ * @returns {Promise<Object>} Copy of the record with data URLs
+ */
+async function resolveProjectAssets(record) {
+    const ids = Array.from(collectAssetRefs(record));
+    if (ids.length === 0) return record;
+
+    const blobs = await getAssetBlobs(ids);
+    const dataUrls = {};
+    for (const id of ids) {
+        if (!blobs[id]) {
+            console.warn('Missing image asset:', id);
+            continue;
+        }
+        dataUrls[id] = await blobToDataUrl(blobs[id]);
+        assetIdsBySrc.set(dataUrls[id], id);
+    }
+
+    return mapProjectValues(record, value => {
+        if (isAssetRef(value)) return dataUrls[value.$asset] || '';
+        return undefined;
+    });
+}
+
+/**
+ * Convert projects that still embed data URLs (DB version < 3)
+ */
+async function migrateProjectsToAssetStore() {
+    const records = await new Promise((resolve, reject) => {
+        const request = db.transaction([PROJECTS_STORE], 'readonly').objectStore(PROJECTS_STORE).getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+
+    for (const record of records) {
+        const converted = await storeProjectAssets(record);
+        await putProjectRecord(converted);
+        assetIdsBySrc.clear(); // Don't keep every project's images in memory
+    }
+}
+
+/**
+ * Delete assets no longer referenced by any stored project, snapshot, template or library model
+ * Assets seen in this session are kept, as a pending save may still reference them, and so are
+ * assets stored in the last ASSET_PRUNE_GRACE_MS (see above).
+ */
+async function pruneUnusedAssets() {
+    if (!db) return;
+
+    try {
+        const [records, snapshots, templates, models, assetKeys] = await new Promise((resolve, reject) => {
+            const transaction = db.transaction([PROJECTS_STORE, SNAPSHOTS_STORE, TEMPLATES_STORE, DEVICE_MODELS_STORE, ASSETS_STORE], 'readonly');
+            const recordsReq = transaction.objectStore(PROJECTS_STORE).getAll();
+            const snapshotsReq = transaction.objectStore(SNAPSHOTS_STORE).getAll();
+            const templatesReq = transaction.objectStore(TEMPLATES_STORE).getAll();
+            const modelsReq = transaction.objectStore(DEVICE_MODELS_STORE).getAll();
+            const keysReq = transaction.objectStore(ASSETS_STORE).getAllKeys();
+            transaction.oncomplete = () => resolve([
+                recordsReq.result || [],
+                snapshotsReq.result || [],
+                templatesReq.result || [],
+                modelsReq.result || [],
+                keysReq.result || []
+            ]);
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        // Snapshots and templates share images with projects
+        const used = new Set(assetIdsBySrc.values());
+        records.forEach(record => collectAssetRefs(record, used));
+        snapshots.forEach(snapshot => collectAssetRefs(snapshot.record, used));
+        templates.forEach(template => collectAssetRefs(template.record, used));
+        models.forEach(model => collectAssetRefs(model.model, used));
+
+        const unused = assetKeys.filter(key => !used.has(key));
+        if (unused.length === 0) return;
+
+        // Checked and deleted in one transaction, so an asset stored again meanwhile is kept
+        const cutoff = Date.now() - ASSET_PRUNE_GRACE_MS;
+        const transaction = db.transaction([ASSETS_STORE], 'readwrite');
+        const store = transaction.objectStore(ASSETS_STORE);
+        unused.forEach(key => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                // Assets stored before createdAt was recorded have none and can go
+                if (request.result && !(request.result.createdAt > cutoff)) store.delete(key);
+            };
+        });
+    } catch (e) {
+        console.error('Error pruning assets:', e);
+    }
+}
@@ -0,0 +1,618 @@
+// Canvas Manipulation
+// Direct editing of the 2D screenshot on the preview: drag it to move, drag a corner handle to
+// scale, drag the handle above it to rotate. Moves snap to the center lines, the text safe
+// margins and the edges of the text block; Shift locks moves to one axis and rotation to
+// 15° steps. Arrow keys nudge the screenshot (Shift for bigger steps).
+// Free-positioned text blocks (text position 'free') and added layers are dragged the same way
+// and snap to the same lines, the other text blocks and layers and the screenshot. Hidden and
+// locked layers can't be grabbed; the topmost layer under the pointer wins.
+// The handles belong to the device the Device tab edits; grabbing another device selects it.
+// In a panorama slice, everything is measured in the slice's pixels: the background, devices and
+// layers of the panorama are drawn shifted by the slice's offset (getSceneFrame).
+// The outline, handles and snap lines go on #preview-manipulation (updateManipulationOverlay),
+// which is resized with the preview on every redraw and only shows while hovering or dragging.
+
+const MANIPULATION_HANDLE_SIZE = 8;     // Preview pixels
+const MANIPULATION_ROTATE_OFFSET = 24;  // Preview pixels above the top edge
+const MANIPULATION_SNAP_DISTANCE = 6;   // Preview pixels
+const MANIPULATION_ROTATION_STEP = 15;  // Degrees with Shift
+const MANIPULATION_NUDGE_STEP = 1;      // Percent per arrow key press (10× with Shift)
+const MANIPULATION_COLORS = {
+    outline: '#0a84ff',
+    handle: '#ffffff',
+    snap: '#ff375f'
+};
+
+const CORNER_CURSORS = { nw: 'nwse-resize', se: 'nwse-resize', ne: 'nesw-resize', sw: 'nesw-resize' };
+
+let activeManipulation = null;  // Drag in progress: { mode, pointerId, start, dims, target, ... }
+let manipulationHover = false;
+let manipulationSnapLines = [];
+let manipulationUpdatePending = false;
+
+/**
+ * Get where the current screenshot's background, devices and layers are drawn
+ * @param {Object} dims - { width, height } of the output
+ * @returns {Object} { dims, offsetX }: the canvas size they are laid out on (a panorama's is wider)
+ *     and how far the current slice is shifted into it, in pixels
+ */
+function getSceneFrame(dims) {
+    const panorama = getPanoramaSlice(state.screenshots, state.selectedIndex);
+    return { dims: getPanoramaDimensions(dims, panorama), offsetX: panorama ? dims.width * panorama.slice : 0 };
+}
+
+/**
+ * Get a device as drawn at the current output size
+ * @param {Object} [layer] - Device layer, by default the one the Device tab edits
+ * @returns {Object|null} { dims, offsetX, image, settings, layout, center, angle, layer } (dims and
+ *     offsetX from getSceneFrame(), layout and center in slice pixels), null without an editable 2D device
+ */
+function getManipulationTarget(layer) {
+    const screenshot = getCurrentScreenshot();
+    if (!screenshot) return null;
+    layer = layer || getEditedDeviceLayer();
+    if (!layer || layer.visible === false || layer.locked) return null;
+    const settings = getDeviceLayerLayout(layer);
+    const image = getDeviceLayerImage(layer);
+    if (settings.use3D || !image) return null;
+
+    const scene = getSceneFrame(getCanvasDimensions());
+    const sceneLayout = getScreenshotLayout(scene.dims, image, settings);
+    const layout = { ...sceneLayout, x: sceneLayout.x - scene.offsetX };
+    return {
+        dims: scene.dims,
+        offsetX: scene.offsetX,
+        image,
+        settings,
+        layout,
+        center: { x: layout.x + layout.width / 2, y: layout.y + layout.height / 2 },
+        angle: (settings.rotation || 0) * Math.PI / 180,
+        layer
+    };
+}
+
+// Preview pixels per output pixel
+function getManipulationScale(dims) {
+    return (parseFloat(canvas.style.width) || dims.width) / dims.width;
+}
+
+// Pointer position in output pixels
+function getCanvasPoint(e, dims) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) / rect.width * dims.width,
+        y: (e.clientY - rect.top) / rect.height * dims.height
+    };
+}
+
+// Point relative to the screenshot center, in the screenshot's unrotated frame
+function toScreenshotFrame(point, target) {
+    const dx = point.x - target.center.x;
+    const dy = point.y - target.center.y;
+    const cos = Math.cos(-target.angle);
+    const sin = Math.sin(-target.angle);
+    return { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+}
+
+// Screenshot frame point back to output pixels
+function fromScreenshotFrame(point, target) {
+    const cos = Math.cos(target.angle);
+    const sin = Math.sin(target.angle);
+    return {
+        x: target.center.x + point.x * cos - point.y * sin,
+        y: target.center.y + point.x * sin + point.y * cos
+    };
+}
+
+// Handle positions in the screenshot frame
+function getManipulationHandles(target, scale) {
+    const w = target.layout.width / 2;
+    const h = target.layout.height / 2;
+    return {
+        corners: { nw: { x: -w, y: -h }, ne: { x: w, y: -h }, se: { x: w, y: h }, sw: { x: -w, y: h } },
+        rotate: { x: 0, y: -h - MANIPULATION_ROTATE_OFFSET / scale }
+    };
+}
+
+/**
+ * Find what a point on the preview grabs
+ * @returns {Object|null} { mode: 'rotate'|'scale'|'move', corner }
+ */
+function hitTestManipulation(point, target, scale) {
+    const local = toScreenshotFrame(point, target);
+    const handles = getManipulationHandles(target, scale);
+    const tolerance = MANIPULATION_HANDLE_SIZE / scale;
+    const near = (handle) => Math.abs(local.x - handle.x) <= tolerance && Math.abs(local.y - handle.y) <= tolerance;
+
+    if (near(handles.rotate)) return { mode: 'rotate' };
+    const corner = Object.keys(handles.corners).find(key => near(handles.corners[key]));
+    if (corner) return { mode: 'scale', corner };
+    if (Math.abs(local.x) <= target.layout.width / 2 && Math.abs(local.y) <= target.layout.height / 2) {
+        return { mode: 'move' };
+    }
+    return null;
+}
+
+// Bounds measured on the scene, moved into the current slice
+function toSliceBounds(bounds, scene) {
+    return { ...bounds, left: bounds.left - scene.offsetX, right: bounds.right - scene.offsetX };
+}
+
+function isLayerGrabbable(screenshot, id) {
+    const layer = getScreenshotLayers(screenshot).find(l => l.id === id);
+    return !!layer && layer.visible !== false && !layer.locked;
+}
+
+// Measured free-positioned text blocks, [] when the text is stacked
+function getTextBlockTargets(dims) {
+    const text = getLayoutSettings('text');
+    if (text.position !== 'free' || !isLayerGrabbable(getSceneScreenshot(), 'text')) return [];
+    const context = document.createElement('canvas').getContext('2d');
+    return measureTextBlocks(context, dims, text).map(bounds => ({
+        ...bounds,
+        block: getTextBlock(text, bounds.key)
+    }));
+}
+
+// Bounds of an added layer that can be dragged, null if it is hidden, locked or draws nothing
+// (devices are dragged with getManipulationTarget())
+function getLayerTarget(dims, layer) {
+    if (isBuiltInLayer(layer) || layer.type === 'device' || layer.visible === false || layer.locked) return null;
+    const scene = getSceneFrame(dims);
+    const context = document.createElement('canvas').getContext('2d');
+    const bounds = measureLayerBounds(context, scene.dims, layer, getText().currentHeadlineLang || 'en');
+    return bounds ? { ...toSliceBounds(bounds, scene), layer, position: getLayerPosition(layer), sceneDims: scene.dims } : null;
+}
+
+/**
+ * Find what a point on the preview grabs: the edited device's handles, then the topmost layer
+ * (text block, added layer or a device)
+ * @returns {Object|null} { mode: 'rotate'|'scale'|'move'|'text'|'layer', corner, textBlock, layerTarget,
+ *     target } (target: another device than the edited one)
+ */
+function hitTestPreview(point, dims, target, scale) {
+    const screenshotHit = target ? hitTestManipulation(point, target, scale) : null;
+    if (screenshotHit && screenshotHit.mode !== 'move') return screenshotHit;
+
+    const tolerance = MANIPULATION_HANDLE_SIZE / scale;
+    const contains = (bounds) =>
+        point.x >= bounds.left - tolerance && point.x <= bounds.right + tolerance &&
+        point.y >= bounds.top - tolerance && point.y <= bounds.bottom + tolerance;
+
+    const layers = getScreenshotLayers(getSceneScreenshot()).slice().reverse();
+    for (const layer of layers) {
+        if (layer.type === 'device') {
+            if (target && layer === target.layer) {
+                if (screenshotHit) return screenshotHit;
+                continue;
+            }
+            const deviceTarget = getManipulationTarget(layer);
+            if (deviceTarget && hitTestManipulation(point, deviceTarget, scale)?.mode === 'move') {
+                return { mode: 'move', target: deviceTarget };
+            }
+        } else if (layer.id === 'text') {
+            const textBlock = getTextBlockTargets(dims).reverse().find(contains);
+            if (textBlock) return { mode: 'text', textBlock };
+        } else {
+            const layerTarget = getLayerTarget(dims, layer);
+            if (layerTarget && contains(layerTarget)) return { mode: 'layer', layerTarget };
+        }
+    }
+    return null;
+}
+
+// Slider range of a layout value, so dragging can't go further than the sidebar
+function getManipulationRange(key) {
+    const input = document.getElementById('screenshot-' + key);
+    return { min: parseFloat(input.min), max: parseFloat(input.max) };
+}
+
+function clampToRange(value, key) {
+    const range = getManipulationRange(key);
+    return Math.min(range.max, Math.max(range.min, value));
+}
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+// Position (x, y percent) that puts a screenshot of the given size at a center point
+function getPositionForCenter(center, size, dims, settings) {
+    const freeX = dims.width - size.width;
+    const freeY = dims.height - size.height;
+    return {
+        x: freeX !== 0 ? clampToRange(roundToTenth((center.x - size.width / 2) / freeX * 100), 'x') : settings.x,
+        y: freeY !== 0 ? clampToRange(roundToTenth((center.y - size.height / 2) / freeY * 100), 'y') : settings.y
+    };
+}
+
+// Lines moves snap to: center lines, text safe margins, the edges of text blocks and added
+// layers, and the screenshot's device edges when something else is moved
+// dragged: 'screenshot' (the screenshot's device), the key of a text block or the id of an added layer
+function getSnapTargets(dims, dragged) {
+    const margin = dims.width * TEXT_SAFE_MARGIN;
+    const targets = {
+        x: [dims.width / 2, margin, dims.width - margin],
+        y: [dims.height / 2, margin, dims.height - margin]
+    };
+
+    const context = document.createElement('canvas').getContext('2d');
+    const scene = getSceneFrame(dims);
+    const addBounds = (bounds) => {
+        targets.x.push(bounds.left, bounds.right);
+        targets.y.push(bounds.top, bounds.bottom);
+    };
+    measureTextBlocks(context, dims, getLayoutSettings('text'))
+        .filter(bounds => bounds.key !== dragged)
+        .forEach(addBounds);
+    getScreenshotLayers(getSceneScreenshot())
+        .filter(layer => layer.id !== dragged && layer.visible !== false && !isBuiltInLayer(layer))
+        .map(layer => measureLayerBounds(context, scene.dims, layer, getText().currentHeadlineLang || 'en'))
+        .filter(Boolean)
+        .forEach(bounds => addBounds(toSliceBounds(bounds, scene)));
+
+    const target = dragged !== 'screenshot' ? getManipulationTarget(getLayer('device')) : null;
+    if (target && !target.angle) {
+        const { x, y, width, height } = target.layout;
+        targets.x.push(x, x + width / 2, x + width);
+        targets.y.push(y, y + height);
+    }
+    return targets;
+}
+
+/**
+ * Snap a center coordinate so an edge or the center of the box lands on a target
+ * @returns {Object} { value, line } with the snapped center and the line it snapped to (or null)
+ */
+function snapCenter(value, extent, targets, threshold) {
+    let best = null;
+    [-extent, 0, extent].forEach(offset => {
+        targets.forEach(target => {
+            const distance = target - (value + offset);
+            if (Math.abs(distance) <= threshold && (!best || Math.abs(distance) < Math.abs(best.distance))) {
+                best = { distance, line: target };
+            }
+        });
+    });
+    return best ? { value: value + best.distance, line: best.line } : { value, line: null };
+}
+
+function startManipulation(e) {
+    if (e.button !== 0 || !getCurrentScreenshot()) return;
+
+    const dims = getCanvasDimensions();
+    const target = getManipulationTarget();
+    const scale = getManipulationScale(dims);
+    const point = getCanvasPoint(e, dims);
+    const hit = hitTestPreview(point, dims, target, scale);
+    if (!hit) return;
+
+    // Also keeps the 3D preview from rotating the model while a text block is dragged
+    e.preventDefault();
+    canvas.setPointerCapture(e.pointerId);
+    const deviceTarget = hit.target || target;
+    const dragged = hit.mode === 'text' ? hit.textBlock.key
+        : hit.mode === 'layer' ? hit.layerTarget.layer.id
+            : isBuiltInLayer(deviceTarget.layer) ? 'screenshot' : deviceTarget.layer.id;
+    activeManipulation = {
+        ...hit,
+        pointerId: e.pointerId,
+        start: point,
+        dims,
+        target: deviceTarget,
+        scale,
+        snapTargets: hit.mode === 'scale' || hit.mode === 'rotate' ? null : getSnapTargets(dims, dragged)
+    };
+    // Selecting a device makes setScreenshotSetting() change it
+    selectLayer({ text: 'text', layer: dragged }[hit.mode] || deviceTarget.layer.id);
+    beginHistoryGroup({
+        move: 'Move Screenshot',
+        scale: 'Scale Screenshot',
+        rotate: 'Rotate Screenshot',
+        text: dragged === 'headline' ? 'Move Headline' : 'Move Subheadline',
+        layer: 'Move Layer'
+    }[hit.mode]);
+}
+
+// Snap lines of a snapCenter() result on each axis
+function setSnapLines(snapX, snapY) {
+    manipulationSnapLines = [
+        snapX.line !== null ? { axis: 'x', value: snapX.line } : null,
+        snapY.line !== null ? { axis: 'y', value: snapY.line } : null
+    ].filter(Boolean);
+}
+
+function lockToAxis(dx, dy, shiftKey) {
+    if (!shiftKey) return { dx, dy };
+    return Math.abs(dx) > Math.abs(dy) ? { dx, dy: 0 } : { dx: 0, dy };
+}
+
+function moveScreenshot(point, shiftKey) {
+    const { target, start, scale, snapTargets } = activeManipulation;
+    const { dx, dy } = lockToAxis(point.x - start.x, point.y - start.y, shiftKey);
+
+    // Snap the rotated screenshot's bounding box
+    const cos = Math.abs(Math.cos(target.angle));
+    const sin = Math.abs(Math.sin(target.angle));
+    const extentX = target.layout.width / 2 * cos + target.layout.height / 2 * sin;
+    const extentY = target.layout.width / 2 * sin + target.layout.height / 2 * cos;
+    const threshold = MANIPULATION_SNAP_DISTANCE / scale;
+
+    const snapX = shiftKey && dx === 0
+        ? { value: target.center.x, line: null }
+        : snapCenter(target.center.x + dx, extentX, snapTargets.x, threshold);
+    const snapY = shiftKey && dy === 0
+        ? { value: target.center.y, line: null }
+        : snapCenter(target.center.y + dy, extentY, snapTargets.y, threshold);
+    setSnapLines(snapX, snapY);
+
+    const position = getPositionForCenter({ x: snapX.value + target.offsetX, y: snapY.value }, target.layout,
+        target.dims, target.settings);
+    setScreenshotSetting('x', position.x);
+    setScreenshotSetting('y', position.y);
+}
+
+const clampPercent = (value) => Math.min(100, Math.max(0, roundToTenth(value)));
+
+/**
+ * Offset of a dragged box (text block or layer bounds), snapping it like the screenshot
+ * @returns {Object} { x, y } offset in pixels
+ */
+function getSnappedBoxOffset(box, point, shiftKey) {
+    const { dims, start, scale, snapTargets } = activeManipulation;
+    const { dx, dy } = lockToAxis(point.x - start.x, point.y - start.y, shiftKey);
+    const center = { x: (box.left + box.right) / 2, y: (box.top + box.bottom) / 2 };
+    const threshold = MANIPULATION_SNAP_DISTANCE / scale;
+
+    const snapX = shiftKey && dx === 0
+        ? { value: center.x, line: null }
+        : snapCenter(center.x + dx, (box.right - box.left) / 2, snapTargets.x, threshold);
+    const snapY = shiftKey && dy === 0
+        ? { value: center.y, line: null }
+        : snapCenter(center.y + dy, (box.bottom - box.top) / 2, snapTargets.y, threshold);
+    setSnapLines(snapX, snapY);
+
+    return { x: snapX.value - center.x, y: snapY.value - center.y };
+}
+
+// Move a free-positioned text block
+function moveTextBlock(point, shiftKey) {
+    const { textBlock, dims } = activeManipulation;
+    const offset = getSnappedBoxOffset(textBlock, point, shiftKey);
+    setTextSetting(textBlock.key + 'Block', {
+        ...textBlock.block,
+        x: clampPercent(textBlock.block.x + offset.x / dims.width * 100),
+        y: clampPercent(textBlock.block.y + offset.y / dims.height * 100)
+    });
+}
+
+// Move an added layer (positioned in % of the scene, which is wider in panoramas)
+function moveLayerTarget(point, shiftKey) {
+    const { layerTarget } = activeManipulation;
+    const offset = getSnappedBoxOffset(layerTarget, point, shiftKey);
+    setLayerPosition(layerTarget.layer, {
+        x: clampPercent(layerTarget.position.x + offset.x / layerTarget.sceneDims.width * 100),
+        y: clampPercent(layerTarget.position.y + offset.y / layerTarget.sceneDims.height * 100)
+    });
+}
+
+function scaleScreenshot(point) {
+    const { target, start } = activeManipulation;
+    const startDistance = Math.hypot(start.x - target.center.x, start.y - target.center.y);
+    const distance = Math.hypot(point.x - target.center.x, point.y - target.center.y);
+    if (startDistance === 0) return;
+
+    const scale = clampToRange(roundToTenth(target.settings.scale * distance / startDistance), 'scale');
+    // Scale around the center instead of the position anchor
+    const size = getScreenshotLayout(target.dims, target.image, { ...target.settings, scale });
+    const center = { x: target.center.x + target.offsetX, y: target.center.y };
+    const position = getPositionForCenter(center, size, target.dims, target.settings);
+    setScreenshotSetting('scale', scale);
+    setScreenshotSetting('x', position.x);
+    setScreenshotSetting('y', position.y);
+}
+
+function rotateScreenshot(point, shiftKey) {
+    const { target, start } = activeManipulation;
+    const angleOf = (p) => Math.atan2(p.y - target.center.y, p.x - target.center.x) * 180 / Math.PI;
+    let rotation = (target.settings.rotation || 0) + angleOf(point) - angleOf(start);
+    rotation = ((rotation + 540) % 360) - 180;
+
+    if (shiftKey) {
+        rotation = Math.round(rotation / MANIPULATION_ROTATION_STEP) * MANIPULATION_ROTATION_STEP;
+    } else if (Math.abs(rotation) < 2) {
+        rotation = 0;
+    }
+    setScreenshotSetting('rotation', clampToRange(Math.round(rotation), 'rotation'));
+}
+
+function updateManipulation(e) {
+    if (!activeManipulation || e.pointerId !== activeManipulation.pointerId) return;
+    const point = getCanvasPoint(e, activeManipulation.dims);
+
+    if (activeManipulation.mode === 'text') {
+        moveTextBlock(point, e.shiftKey);
+    } else if (activeManipulation.mode === 'layer') {
+        moveLayerTarget(point, e.shiftKey);
+    } else if (activeManipulation.mode === 'move') {
+        moveScreenshot(point, e.shiftKey);
+    } else if (activeManipulation.mode === 'scale') {
+        scaleScreenshot(point);
+    } else {
+        rotateScreenshot(point, e.shiftKey);
+    }
+    scheduleManipulationUpdate();
+}
+
+function endManipulation(e) {
+    if (!activeManipulation || e.pointerId !== activeManipulation.pointerId) return;
+    activeManipulation = null;
+    manipulationSnapLines = [];
+    updateCanvas();
+    updateLayoutOverrideUI();
+    updateLayerProperties();
+    endHistoryGroup();
+}
+
+// Redraw once per frame while dragging
+function scheduleManipulationUpdate() {
+    if (manipulationUpdatePending) return;
+    manipulationUpdatePending = true;
+    requestAnimationFrame(() => {
+        manipulationUpdatePending = false;
+        updateCanvas();
+        updateLayoutOverrideUI();
+        updateLayerProperties();
+    });
+}
+
+function updateManipulationCursor(e) {
+    if (activeManipulation || !getCurrentScreenshot()) return;
+    const dims = getCanvasDimensions();
+    const hit = hitTestPreview(getCanvasPoint(e, dims), dims, getManipulationTarget(), getManipulationScale(dims));
+    // The 3D preview shows a grab cursor for rotating the model
+    if (!hit) canvas.style.cursor = getLayoutSettings('screenshot').use3D ? 'grab' : '';
+    else if (hit.mode === 'scale') canvas.style.cursor = CORNER_CURSORS[hit.corner];
+    else canvas.style.cursor = hit.mode === 'rotate' ? 'grab' : 'move';
+}
+
+// Arrow keys move the selected added layer, or the edited device, when no control has the focus
+function nudgeScreenshot(e) {
+    const offsets = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (!offsets[e.key] || e.metaKey || e.ctrlKey || e.altKey) return;
+    if (e.target.closest('input, select, textarea, button, [contenteditable]')) return;
+    if (document.querySelector('.modal-overlay.visible')) return;
+
+    const step = MANIPULATION_NUDGE_STEP * (e.shiftKey ? 10 : 1);
+    const [dx, dy] = offsets[e.key];
+
+    const layer = selectedLayerId ? getEditableLayer(selectedLayerId) : null;
+    if (layer && !isBuiltInLayer(layer) && layer.type !== 'device' && layer.visible !== false) {
+        e.preventDefault();
+        const position = getLayerPosition(layer);
+        markHistoryEdit(`layers.${layer.id}.position`);
+        setLayerPosition(layer, { x: clampPercent(position.x + dx * step), y: clampPercent(position.y + dy * step) });
+        updateCanvas();
+        updateLayerProperties();
+        return;
+    }
+
+    const target = getManipulationTarget();
+    if (!target) return;
+
+    e.preventDefault();
+    if (dx) setScreenshotSetting('x', clampToRange(roundToTenth(target.settings.x + dx * step), 'x'));
+    if (dy) setScreenshotSetting('y', clampToRange(roundToTenth(target.settings.y + dy * step), 'y'));
+    updateCanvas();
+    updateLayoutOverrideUI();
+}
+
+// Dashed outlines of the text blocks, solid for the one being dragged
+function drawTextBlockOutlines(context, dims, scale) {
+    const dragged = activeManipulation?.textBlock?.key;
+    context.strokeStyle = MANIPULATION_COLORS.outline;
+    getTextBlockTargets(dims).forEach(bounds => {
+        const padding = 4 / scale;
+        context.setLineDash(bounds.key === dragged ? [] : [4 / scale, 3 / scale]);
+        context.strokeRect(bounds.left - padding, bounds.top - padding,
+            bounds.right - bounds.left + padding * 2, bounds.bottom - bounds.top + padding * 2);
+    });
+    context.setLineDash([]);
+}
+
+/**
+ * Draw the selection outline, handles and snap lines over the preview
+ */
+function updateManipulationOverlay() {
+    const overlay = document.getElementById('preview-manipulation');
+    const dims = getCanvasDimensions();
+    const scale = getManipulationScale(dims);
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    overlay.style.width = canvas.style.width;
+    overlay.style.height = canvas.style.height;
+    overlay.width = Math.round(dims.width * scale * pixelRatio);
+    overlay.height = Math.round(dims.height * scale * pixelRatio);
+
+    if (!(manipulationHover || activeManipulation) || !getCurrentScreenshot()) return;
+
+    const context = overlay.getContext('2d');
+    context.scale(pixelRatio * scale, pixelRatio * scale);
+    context.lineWidth = 1 / scale;
+
+    context.strokeStyle = MANIPULATION_COLORS.snap;
+    manipulationSnapLines.forEach(line => {
+        context.beginPath();
+        if (line.axis === 'x') {
+            context.moveTo(line.value, 0);
+            context.lineTo(line.value, dims.height);
+        } else {
+            context.moveTo(0, line.value);
+            context.lineTo(dims.width, line.value);
+        }
+        context.stroke();
+    });
+
+    drawTextBlockOutlines(context, dims, scale);
+
+    // The selected added layer
+    const selectedLayer = selectedLayerId ? getLayer(selectedLayerId) : null;
+    const layerTarget = selectedLayer ? getLayerTarget(dims, selectedLayer) : null;
+    if (layerTarget) {
+        context.strokeStyle = MANIPULATION_COLORS.outline;
+        context.strokeRect(layerTarget.left, layerTarget.top,
+            layerTarget.right - layerTarget.left, layerTarget.bottom - layerTarget.top);
+    }
+
+    // Screenshot handles are hidden while a text block or layer is dragged
+    const dragsOther = activeManipulation?.mode === 'text' || activeManipulation?.mode === 'layer';
+    const target = dragsOther ? null : getManipulationTarget();
+    if (!target) return;
+
+    const handles = getManipulationHandles(target, scale);
+    const corners = Object.values(handles.corners).map(point => fromScreenshotFrame(point, target));
+    const rotateHandle = fromScreenshotFrame(handles.rotate, target);
+    const topCenter = fromScreenshotFrame({ x: 0, y: -target.layout.height / 2 }, target);
+
+    context.strokeStyle = MANIPULATION_COLORS.outline;
+    context.beginPath();
+    corners.forEach((point, i) => (i === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y)));
+    context.closePath();
+    context.moveTo(topCenter.x, topCenter.y);
+    context.lineTo(rotateHandle.x, rotateHandle.y);
+    context.stroke();
+
+    const size = MANIPULATION_HANDLE_SIZE / scale;
+    context.fillStyle = MANIPULATION_COLORS.handle;
+    corners.forEach(point => {
+        context.fillRect(point.x - size / 2, point.y - size / 2, size, size);
+        context.strokeRect(point.x - size / 2, point.y - size / 2, size, size);
+    });
+    context.beginPath();
+    context.arc(rotateHandle.x, rotateHandle.y, size / 2, 0, Math.PI * 2);
+    context.fill();
+    context.stroke();
+}
+
+function initCanvasManipulation() {
+    canvas.addEventListener('pointerdown', startManipulation);
+    canvas.addEventListener('pointermove', (e) => {
+        if (activeManipulation) {
+            updateManipulation(e);
+        } else {
+            updateManipulationCursor(e);
+        }
+    });
+    canvas.addEventListener('pointerup', endManipulation);
+    canvas.addEventListener('pointercancel', endManipulation);
+
+    // The handles stick out of the screenshot, so they show while the pointer is over the preview area
+    canvasWrapper.addEventListener('pointerenter', () => {
+        manipulationHover = true;
+        updateManipulationOverlay();
+    });
+    canvasWrapper.addEventListener('pointerleave', () => {
+        manipulationHover = false;
+        updateManipulationOverlay();
+    });
+
+    document.addEventListener('keydown', nudgeScreenshot);
+}
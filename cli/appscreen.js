@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+// Headless renderer for CI
+// Renders a .appscreen project to PNGs with the app's own drawing code (render.js) on a
+// Skia canvas, with the same file names and image format as "Export All Languages"
+// (<lang>/screenshot-N.png unless the project has a naming template or another format).
+//
+// Run from a checkout after `npm install` (the canvas and zip packages are dev dependencies):
+//
+//   npm run render -- project.appscreen --out dist/ --lang all --device iphone-6.9
+
+const path = require('path');
+const fs = require('fs');
+const vm = require('vm');
+const JSZip = require('jszip');
+const { createCanvas, loadImage, GlobalFonts } = require('@napi-rs/canvas');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// App scripts needed for rendering, loaded into one shared scope like index.html does
+const APP_SCRIPTS = [
+    'asset-store.js', 'project-file.js', 'device-frames.js', 'render.js',
+    'export-naming.js', 'export-encoding.js'
+];
+
+const USAGE = `Usage: npm run render -- <project.appscreen> [options]
+
+Options:
+  --out <dir>       Output directory (default: ./screenshots)
+  --lang <langs>    "all" or comma-separated language codes (default: all)
+  --device <id>     Output size: a device id (e.g. iphone-6.9, ipad-12.9)
+                    or WIDTHxHEIGHT (default: the project's output size)
+  --font <file>     Register a font file for headlines (repeatable)
+  -h, --help        Show this help`;
+
+function parseArgs(argv) {
+    const args = { command: null, project: null, out: 'screenshots', lang: 'all', device: null, fonts: [] };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '--out') {
+            args.out = value();
+        } else if (arg === '--lang') {
+            args.lang = value();
+        } else if (arg === '--device') {
+            args.device = value();
+        } else if (arg === '--font') {
+            args.fonts.push(value());
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    [args.command, args.project] = positional;
+    return args;
+}
+
+// Skia canvas with the convertToBlob() export-encoding.js encodes with (as on an OffscreenCanvas)
+function createExportCanvas(width, height) {
+    const canvas = createCanvas(width, height);
+    canvas.convertToBlob = async ({ type, quality }) => {
+        const format = type.replace('image/', '');
+        const data = quality === undefined
+            ? await canvas.encode(format)
+            : await canvas.encode(format, Math.round(quality * 100));
+        return new Blob([data], { type });
+    };
+    return canvas;
+}
+
+// CSS generic families and system font aliases, which Skia resolves to any installed font
+const FALLBACK_FONT_FAMILIES = new Set([
+    'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', '-apple-system', 'blinkmacsystemfont'
+]);
+
+/**
+ * Record the fonts text is drawn with on a canvas
+ * @param {Canvas} canvas - Canvas from createExportCanvas()
+ * @param {Set<string>} fonts - Set the CSS font shorthands are added to
+ */
+function trackTextFonts(canvas, fonts) {
+    const context = canvas.getContext('2d');
+    const fillText = context.fillText;
+    context.fillText = (...args) => {
+        fonts.add(context.font);
+        return fillText.apply(context, args);
+    };
+}
+
+/**
+ * Font family of a CSS font shorthand that isn't registered, so text falls back to another font
+ * @param {string} font - E.g. "normal 600 96px 'Inter', sans-serif"
+ * @returns {string|null} The first named family, or null if one of the named families is available
+ */
+function getMissingFontFamily(font) {
+    const match = /[\d.]+px\s+(.+)$/.exec(font);
+    if (!match) return null;
+    const families = match[1].split(',')
+        .map(family => family.trim().replace(/^['"]|['"]$/g, ''))
+        .filter(family => family && !FALLBACK_FONT_FAMILIES.has(family.toLowerCase()));
+    if (families.length === 0 || families.some(family => GlobalFonts.has(family))) return null;
+    return families[0];
+}
+
+function loadAppScripts() {
+    const context = vm.createContext({
+        JSZip,
+        Blob,
+        console,
+        // export-encoding.js flattens images for opaque formats onto an OffscreenCanvas
+        OffscreenCanvas: class {
+            constructor(width, height) {
+                return createExportCanvas(width, height);
+            }
+        },
+        atob: (data) => Buffer.from(data, 'base64').toString('binary')
+    });
+    APP_SCRIPTS.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT_DIR, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context;
+}
+
+// Read a .appscreen file into a project record with data URLs
+async function readProjectFile(app, file) {
+    const zip = await JSZip.loadAsync(fs.readFileSync(file));
+    const manifestFile = zip.file('manifest.json');
+    if (!manifestFile) {
+        throw new Error('This is not an .appscreen project file.');
+    }
+    const manifest = app.migrateProjectManifest(JSON.parse(await manifestFile.async('string')));
+    return app.unpackProjectAssets(manifest.project, zip);
+}
+
+// localizedImages of a screenshot or device layer with decoded images
+async function loadLocalizedImages(localizedImages) {
+    const loaded = {};
+    for (const lang of Object.keys(localizedImages || {})) {
+        const langData = localizedImages[lang];
+        if (langData?.src) {
+            loaded[lang] = { ...langData, image: await loadImage(langData.src) };
+        }
+    }
+    return loaded;
+}
+
+// Replace image sources with decoded images, like loadState() does in the app
+async function hydrateScreenshots(record) {
+    const screenshots = [];
+
+    for (const s of record.screenshots || []) {
+        const localizedImages = await loadLocalizedImages(s.localizedImages);
+
+        const background = { ...s.background };
+        if (background.image && typeof background.image === 'string') {
+            background.image = await loadImage(background.image);
+        }
+
+        const layers = [];
+        for (const layer of s.layers || []) {
+            if (layer.type === 'image' && typeof layer.image === 'string') {
+                layers.push({ ...layer, image: await loadImage(layer.image) });
+            } else if (layer.type === 'device' && layer.localizedImages) {
+                layers.push({ ...layer, localizedImages: await loadLocalizedImages(layer.localizedImages) });
+            } else {
+                layers.push(layer);
+            }
+        }
+
+        screenshots.push({
+            ...s,
+            image: !s.localizedImages && s.src ? await loadImage(s.src) : null, // Old format
+            localizedImages,
+            background,
+            layers: s.layers ? layers : undefined
+        });
+    }
+
+    return screenshots;
+}
+
+function getOutputDimensions(app, record, device) {
+    const deviceDimensions = vm.runInContext('deviceDimensions', app);
+
+    if (device) {
+        const custom = /^(\d+)x(\d+)$/.exec(device);
+        if (custom) return { width: Number(custom[1]), height: Number(custom[2]) };
+        if (!deviceDimensions[device]) {
+            throw new Error(`Unknown device "${device}". Known devices: ${Object.keys(deviceDimensions).join(', ')}`);
+        }
+        return deviceDimensions[device];
+    }
+
+    if (record.outputDevice === 'custom') {
+        return { width: record.customWidth, height: record.customHeight };
+    }
+    return deviceDimensions[record.outputDevice || 'iphone-6.9'];
+}
+
+// Output size as used in export file names, like getOutputDeviceId() in the app
+function getOutputDeviceId(record, device) {
+    if (device) {
+        return /^\d+x\d+$/.test(device) ? `custom-${device}` : device;
+    }
+    return record.outputDevice === 'custom'
+        ? `custom-${record.customWidth}x${record.customHeight}`
+        : record.outputDevice || 'iphone-6.9';
+}
+
+// Image format of the project's exports, as encodeExportImage() takes it
+function getExportFormat(record) {
+    const { type, quality, maxSizeKB } = { type: 'png', quality: 90, maxSizeKB: 0, ...record.exportFormat };
+    return { type, quality, maxBytes: maxSizeKB > 0 ? maxSizeKB * 1024 : 0 };
+}
+
+// Output size whose layout overrides apply (custom WIDTHxHEIGHT sizes use the project's custom layout)
+function getLayoutDevice(record, device) {
+    if (!device) return record.outputDevice || 'iphone-6.9';
+    return /^\d+x\d+$/.test(device) ? 'custom' : device;
+}
+
+async function render(args) {
+    if (!args.project) {
+        throw new Error('Missing project file.');
+    }
+
+    args.fonts.forEach(font => {
+        if (!GlobalFonts.registerFromPath(path.resolve(font))) {
+            throw new Error(`Could not load font ${font}`);
+        }
+    });
+
+    const app = loadAppScripts();
+    const record = await readProjectFile(app, args.project);
+    const screenshots = await hydrateScreenshots(record);
+    const projectLanguages = record.projectLanguages || ['en'];
+    const languages = args.lang === 'all'
+        ? projectLanguages
+        : args.lang.split(',').map(l => l.trim()).filter(Boolean);
+    const unknownLanguages = languages.filter(lang => !projectLanguages.includes(lang));
+    if (unknownLanguages.length > 0) {
+        throw new Error(`Unknown language "${unknownLanguages.join('", "')}". Project languages: ${projectLanguages.join(', ')}`);
+    }
+    const dims = getOutputDimensions(app, record, args.device);
+    const layoutDevice = getLayoutDevice(record, args.device);
+
+    if (screenshots.length === 0) {
+        throw new Error('The project has no screenshots.');
+    }
+
+    // File names as "Export All Languages" names them
+    const jobs = [];
+    languages.forEach(lang => {
+        screenshots.forEach((_, index) => jobs.push({ index, lang }));
+    });
+    const template = app.getExportNamingTemplate(record.exportNaming, '{lang}/screenshot-{index}', {
+        languages: languages.length > 1
+    });
+    const device = getOutputDeviceId(record, args.device);
+    const format = getExportFormat(record);
+    const paths = app.makeUniqueExportPaths(jobs.map(job => app.getExportFilePath(template, {
+        index: job.index + 1,
+        name: screenshots[job.index].name,
+        lang: job.lang,
+        device,
+        width: dims.width,
+        height: dims.height
+    }, format)));
+
+    let skipped = 0;
+    // Files written per font family that isn't registered
+    const missingFonts = new Map();
+    for (let j = 0; j < jobs.length; j++) {
+        const { index: i, lang } = jobs[j];
+        const file = path.join(args.out, ...paths[j].split('/'));
+
+        // 3D device mockups need WebGL, which isn't available headless
+        if (app.getDevice3DModels(app.getSceneModel(screenshots, i)).length > 0) {
+            console.warn(`Skipped ${file}: 3D mode is not supported by the headless renderer`);
+            skipped++;
+            continue;
+        }
+
+        const exportCanvas = createExportCanvas(dims.width, dims.height);
+        const fonts = new Set();
+        trackTextFonts(exportCanvas, fonts);
+        const canvas = app.renderScreenshot(screenshots[i], dims, lang, {
+            canvas: exportCanvas,
+            projectLanguages,
+            layoutDevice,
+            panorama: app.getPanoramaSlice(screenshots, i)
+        });
+
+        let image;
+        try {
+            image = await app.encodeExportImage(canvas, format);
+        } catch (error) {
+            // E.g. over the project's size limit at the lowest quality
+            console.warn(`Skipped ${file}: ${error.message}`);
+            skipped++;
+            continue;
+        }
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, Buffer.from(await image.arrayBuffer()));
+        console.log(`Wrote ${file}`);
+
+        fonts.forEach(font => {
+            const family = getMissingFontFamily(font);
+            if (!family) return;
+            if (!missingFonts.has(family)) missingFonts.set(family, new Set());
+            missingFonts.get(family).add(file);
+        });
+    }
+
+    // Text in these fonts was drawn in a fallback font, so it doesn't match the app's export
+    missingFonts.forEach((files, family) => {
+        console.warn(`Font "${family}" is not registered: ${files.size} image(s) use a fallback font ` +
+            `instead and differ from the app's export. Pass the font file with --font.`);
+    });
+
+    return skipped > 0 ? 1 : 0;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help || !args.command) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (args.command !== 'render') {
+        throw new Error(`Unknown command "${args.command}"`);
+    }
+    return render(args);
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(`appscreen: ${error.message}`);
+        process.exit(2);
+    });
@@ -0,0 +1,346 @@
+// Device Frames
+// Vector bezels for the 2D device: the body, screen shape, camera cutout and buttons of current
+// phones and tablets, in color variants. Sizes are fractions of the screen's short side in
+// portrait, so a frame scales with the screenshot and turns with landscape screenshots.
+
+const DEVICE_FRAME_COLORS = {
+    black: { name: 'Black', body: '#1d1d1f', rim: '#4a4a4e', button: '#2c2c2e' },
+    silver: { name: 'Silver', body: '#d9dadc', rim: '#f5f5f7', button: '#c2c3c6' },
+    titanium: { name: 'Titanium', body: '#8e8a84', rim: '#c4bfb6', button: '#7a766f' }
+};
+
+// screen: pixel size of the screen in portrait (its aspect ratio is used)
+// bezel: body border around the screen; screenRadius: corner radius of the screen
+// cutout: 'island' (pill), 'punchHole' (circle) or 'bezelCamera' (camera in the bezel on the
+// long side, iPads and tablets), top: distance of the cutout from the screen edge
+// buttons: side ('left', 'right' or 'top'), start along that side and length, as fractions of
+// the side's length
+const DEVICE_FRAMES = {
+    'iphone-16-pro-max': {
+        name: 'iPhone 16 Pro Max',
+        group: 'Apple',
+        screen: { width: 1320, height: 2868 },
+        bezel: 0.045,
+        screenRadius: 0.125,
+        cutout: { type: 'island', width: 0.284, height: 0.084, top: 0.025 },
+        buttons: [
+            { side: 'left', start: 0.15, length: 0.045 },
+            { side: 'left', start: 0.22, length: 0.08 },
+            { side: 'left', start: 0.32, length: 0.08 },
+            { side: 'right', start: 0.26, length: 0.13 },
+            { side: 'right', start: 0.52, length: 0.07 }
+        ]
+    },
+    'iphone-16-pro': {
+        name: 'iPhone 16 Pro',
+        group: 'Apple',
+        screen: { width: 1206, height: 2622 },
+        bezel: 0.047,
+        screenRadius: 0.137,
+        cutout: { type: 'island', width: 0.31, height: 0.092, top: 0.027 },
+        buttons: [
+            { side: 'left', start: 0.15, length: 0.045 },
+            { side: 'left', start: 0.22, length: 0.08 },
+            { side: 'left', start: 0.32, length: 0.08 },
+            { side: 'right', start: 0.26, length: 0.13 },
+            { side: 'right', start: 0.52, length: 0.07 }
+        ]
+    },
+    'iphone-16': {
+        name: 'iPhone 16',
+        group: 'Apple',
+        screen: { width: 1179, height: 2556 },
+        bezel: 0.055,
+        screenRadius: 0.14,
+        cutout: { type: 'island', width: 0.318, height: 0.094, top: 0.028 },
+        buttons: [
+            { side: 'left', start: 0.15, length: 0.045 },
+            { side: 'left', start: 0.22, length: 0.08 },
+            { side: 'left', start: 0.32, length: 0.08 },
+            { side: 'right', start: 0.26, length: 0.13 },
+            { side: 'right', start: 0.52, length: 0.07 }
+        ]
+    },
+    'ipad-pro-13': {
+        name: 'iPad Pro 13"',
+        group: 'Apple',
+        screen: { width: 2064, height: 2752 },
+        bezel: 0.045,
+        screenRadius: 0.02,
+        cutout: { type: 'bezelCamera', width: 0.01 },
+        buttons: [
+            { side: 'top', start: 0.76, length: 0.08 },
+            { side: 'right', start: 0.08, length: 0.06 },
+            { side: 'right', start: 0.15, length: 0.06 }
+        ]
+    },
+    'ipad-air-11': {
+        name: 'iPad Air 11"',
+        group: 'Apple',
+        screen: { width: 1640, height: 2360 },
+        bezel: 0.06,
+        screenRadius: 0.025,
+        cutout: { type: 'bezelCamera', width: 0.012 },
+        buttons: [
+            { side: 'top', start: 0.76, length: 0.09 },
+            { side: 'right', start: 0.08, length: 0.06 },
+            { side: 'right', start: 0.15, length: 0.06 }
+        ]
+    },
+    'pixel-9-pro': {
+        name: 'Pixel 9 Pro',
+        group: 'Google',
+        screen: { width: 1280, height: 2856 },
+        bezel: 0.042,
+        screenRadius: 0.1,
+        cutout: { type: 'punchHole', width: 0.045, top: 0.03 },
+        buttons: [
+            { side: 'right', start: 0.2, length: 0.06 },
+            { side: 'right', start: 0.3, length: 0.12 }
+        ]
+    },
+    'pixel-tablet': {
+        name: 'Pixel Tablet',
+        group: 'Google',
+        screen: { width: 1600, height: 2560 },
+        bezel: 0.08,
+        screenRadius: 0.035,
+        cutout: { type: 'bezelCamera', width: 0.012 },
+        buttons: [
+            { side: 'top', start: 0.12, length: 0.06 },
+            { side: 'top', start: 0.2, length: 0.1 }
+        ]
+    },
+    'galaxy-s24-ultra': {
+        name: 'Galaxy S24 Ultra',
+        group: 'Samsung',
+        screen: { width: 1440, height: 3120 },
+        bezel: 0.035,
+        screenRadius: 0.03,
+        cutout: { type: 'punchHole', width: 0.035, top: 0.025 },
+        buttons: [
+            { side: 'right', start: 0.18, length: 0.12 },
+            { side: 'right', start: 0.32, length: 0.07 }
+        ]
+    },
+    'galaxy-s24': {
+        name: 'Galaxy S24',
+        group: 'Samsung',
+        screen: { width: 1080, height: 2340 },
+        bezel: 0.045,
+        screenRadius: 0.11,
+        cutout: { type: 'punchHole', width: 0.04, top: 0.028 },
+        buttons: [
+            { side: 'right', start: 0.18, length: 0.12 },
+            { side: 'right', start: 0.32, length: 0.07 }
+        ]
+    },
+    'galaxy-tab-s9': {
+        name: 'Galaxy Tab S9',
+        group: 'Samsung',
+        screen: { width: 1600, height: 2560 },
+        bezel: 0.05,
+        screenRadius: 0.03,
+        cutout: { type: 'bezelCamera', width: 0.01 },
+        buttons: [
+            { side: 'right', start: 0.1, length: 0.06 },
+            { side: 'right', start: 0.18, length: 0.1 }
+        ]
+    }
+};
+
+// Screenshot sizes of devices (portrait pixels) with the frame and 3D model closest to them,
+// used to set up uploads. Older devices use the current frame of the same shape. Sizes shared
+// by several devices (1080 × 2340 is also the iPhone 13 mini) list the more common one.
+const SOURCE_DEVICES = [
+    { width: 1320, height: 2868, name: 'iPhone 16 Pro Max', frame: 'iphone-16-pro-max', device3D: 'iphone' },
+    { width: 1206, height: 2622, name: 'iPhone 16 Pro', frame: 'iphone-16-pro', device3D: 'iphone' },
+    { width: 1290, height: 2796, name: 'iPhone 15 Pro Max', frame: 'iphone-16-pro-max', device3D: 'iphone' },
+    { width: 1179, height: 2556, name: 'iPhone 15 Pro', frame: 'iphone-16', device3D: 'iphone' },
+    { width: 1284, height: 2778, name: 'iPhone 14 Plus', frame: 'iphone-16-pro-max', device3D: 'iphone' },
+    { width: 1170, height: 2532, name: 'iPhone 14', frame: 'iphone-16', device3D: 'iphone' },
+    { width: 1242, height: 2688, name: 'iPhone 11 Pro Max', frame: 'iphone-16-pro-max', device3D: 'iphone' },
+    { width: 1125, height: 2436, name: 'iPhone 11 Pro', frame: 'iphone-16-pro', device3D: 'iphone' },
+    { width: 828, height: 1792, name: 'iPhone 11', frame: 'iphone-16', device3D: 'iphone' },
+    { width: 1242, height: 2208, name: 'iPhone 8 Plus', frame: null, device3D: null },
+    { width: 750, height: 1334, name: 'iPhone SE', frame: null, device3D: null },
+    { width: 2064, height: 2752, name: 'iPad Pro 13"', frame: 'ipad-pro-13', device3D: null },
+    { width: 2048, height: 2732, name: 'iPad Pro 12.9"', frame: 'ipad-pro-13', device3D: null },
+    { width: 1668, height: 2420, name: 'iPad Pro 11" (M4)', frame: 'ipad-air-11', device3D: null },
+    { width: 1668, height: 2388, name: 'iPad Pro 11"', frame: 'ipad-air-11', device3D: null },
+    { width: 1640, height: 2360, name: 'iPad Air 11"', frame: 'ipad-air-11', device3D: null },
+    { width: 1488, height: 2266, name: 'iPad mini', frame: null, device3D: null },
+    { width: 1344, height: 2992, name: 'Pixel 9 Pro XL', frame: 'pixel-9-pro', device3D: null },
+    { width: 1280, height: 2856, name: 'Pixel 9 Pro', frame: 'pixel-9-pro', device3D: null },
+    { width: 1080, height: 2424, name: 'Pixel 9', frame: 'pixel-9-pro', device3D: null },
+    { width: 1080, height: 2400, name: 'Pixel', frame: 'pixel-9-pro', device3D: null },
+    { width: 1440, height: 3120, name: 'Galaxy S24 Ultra', frame: 'galaxy-s24-ultra', device3D: 'samsung' },
+    { width: 1440, height: 3088, name: 'Galaxy S22 Ultra', frame: 'galaxy-s24-ultra', device3D: 'samsung' },
+    { width: 1080, height: 2340, name: 'Galaxy S24', frame: 'galaxy-s24', device3D: 'samsung' },
+    { width: 1752, height: 2800, name: 'Galaxy Tab S9+', frame: 'galaxy-tab-s9', device3D: null },
+    { width: 1600, height: 2560, name: 'Galaxy Tab S9 / Pixel Tablet', frame: 'galaxy-tab-s9', device3D: null }
+];
+
+// Screen shapes closer than this (relative difference of the aspect ratios) count as a match
+const SCREEN_ASPECT_TOLERANCE = 0.02;
+
+// Button thickness outside the body
+const DEVICE_FRAME_BUTTON_DEPTH = 0.012;
+
+/**
+ * Get the device frame a 2D device is drawn in
+ * @param {Object} settings - Screenshot settings (deviceFrame, deviceFrameColor)
+ * @returns {Object|null} { frame, color } or null without a frame
+ */
+function getDeviceFrame(settings) {
+    const frame = DEVICE_FRAMES[settings.deviceFrame];
+    if (!frame) return null;
+    return { frame, color: DEVICE_FRAME_COLORS[settings.deviceFrameColor] || DEVICE_FRAME_COLORS.black };
+}
+
+/**
+ * Get the size of a frame's body, in screen short sides
+ * @param {Object} frame - DEVICE_FRAMES entry
+ * @param {boolean} landscape - Whether the device is turned sideways
+ * @returns {Object} { width, height }
+ */
+function getDeviceFrameSize(frame, landscape) {
+    const width = 1 + frame.bezel * 2;
+    const height = frame.screen.height / frame.screen.width + frame.bezel * 2;
+    return landscape ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Get the screen of a frame drawn at a body rect
+ * @param {Object} frame - DEVICE_FRAMES entry
+ * @param {Object} body - { x, y, width, height } of the body
+ * @returns {Object} { x, y, width, height, radius, unit } (unit: pixels per screen short side)
+ */
+function getDeviceFrameScreen(frame, body) {
+    const unit = Math.min(body.width, body.height) / (1 + frame.bezel * 2);
+    const inset = frame.bezel * unit;
+    return {
+        x: body.x + inset,
+        y: body.y + inset,
+        width: body.width - inset * 2,
+        height: body.height - inset * 2,
+        radius: frame.screenRadius * unit,
+        unit
+    };
+}
+
+// Body corner radius, following the screen's corners
+function getDeviceFrameRadius(frame, unit) {
+    return (frame.screenRadius + frame.bezel) * unit;
+}
+
+/**
+ * Draw a frame's body and buttons (under the screen)
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {Object} body - { x, y, width, height } of the body
+ * @param {Object} frame - DEVICE_FRAMES entry
+ * @param {Object} color - DEVICE_FRAME_COLORS entry
+ */
+function drawDeviceFrameBody(context, body, frame, color) {
+    const { unit } = getDeviceFrameScreen(frame, body);
+    const landscape = body.width > body.height;
+    const depth = DEVICE_FRAME_BUTTON_DEPTH * unit;
+
+    // Buttons are placed in portrait and turned with the device (the left side ends up at the bottom)
+    context.fillStyle = color.button;
+    frame.buttons.forEach(button => {
+        const side = landscape ? { left: 'bottom', right: 'top', top: 'left' }[button.side] : button.side;
+        const along = side === 'left' || side === 'right' ? body.height : body.width;
+        // Sideways, the portrait top edge runs bottom-to-top along the left side
+        const start = landscape && button.side === 'top' ? 1 - button.start - button.length : button.start;
+        const offset = start * along;
+        const length = button.length * along;
+        context.beginPath();
+        if (side === 'left') roundRect(context, body.x - depth, body.y + offset, depth * 2, length, depth);
+        if (side === 'right') roundRect(context, body.x + body.width - depth, body.y + offset, depth * 2, length, depth);
+        if (side === 'top') roundRect(context, body.x + offset, body.y - depth, length, depth * 2, depth);
+        if (side === 'bottom') roundRect(context, body.x + offset, body.y + body.height - depth, length, depth * 2, depth);
+        context.fill();
+    });
+
+    const radius = getDeviceFrameRadius(frame, unit);
+    context.fillStyle = color.body;
+    context.beginPath();
+    roundRect(context, body.x, body.y, body.width, body.height, radius);
+    context.fill();
+
+    // Polished rim along the edge
+    const rim = Math.max(1, unit * 0.006);
+    context.strokeStyle = color.rim;
+    context.lineWidth = rim;
+    context.beginPath();
+    roundRect(context, body.x + rim / 2, body.y + rim / 2, body.width - rim, body.height - rim, radius - rim / 2);
+    context.stroke();
+}
+
+/**
+ * Draw a frame's camera cutout (over the screen)
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {Object} body - { x, y, width, height } of the body
+ * @param {Object} frame - DEVICE_FRAMES entry
+ */
+function drawDeviceFrameCutout(context, body, frame) {
+    const screen = getDeviceFrameScreen(frame, body);
+    const cutout = frame.cutout;
+    const landscape = body.width > body.height;
+    const unit = screen.unit;
+    // Center of the cutout; sideways, the top of the portrait screen is on the left
+    const across = (length, top) => landscape
+        ? { x: screen.x + top + length / 2, y: screen.y + screen.height / 2 }
+        : { x: screen.x + screen.width / 2, y: screen.y + top + length / 2 };
+
+    context.fillStyle = '#000';
+    if (cutout.type === 'island') {
+        const width = cutout.width * unit;
+        const height = cutout.height * unit;
+        const center = across(height, cutout.top * unit);
+        const w = landscape ? height : width;
+        const h = landscape ? width : height;
+        context.beginPath();
+        roundRect(context, center.x - w / 2, center.y - h / 2, w, h, Math.min(w, h) / 2);
+        context.fill();
+    } else if (cutout.type === 'punchHole') {
+        const size = cutout.width * unit;
+        const center = across(size, cutout.top * unit);
+        context.beginPath();
+        context.arc(center.x, center.y, size / 2, 0, Math.PI * 2);
+        context.fill();
+    } else if (cutout.type === 'bezelCamera') {
+        // Tablets have the camera in the middle of the long side's bezel (the top when sideways)
+        const size = cutout.width * unit;
+        const x = landscape ? body.x + body.width / 2 : body.x + body.width - frame.bezel * unit / 2;
+        const y = landscape ? body.y + frame.bezel * unit / 2 : body.y + body.height / 2;
+        context.fillStyle = '#0b0b0d';
+        context.beginPath();
+        context.arc(x, y, size / 2, 0, Math.PI * 2);
+        context.fill();
+    }
+}
+
+/**
+ * Identify the device a screenshot was taken on from its exact pixel size
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object|null} SOURCE_DEVICES entry (portrait or landscape), null if unknown
+ */
+function detectSourceDevice(width, height) {
+    const short = Math.min(width, height);
+    const long = Math.max(width, height);
+    return SOURCE_DEVICES.find(device => device.width === short && device.height === long) || null;
+}
+
+/**
+ * Check whether an image has the shape of a screen
+ * @param {Object} img - Image (anything with width and height)
+ * @param {number} screenAspect - Width / height of the screen
+ * @returns {boolean}
+ */
+function matchesScreenAspect(img, screenAspect) {
+    const aspect = img.width / img.height;
+    return Math.abs(aspect - screenAspect) / screenAspect <= SCREEN_ASPECT_TOLERANCE;
+}
@@ -0,0 +1,491 @@
+// 3D Device Models
+// The 3D models in the Device tab: built in (deviceConfigs in three-renderer.js), listed in
+// models/manifest.json, saved to the user's library or imported into the project. A model's
+// config places the screen plane on it. Calibrating a model stores its config in the project
+// (state.deviceModels); "Save to Library" keeps the model and its config for all projects.
+
+const DEVICE_MODELS_MANIFEST_URL = 'models/manifest.json';
+
+const DEVICE_MODEL_MIME_TYPES = {
+    glb: 'model/gltf-binary',
+    gltf: 'model/gltf+json'
+};
+
+const DEVICE_MODEL_SOURCES = {
+    builtin: 'Built-in',
+    manifest: 'Models Folder',
+    library: 'My Library',
+    project: 'This Project'
+};
+
+// Config values set by calibration, the others (name, modelPath) come from the model's source
+const DEFAULT_DEVICE_MODEL_CONFIG = {
+    aspectRatio: 9 / 19.5,
+    screenHeightFactor: 0.8,
+    screenOffset: { x: 0, y: 0, z: 0 },
+    cornerRadiusFactor: 0.1,
+    modelRotation: { x: 0, y: 0, z: 0 }
+};
+
+// Models before the library and the project are applied
+const builtInDeviceModels = JSON.parse(JSON.stringify(deviceConfigs));
+Object.values(deviceConfigs).forEach(config => { config.source = 'builtin'; });
+let manifestDeviceModels = {};
+// Library entries by id: { id, name, src, fileName, config } (no src: calibration of another model)
+let libraryDeviceModels = {};
+// Object URLs of model files, by data URL
+const deviceModelUrls = new Map();
+// Whether the calibration controls are open
+let deviceModelCalibrationOpen = false;
+
+// ==========================================
+// Registry
+// ==========================================
+
+/**
+ * Fill in missing calibration values
+ * @param {Object} config - Partial config
+ * @returns {Object} Config with all calibration values
+ */
+function normalizeDeviceModelConfig(config) {
+    return {
+        ...DEFAULT_DEVICE_MODEL_CONFIG,
+        ...config,
+        screenOffset: { ...DEFAULT_DEVICE_MODEL_CONFIG.screenOffset, ...config.screenOffset },
+        modelRotation: { ...DEFAULT_DEVICE_MODEL_CONFIG.modelRotation, ...config.modelRotation }
+    };
+}
+
+// Calibration values of a config (what the project and the library store)
+function getDeviceModelCalibration(config) {
+    const calibration = {};
+    Object.keys(DEFAULT_DEVICE_MODEL_CONFIG).forEach(key => {
+        calibration[key] = JSON.parse(JSON.stringify(config[key] ?? DEFAULT_DEVICE_MODEL_CONFIG[key]));
+    });
+    return calibration;
+}
+
+// URL the model loader can read a stored model file from
+function getDeviceModelUrl(src) {
+    if (!deviceModelUrls.has(src)) {
+        deviceModelUrls.set(src, URL.createObjectURL(dataUrlToBlob(src)));
+    }
+    return deviceModelUrls.get(src);
+}
+
+/**
+ * Rebuild deviceConfigs from the built-in, manifest, library and project models
+ * Later sources win: a library or project entry with a file adds a model, one without a file
+ * calibrates a model of an earlier source.
+ */
+function rebuildDeviceModelRegistry() {
+    const models = {};
+    Object.entries(builtInDeviceModels).forEach(([id, config]) => {
+        models[id] = { ...config, source: 'builtin' };
+    });
+    Object.entries(manifestDeviceModels).forEach(([id, config]) => {
+        models[id] = { ...config, source: 'manifest' };
+    });
+    [['library', libraryDeviceModels], ['project', state.deviceModels || {}]].forEach(([source, entries]) => {
+        Object.entries(entries).forEach(([id, model]) => {
+            if (model.src) {
+                models[id] = {
+                    ...normalizeDeviceModelConfig(model.config || {}),
+                    name: model.name,
+                    modelPath: getDeviceModelUrl(model.src),
+                    source
+                };
+            } else if (models[id]) {
+                models[id] = { ...models[id], ...model.config, calibratedIn: source };
+            }
+        });
+    });
+
+    // deviceConfigs is updated in place, three-renderer.js reads it
+    Object.keys(deviceConfigs).forEach(id => {
+        if (models[id]) return;
+        delete deviceConfigs[id];
+        refreshDeviceModel(id);
+    });
+    Object.entries(models).forEach(([id, config]) => {
+        const changed = JSON.stringify(deviceConfigs[id]) !== JSON.stringify(config);
+        deviceConfigs[id] = config;
+        if (changed) refreshDeviceModel(id);
+    });
+
+    updateDeviceModelUI();
+}
+
+/**
+ * Load the models listed in models/manifest.json
+ * Each entry: { id, name, file (in models/), aspectRatio, screenHeightFactor, screenOffset,
+ * cornerRadiusFactor, modelRotation }
+ */
+async function loadDeviceModelManifest() {
+    try {
+        // Loaded like the model files, which also works from file:// in the desktop app
+        const manifest = await new THREE.FileLoader().setResponseType('json').loadAsync(DEVICE_MODELS_MANIFEST_URL);
+        manifestDeviceModels = {};
+        (manifest.models || []).forEach(entry => {
+            if (!entry.id || !entry.file) return;
+            manifestDeviceModels[entry.id] = {
+                ...normalizeDeviceModelConfig(entry),
+                name: entry.name || entry.id,
+                modelPath: 'models/' + entry.file
+            };
+            delete manifestDeviceModels[entry.id].id;
+            delete manifestDeviceModels[entry.id].file;
+        });
+    } catch (e) {
+        // No manifest (or opened from disk, where it can't be fetched): only the other models
+        console.warn('Could not load the device models manifest:', e.message || e);
+    }
+}
+
+// Read the user's library of models from the database
+async function loadDeviceModelLibrary() {
+    if (!db) return;
+
+    try {
+        const records = await new Promise((resolve, reject) => {
+            const request = db.transaction([DEVICE_MODELS_STORE], 'readonly').objectStore(DEVICE_MODELS_STORE).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+        libraryDeviceModels = {};
+        for (const record of records) {
+            libraryDeviceModels[record.id] = await resolveProjectAssets(record.model);
+        }
+    } catch (e) {
+        console.error('Error loading device model library:', e);
+    }
+}
+
+/**
+ * Measure an imported model for its first calibration: the screen covers the front of the
+ * model's bounding box
+ * @param {string} url - Model URL
+ * @returns {Promise<Object>} Config
+ */
+function measureDeviceModel(url) {
+    return new Promise((resolve, reject) => {
+        new THREE.GLTFLoader().load(url, (gltf) => {
+            const box = new THREE.Box3().setFromObject(gltf.scene);
+            const center = box.getCenter(new THREE.Vector3());
+            const size = box.getSize(new THREE.Vector3());
+            resolve(normalizeDeviceModelConfig({
+                aspectRatio: size.x / size.y,
+                // The screen plane is 4.3 × screenHeightFactor model units high
+                screenHeightFactor: size.y * 0.92 / 4.3,
+                screenOffset: { x: center.x, y: center.y, z: box.max.z + size.z * 0.01 }
+            }));
+        }, undefined, reject);
+    });
+}
+
+// ==========================================
+// Import and storage
+// ==========================================
+
+/**
+ * Import a GLB (or self-contained glTF) file as a model of the project and show it on the
+ * edited device
+ * @param {File} file - Model file
+ */
+async function importDeviceModelFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (!DEVICE_MODEL_MIME_TYPES[extension]) {
+        await showAppAlert('Choose a .glb or .gltf file.', 'error');
+        return;
+    }
+
+    const src = await blobToDataUrl(new Blob([file], { type: DEVICE_MODEL_MIME_TYPES[extension] }));
+    let config;
+    try {
+        config = await measureDeviceModel(getDeviceModelUrl(src));
+    } catch (e) {
+        console.error('Error loading device model:', e);
+        await showAppAlert('Could not load this model. glTF files must embed their textures and buffers, ' +
+            'or use a .glb file instead.', 'error');
+        return;
+    }
+
+    const id = 'model-' + Date.now().toString(36);
+    recordHistoryStep('Import Model');
+    state.deviceModels[id] = { name: file.name.replace(/\.[^.]+$/, ''), src, fileName: file.name, config };
+    rebuildDeviceModelRegistry();
+    deviceModelCalibrationOpen = true;
+    setDeviceModel(id);
+}
+
+// Show a model on the device the Device tab edits
+function setDeviceModel(id) {
+    setScreenshotSetting('device3D', id);
+    if (typeof switchPhoneModel === 'function') {
+        switchPhoneModel(id);
+    }
+    updateDeviceModelUI();
+    updateMockupAspectWarning();
+    updateCanvas();
+}
+
+/**
+ * Save a model (its file if it has one, and its calibration) to the user's library
+ * @param {string} id - deviceConfigs key
+ */
+async function saveDeviceModelToLibrary(id) {
+    if (!db) {
+        await showAppAlert('Models cannot be saved because browser storage is unavailable.', 'error');
+        return;
+    }
+
+    const config = deviceConfigs[id];
+    const file = state.deviceModels[id]?.src ? state.deviceModels[id] : libraryDeviceModels[id];
+    const model = { id, name: config.name, config: getDeviceModelCalibration(config) };
+    if (file?.src) {
+        model.src = file.src;
+        model.fileName = file.fileName;
+    }
+
+    try {
+        const record = { id, createdAt: Date.now(), model: await storeProjectAssets(model) };
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([DEVICE_MODELS_STORE], 'readwrite');
+            transaction.objectStore(DEVICE_MODELS_STORE).put(record);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        libraryDeviceModels[id] = model;
+        rebuildDeviceModelRegistry();
+        await showAppAlert(`Saved "${config.name}" to your library.`, 'success');
+    } catch (e) {
+        console.error('Error saving device model:', e);
+        await showAppAlert('Could not save model: ' + e.message, 'error');
+    }
+}
+
+// Delete a model (or calibration) from the user's library
+async function deleteDeviceModelFromLibrary(id) {
+    const src = libraryDeviceModels[id]?.src;
+    try {
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([DEVICE_MODELS_STORE], 'readwrite');
+            transaction.objectStore(DEVICE_MODELS_STORE).delete(id);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        delete libraryDeviceModels[id];
+        rebuildDeviceModelRegistry();
+        updateCanvas();
+
+        // Delete the model file too, unless the open project still uses it
+        if (src && !Object.values(state.deviceModels).some(model => model.src === src)) {
+            assetIdsBySrc.delete(src);
+            URL.revokeObjectURL(deviceModelUrls.get(src));
+            deviceModelUrls.delete(src);
+        }
+        pruneUnusedAssets();
+    } catch (e) {
+        console.error('Error deleting device model:', e);
+        await showAppAlert('Could not delete model: ' + e.message, 'error');
+    }
+}
+
+// Copy a library model into the project, so the project file carries it
+function saveDeviceModelToProject(id) {
+    const model = libraryDeviceModels[id];
+    if (!model?.src) return;
+    recordHistoryStep('Add Model to Project');
+    state.deviceModels[id] = {
+        name: model.name,
+        src: model.src,
+        fileName: model.fileName,
+        config: getDeviceModelCalibration(deviceConfigs[id])
+    };
+    rebuildDeviceModelRegistry();
+    updateCanvas();
+}
+
+// Remove a project model, or a project's calibration of another model
+function removeDeviceModelFromProject(id) {
+    recordHistoryStep(state.deviceModels[id]?.src ? 'Remove Model' : 'Reset Calibration');
+    delete state.deviceModels[id];
+    rebuildDeviceModelRegistry();
+    updateMockupAspectWarning();
+    updateCanvas();
+}
+
+// ==========================================
+// Calibration
+// ==========================================
+
+/**
+ * Change a calibration value of the edited device's model, stored in the project
+ * @param {string} key - Config key, e.g. 'screenOffset.x'
+ * @param {number} value - New value
+ */
+function setDeviceModelCalibration(key, value) {
+    const id = getScreenshotSettings().device3D || 'iphone';
+    if (!deviceConfigs[id]) return;
+
+    markHistoryEdit('deviceModels.' + id + '.' + key);
+    const created = !state.deviceModels[id];
+    if (created) {
+        state.deviceModels[id] = { config: getDeviceModelCalibration(deviceConfigs[id]) };
+    }
+    const config = state.deviceModels[id].config;
+    const [group, axis] = key.split('.');
+    if (axis) {
+        config[group] = { ...config[group], [axis]: value };
+    } else {
+        config[group] = value;
+    }
+
+    if (created) {
+        rebuildDeviceModelRegistry();
+    } else {
+        // Only this model changed, so slider steps don't rebuild the registry and the model list
+        deviceConfigs[id] = { ...deviceConfigs[id], [group]: config[group] };
+        refreshDeviceModel(id);
+    }
+    updateMockupAspectWarning();
+    updateCanvas();
+}
+
+// Show a calibration value next to its slider
+function formatDeviceModelCalibration(key, value) {
+    if (key.startsWith('modelRotation')) return Math.round(value) + '°';
+    if (key === 'aspectRatio') return `1 : ${(1 / value).toFixed(2)}`;
+    return Number(value).toFixed(3);
+}
+
+// Slider ranges in the model's own units (models come in meters, millimeters, ...)
+function getDeviceModelCalibrationRange(key, modelSize) {
+    if (key.startsWith('screenOffset')) return { min: -modelSize / 2, max: modelSize / 2, step: modelSize / 1000 };
+    if (key === 'screenHeightFactor') return { min: 0, max: modelSize * 1.2 / 4.3, step: modelSize / 2000 };
+    if (key === 'aspectRatio') return { min: 0.3, max: 2, step: 0.001 };
+    if (key === 'cornerRadiusFactor') return { min: 0, max: 0.3, step: 0.005 };
+    return { min: -180, max: 180, step: 1 };
+}
+
+// ==========================================
+// UI
+// ==========================================
+
+// Fill the model select and the calibration controls for the edited device's model
+function updateDeviceModelUI() {
+    const select = document.getElementById('device-3d-model');
+    const id = getScreenshotSettings().device3D || 'iphone';
+    const current = deviceConfigs[id] ? id : 'iphone';
+
+    select.innerHTML = '';
+    Object.entries(DEVICE_MODEL_SOURCES).forEach(([source, label]) => {
+        const entries = Object.entries(deviceConfigs).filter(([, config]) => config.source === source);
+        if (entries.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        entries.forEach(([modelId, config]) => {
+            const option = document.createElement('option');
+            option.value = modelId;
+            option.textContent = config.name || modelId;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    });
+    select.value = current;
+
+    const config = deviceConfigs[current];
+    const calibrateButton = document.getElementById('device-model-calibrate');
+    calibrateButton.classList.toggle('active', deviceModelCalibrationOpen);
+    document.getElementById('device-model-calibration').style.display = deviceModelCalibrationOpen ? 'block' : 'none';
+    if (!deviceModelCalibrationOpen) return;
+
+    const info = {
+        builtin: 'Built-in model.',
+        manifest: 'Listed in models/manifest.json.',
+        library: 'From your library. Save it to the project to include it in project files.',
+        project: 'Imported into this project. Save it to your library to use it in other projects.'
+    }[config.source];
+    document.getElementById('device-model-calibration-info').textContent = info +
+        (config.calibratedIn === 'project' ? ' Calibrated in this project.' : '') +
+        ' Align the screen with the model; changes are saved in this project.';
+
+    // Ranges follow the live model's size, so wait for it to load
+    const modelSize = currentDeviceModel === current ? getLoadedDeviceModelSize() : null;
+    document.querySelectorAll('#device-model-calibration input[data-calibration]').forEach(input => {
+        const key = input.dataset.calibration;
+        const [group, axis] = key.split('.');
+        const value = axis ? config[group]?.[axis] ?? 0 : config[group];
+        const range = getDeviceModelCalibrationRange(key, modelSize || 1);
+        input.min = range.min;
+        input.max = range.max;
+        input.step = range.step;
+        input.value = value;
+        input.disabled = !modelSize;
+        input.nextElementSibling.textContent = formatDeviceModelCalibration(key, value);
+    });
+
+    const projectModel = state.deviceModels[current];
+    document.getElementById('device-model-save-project').style.display =
+        config.source === 'library' && libraryDeviceModels[current]?.src ? '' : 'none';
+    document.getElementById('device-model-reset').style.display =
+        projectModel && !projectModel.src ? '' : 'none';
+    document.getElementById('device-model-remove').style.display =
+        config.source === 'project' || config.source === 'library' || config.calibratedIn === 'library' ? '' : 'none';
+}
+
+function initDeviceModelControls() {
+    const input = document.getElementById('device-model-input');
+
+    document.getElementById('device-3d-model').addEventListener('change', (e) => {
+        setDeviceModel(e.target.value);
+    });
+
+    document.getElementById('device-model-import').addEventListener('click', () => input.click());
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        input.value = '';
+        if (file) await importDeviceModelFile(file);
+    });
+
+    document.getElementById('device-model-calibrate').addEventListener('click', () => {
+        deviceModelCalibrationOpen = !deviceModelCalibrationOpen;
+        updateDeviceModelUI();
+    });
+
+    document.querySelectorAll('#device-model-calibration input[data-calibration]').forEach(slider => {
+        slider.addEventListener('input', () => {
+            const value = parseFloat(slider.value);
+            setDeviceModelCalibration(slider.dataset.calibration, value);
+            slider.nextElementSibling.textContent = formatDeviceModelCalibration(slider.dataset.calibration, value);
+        });
+    });
+
+    const getModelId = () => document.getElementById('device-3d-model').value;
+
+    document.getElementById('device-model-save-library').addEventListener('click', () => {
+        saveDeviceModelToLibrary(getModelId());
+    });
+
+    document.getElementById('device-model-save-project').addEventListener('click', () => {
+        saveDeviceModelToProject(getModelId());
+    });
+
+    document.getElementById('device-model-reset').addEventListener('click', () => {
+        removeDeviceModelFromProject(getModelId());
+    });
+
+    document.getElementById('device-model-remove').addEventListener('click', async () => {
+        const id = getModelId();
+        const config = deviceConfigs[id];
+        if (config.source === 'project') {
+            const confirmed = await showAppConfirm(
+                `Remove "${config.name}" from this project? Devices showing it switch to the iPhone.`, 'Remove', 'Cancel');
+            if (confirmed) removeDeviceModelFromProject(id);
+            return;
+        }
+        const confirmed = await showAppConfirm(
+            `Delete "${config.name}" from your library?`, 'Delete', 'Cancel');
+        if (confirmed) await deleteDeviceModelFromLibrary(id);
+    });
+}
@@ -241,6 +241,22 @@ function createWindow() {
     createMenu();
 }
 
+// Undo or redo typing in a focused text field, project changes otherwise (history.js leaves
+// Cmd/Ctrl+Z to this menu, so each key press is handled once)
+async function runUndoCommand(command) {
+    // On macOS the menu stays after the window is closed
+    if (!mainWindow || mainWindow.isDestroyed()) return;
+
+    const contents = mainWindow.webContents;
+    const editingText = await contents.executeJavaScript('isTextEditingTarget(document.activeElement)');
+    if (contents.isDestroyed()) return;
+    if (editingText) {
+        contents[command]();
+    } else {
+        contents.executeJavaScript(`${command}()`);
+    }
+}
+
 function createMenu() {
     const isMac = process.platform === 'darwin';
 
@@ -281,6 +297,32 @@ function createMenu() {
                     }
                 },
                 { type: 'separator' },
+                {
+                    label: 'Import Project...',
+                    click: async () => {
+                        const result = await dialog.showOpenDialog(mainWindow, {
+                            properties: ['openFile'],
+                            filters: [
+                                { name: 'yuzu.shot Project', extensions: ['appscreen', 'zip'] }
+                            ]
+                        });
+                        if (!result.canceled && result.filePaths.length > 0) {
+                            const filePath = result.filePaths[0];
+                            const fileData = {
+                                base64: fs.readFileSync(filePath).toString('base64'),
+                                name: path.basename(filePath)
+                            };
+                            mainWindow.webContents.executeJavaScript(`importProjectFromElectron(${JSON.stringify(fileData)})`);
+                        }
+                    }
+                },
+                {
+                    label: 'Export Project...',
+                    click: () => {
+                        mainWindow.webContents.executeJavaScript('exportProjectFile()');
+                    }
+                },
+                { type: 'separator' },
                 {
                     label: 'Import Screenshots...',
                     accelerator: 'CmdOrCtrl+O',
@@ -337,8 +379,16 @@ function createMenu() {
         {
             label: 'Edit',
             submenu: [
-                { role: 'undo' },
-                { role: 'redo' },
+                {
+                    label: 'Undo',
+                    accelerator: 'CmdOrCtrl+Z',
+                    click: () => runUndoCommand('undo')
+                },
+                {
+                    label: 'Redo',
+                    accelerator: 'Shift+CmdOrCtrl+Z',
+                    click: () => runUndoCommand('redo')
+                },
                 { type: 'separator' },
                 { role: 'cut' },
                 { role: 'copy' },
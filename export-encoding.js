@@ -0,0 +1,91 @@
+// Export Image Encoding
+// Encodes rendered screenshots as PNG, JPEG or WebP. Used on the page and in the export worker,
+// so it only relies on canvas APIs available in both.
+
+const EXPORT_FORMATS = {
+    png: { name: 'PNG', mime: 'image/png', extension: 'png', lossy: false, alpha: true },
+    jpeg: { name: 'JPEG', mime: 'image/jpeg', extension: 'jpg', lossy: true, alpha: false },
+    webp: { name: 'WebP', mime: 'image/webp', extension: 'webp', lossy: true, alpha: true }
+};
+
+// Lowest quality (0-1) tried to fit an image into a size budget
+const EXPORT_MIN_QUALITY = 0.3;
+// Encodes tried per image to find the highest quality within a size budget
+const EXPORT_SIZE_SEARCH_STEPS = 6;
+// Color transparent pixels get in formats without alpha
+const EXPORT_MATTE_COLOR = '#ffffff';
+
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+function encodeCanvas(canvas, mime, quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type: mime, quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error('Could not encode image'));
+        }, mime, quality);
+    });
+}
+
+// Copy a canvas onto an opaque background (App Store Connect rejects images with alpha)
+function flattenCanvas(canvas) {
+    const flat = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(canvas.width, canvas.height)
+        : Object.assign(document.createElement('canvas'), { width: canvas.width, height: canvas.height });
+    const context = flat.getContext('2d');
+    context.fillStyle = EXPORT_MATTE_COLOR;
+    context.fillRect(0, 0, flat.width, flat.height);
+    context.drawImage(canvas, 0, 0);
+    return flat;
+}
+
+/**
+ * Encode a rendered screenshot for export
+ * With a size budget, lossy formats are encoded at the highest quality that fits.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Rendered screenshot
+ * @param {Object} [format] - { type: 'png'|'jpeg'|'webp', quality: 1-100, maxBytes }
+ * @returns {Promise<Blob>} The encoded image
+ */
+async function encodeExportImage(canvas, format = {}) {
+    const spec = EXPORT_FORMATS[format.type] || EXPORT_FORMATS.png;
+    const source = spec.alpha ? canvas : flattenCanvas(canvas);
+
+    const encode = async (quality) => {
+        const blob = await encodeCanvas(source, spec.mime, quality);
+        // Browsers fall back to PNG for formats they can't encode
+        if (blob.type !== spec.mime) {
+            throw new Error(`This browser can't export ${spec.name} images`);
+        }
+        return blob;
+    };
+
+    if (!spec.lossy) return encode();
+
+    const quality = Math.min(100, Math.max(1, format.quality || 90)) / 100;
+    const blob = await encode(quality);
+    if (!format.maxBytes || blob.size <= format.maxBytes) return blob;
+
+    // Binary search for the highest quality within the budget
+    let low = EXPORT_MIN_QUALITY;
+    let high = quality;
+    let best = null;
+    for (let step = 0; step < EXPORT_SIZE_SEARCH_STEPS && low < high; step++) {
+        const candidate = await encode((low + high) / 2);
+        if (candidate.size <= format.maxBytes) {
+            best = candidate;
+            low = (low + high) / 2;
+        } else {
+            high = (low + high) / 2;
+        }
+    }
+    if (best) return best;
+
+    const smallest = await encode(EXPORT_MIN_QUALITY);
+    if (smallest.size <= format.maxBytes) return smallest;
+    throw new Error(`${formatFileSize(smallest.size)} at the lowest quality, over the ${formatFileSize(format.maxBytes)} limit`);
+}
@@ -0,0 +1,180 @@
+// Export File Naming
+// Turns a naming template like "{locale}/{index:02}_{device}" into file paths for exported screenshots.
+//
+// Tokens: {index}, {index:0N} (zero-padded), {name}, {lang}, {locale} (App Store),
+//         {playLocale} (Google Play), {device}, {width}, {height}
+
+// Templates of the naming presets (null keeps each export's own layout)
+const EXPORT_NAMING_PRESETS = {
+    default: { name: 'Default', template: null },
+    fastlane: { name: 'Fastlane (deliver)', template: '{locale}/{index:02}_{device}' },
+    play: { name: 'Play Console', template: '{playLocale}/{device}/{index:02}' }
+};
+
+// App Store Connect / fastlane deliver locale identifiers for the project languages
+const appStoreLocales = {
+    'en': 'en-US', 'en-gb': 'en-GB', 'de': 'de-DE', 'fr': 'fr-FR', 'es': 'es-ES',
+    'it': 'it', 'pt': 'pt-PT', 'pt-br': 'pt-BR', 'nl': 'nl-NL', 'ru': 'ru',
+    'ja': 'ja', 'ko': 'ko', 'zh': 'zh-Hans', 'zh-tw': 'zh-Hant', 'ar': 'ar-SA',
+    'hi': 'hi', 'tr': 'tr', 'pl': 'pl', 'sv': 'sv', 'da': 'da',
+    'no': 'no', 'fi': 'fi', 'th': 'th', 'vi': 'vi', 'id': 'id'
+};
+
+// Google Play Console / fastlane supply locale identifiers for the project languages
+const playStoreLocales = {
+    'en': 'en-US', 'en-gb': 'en-GB', 'de': 'de-DE', 'fr': 'fr-FR', 'es': 'es-ES',
+    'it': 'it-IT', 'pt': 'pt-PT', 'pt-br': 'pt-BR', 'nl': 'nl-NL', 'ru': 'ru-RU',
+    'ja': 'ja-JP', 'ko': 'ko-KR', 'zh': 'zh-CN', 'zh-tw': 'zh-TW', 'ar': 'ar',
+    'hi': 'hi-IN', 'tr': 'tr-TR', 'pl': 'pl-PL', 'sv': 'sv-SE', 'da': 'da-DK',
+    'no': 'no-NO', 'fi': 'fi-FI', 'th': 'th', 'vi': 'vi', 'id': 'id'
+};
+
+/**
+ * Fill in a naming template
+ * Unknown tokens are kept as they are, so typos show up in the file names.
+ * @param {string} template - Naming template
+ * @param {Object} values - { index (1-based), name, lang, device, width, height }
+ * @returns {string} Path without extension, folders separated by "/"
+ */
+function formatExportName(template, values) {
+    const path = template.replace(/\{(\w+)(?::(0\d+))?\}/g, (token, key, padding) => {
+        switch (key) {
+            case 'index':
+                return padding ? String(values.index).padStart(parseInt(padding, 10), '0') : String(values.index);
+            case 'name':
+                return (values.name || `screenshot-${values.index}`).replace(/\.[^.]+$/, '');
+            case 'lang':
+                return values.lang;
+            case 'locale':
+                return appStoreLocales[values.lang] || values.lang;
+            case 'playLocale':
+                return playStoreLocales[values.lang] || values.lang;
+            case 'device':
+                return values.device;
+            case 'width':
+                return String(values.width);
+            case 'height':
+                return String(values.height);
+            default:
+                return token;
+        }
+    });
+
+    // No empty folders and no characters file systems reject
+    return path.split('/')
+        .map(segment => segment.replace(/[\\:*?"<>|]/g, '_').trim())
+        .filter(segment => segment && segment !== '.' && segment !== '..')
+        .join('/');
+}
+
+/**
+ * Check whether a template uses one of the given tokens
+ * @param {string} template - Naming template
+ * @param {string[]} keys - Token names, e.g. ['lang', 'locale']
+ * @returns {boolean}
+ */
+function templateHasToken(template, keys) {
+    return keys.some(key => new RegExp(`\\{${key}(:0\\d+)?\\}`).test(template));
+}
+
+/**
+ * Get the naming template for an export
+ * Without a project template, exports keep their own layout. Folders are added to a project
+ * template that doesn't tell the languages or sizes of a batch apart.
+ * @param {string|null} naming - The project's naming template
+ * @param {string} defaultTemplate - The export's own layout
+ * @param {Object} [batch] - { languages, devices }: whether the export has several of them
+ * @returns {string} Naming template
+ */
+function getExportNamingTemplate(naming, defaultTemplate, { languages = false, devices = false } = {}) {
+    let template = naming;
+    if (!template) return defaultTemplate;
+
+    if (languages && !templateHasToken(template, ['lang', 'locale', 'playLocale'])) {
+        template = `{lang}/${template}`;
+    }
+    if (devices && !templateHasToken(template, ['device', 'width', 'height'])) {
+        template = `{device}/${template}`;
+    }
+    return template;
+}
+
+/**
+ * Get the file path of an exported screenshot
+ * @param {string} template - Naming template
+ * @param {Object} values - { index (1-based), name, lang, device, width, height }
+ * @param {Object} format - Export format ({ type }, see EXPORT_FORMATS in export-encoding.js)
+ * @returns {string} Path with the format's extension
+ */
+function getExportFilePath(template, values, format) {
+    return formatExportName(template, values) + '.' + EXPORT_FORMATS[format.type].extension;
+}
+
+/**
+ * Make paths unique by numbering repeated ones ("01.png", "01-2.png", ...)
+ * @param {string[]} paths - File paths
+ * @returns {string[]} Unique file paths in the same order
+ */
+function makeUniqueExportPaths(paths) {
+    const used = new Set();
+    return paths.map(path => {
+        let unique = path;
+        const extension = path.match(/\.[^./]+$/)?.[0] || '';
+        const base = path.slice(0, path.length - extension.length);
+        for (let n = 2; used.has(unique); n++) {
+            unique = `${base}-${n}${extension}`;
+        }
+        used.add(unique);
+        return unique;
+    });
+}
+
+// ==========================================
+// fastlane
+// ==========================================
+
+// Where fastlane expects the screenshots of each output size: deliver (App Store) folders are
+// named by App Store locale, files are prefixed with the App Store Connect display type;
+// supply (Google Play) has a folder per device class inside each Play locale.
+// App Store Connect has no display type of its own for 6.9" iPhones: its ScreenshotDisplayType
+// list (App Store Connect API spec) ends at APP_IPHONE_67, which is the 6.9" slot in App Store
+// Connect and takes both 1320 × 2868 and 1290 × 2796 screenshots. deliver picks the slot from
+// each image's pixel size, so the prefix only keeps the files in order.
+const fastlaneScreenshotTargets = {
+    'iphone-6.9': { platform: 'ios', displayType: 'APP_IPHONE_67' },
+    'iphone-6.7': { platform: 'ios', displayType: 'APP_IPHONE_67' },
+    'iphone-6.5': { platform: 'ios', displayType: 'APP_IPHONE_65' },
+    'iphone-5.5': { platform: 'ios', displayType: 'APP_IPHONE_55' },
+    'ipad-12.9': { platform: 'ios', displayType: 'APP_IPAD_PRO_3GEN_129' },
+    'ipad-11': { platform: 'ios', displayType: 'APP_IPAD_PRO_3GEN_11' },
+    'android-phone': { platform: 'android', folder: 'phoneScreenshots' },
+    'android-phone-hd': { platform: 'android', folder: 'phoneScreenshots' },
+    'android-tablet-7': { platform: 'android', folder: 'sevenInchScreenshots' },
+    'android-tablet-10': { platform: 'android', folder: 'tenInchScreenshots' }
+};
+
+/**
+ * Get the screenshot slot an output size fills in fastlane
+ * Sizes sharing a slot (e.g. 6.9" and 6.7" iPhones) would be uploaded over each other.
+ * @param {string} device - Output size (deviceDimensions key)
+ * @returns {string|null} Slot id, null if fastlane has no place for the size
+ */
+function getFastlaneSlot(device) {
+    const target = fastlaneScreenshotTargets[device];
+    if (!target) return null;
+    return target.platform === 'ios' ? target.displayType : `android/${target.folder}`;
+}
+
+/**
+ * Get the naming template of an output size in the fastlane folder structure
+ * @param {string} device - Output size (deviceDimensions key)
+ * @returns {string|null} Naming template, null if fastlane has no place for the size
+ */
+function getFastlaneTemplate(device) {
+    const target = fastlaneScreenshotTargets[device];
+    if (!target) return null;
+    if (target.platform === 'ios') {
+        return `fastlane/screenshots/{locale}/${target.displayType}_{index:02}`;
+    }
+    return `fastlane/metadata/android/{playLocale}/images/${target.folder}/{index:02}`;
+}
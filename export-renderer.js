@@ -0,0 +1,265 @@
+// Export Rendering
+// Renders export images without touching the editor: 2D screenshots are drawn in parallel
+// by a pool of workers (export-worker.js) on OffscreenCanvas, 3D screenshots need the
+// page's WebGL renderer and are drawn on a detached canvas on the page.
+// Where workers can't be used (unsupported browser, file:// pages) everything renders on the page.
+
+const EXPORT_WORKER_LIMIT = 4;
+
+let exportWorkersUnavailable = false;  // Set once a worker failed to start or lacks fonts
+
+function canUseExportWorkers() {
+    return !exportWorkersUnavailable &&
+        typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap === 'function';
+}
+
+// Render one export image on the page
+function renderExportImageOnPage(job, format) {
+    return encodeExportImage(renderScreenshotForExport(job.index, job.lang, job.dims, job.layoutDevice), format);
+}
+
+function createExportAbortError() {
+    return new DOMException('Export canceled', 'AbortError');
+}
+
+// ==========================================
+// Workers
+// ==========================================
+
+// Images can't be sent to workers, ImageBitmaps can (one per Image per export)
+function getExportBitmap(image, bitmaps) {
+    if (!image || !image.width) return Promise.resolve(null);
+    if (!bitmaps.has(image)) {
+        bitmaps.set(image, createImageBitmap(image));
+    }
+    return bitmaps.get(image);
+}
+
+// localizedImages of a screenshot or device layer with bitmaps instead of Images
+async function getExportLocalizedImages(localizedImages, bitmaps) {
+    const bitmapsByLang = {};
+    for (const lang of Object.keys(localizedImages || {})) {
+        const image = localizedImages[lang]?.image;
+        if (image) {
+            bitmapsByLang[lang] = { image: await getExportBitmap(image, bitmaps) };
+        }
+    }
+    return bitmapsByLang;
+}
+
+async function buildWorkerLayer(layer, bitmaps) {
+    if (layer.image) return { ...layer, image: await getExportBitmap(layer.image, bitmaps) };
+    if (layer.localizedImages) return { ...layer, localizedImages: await getExportLocalizedImages(layer.localizedImages, bitmaps) };
+    return layer;
+}
+
+async function buildWorkerScreenshotModel(screenshot, bitmaps) {
+    const localizedImages = await getExportLocalizedImages(screenshot.localizedImages, bitmaps);
+
+    return {
+        image: await getExportBitmap(screenshot.image, bitmaps), // Legacy fallback
+        localizedImages,
+        background: { ...screenshot.background, image: await getExportBitmap(screenshot.background.image, bitmaps) },
+        screenshot: screenshot.screenshot,
+        text: screenshot.text,
+        layers: await Promise.all(getScreenshotLayers(screenshot).map(layer => buildWorkerLayer(layer, bitmaps))),
+        layoutOverrides: screenshot.layoutOverrides
+    };
+}
+
+// Send one job to a worker and wait for its image
+function postExportJob(worker, message, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createExportAbortError());
+            return;
+        }
+        const cleanup = () => {
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onError);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const onMessage = (event) => {
+            if (event.data.id !== message.id) return;
+            cleanup();
+            if (event.data.blob) {
+                resolve(event.data.blob);
+            } else {
+                const error = new Error(event.data.error);
+                error.workerUnavailable = !!event.data.unsupported;
+                reject(error);
+            }
+        };
+        const onError = (event) => {
+            // The worker script failed to load or crashed
+            event.preventDefault();
+            cleanup();
+            const error = new Error(event.message || 'Export worker failed');
+            error.workerUnavailable = true;
+            reject(error);
+        };
+        const onAbort = () => {
+            // Stop the render in progress instead of waiting for it
+            cleanup();
+            worker.terminate();
+            reject(createExportAbortError());
+        };
+
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', onError);
+        if (signal) signal.addEventListener('abort', onAbort);
+        worker.postMessage(message);
+    });
+}
+
+/**
+ * Render jobs with a pool of workers, falling back to the page if workers stop working
+ * @param {Object[]} jobs - Export jobs
+ * @param {number[]} queue - Indices of the jobs to render (consumed)
+ * @param {Function} finish - Called with (jobIndex, blob, error)
+ * @param {Object} format - Image format (see encodeExportImage)
+ * @param {AbortSignal} [signal] - Stops taking new jobs and terminates the workers
+ */
+async function runExportWorkers(jobs, queue, finish, format, signal) {
+    const bitmaps = new Map();
+    const fontCssUrls = Array.from(googleFonts.loaded).map(getGoogleFontCssUrl);
+    const workerCount = Math.min(EXPORT_WORKER_LIMIT, navigator.hardwareConcurrency || 2, queue.length);
+    let nextId = 0;
+
+    const runWorker = async () => {
+        let worker = null;
+        try {
+            worker = new Worker('export-worker.js');
+        } catch (e) {
+            exportWorkersUnavailable = true;
+        }
+
+        while (queue.length > 0 && !signal?.aborted) {
+            const i = queue.shift();
+            const job = jobs[i];
+
+            if (canUseExportWorkers()) {
+                try {
+                    const model = await buildWorkerScreenshotModel(state.screenshots[job.index], bitmaps);
+                    const panorama = getPanoramaSlice(state.screenshots, job.index);
+                    finish(i, await postExportJob(worker, {
+                        id: nextId++,
+                        model,
+                        panorama: panorama && {
+                            model: await buildWorkerScreenshotModel(panorama.model, bitmaps),
+                            count: panorama.count,
+                            slice: panorama.slice
+                        },
+                        dims: job.dims,
+                        layoutDevice: job.layoutDevice,
+                        lang: job.lang,
+                        projectLanguages: state.projectLanguages,
+                        fontCssUrls,
+                        format
+                    }, signal));
+                    continue;
+                } catch (error) {
+                    if (error.name === 'AbortError') break;
+                    if (!error.workerUnavailable) {
+                        finish(i, null, error);
+                        continue;
+                    }
+                    console.warn('Export workers unavailable, rendering on the page:', error.message);
+                    exportWorkersUnavailable = true;
+                }
+            }
+
+            await renderExportImageOnPage(job, format).then(
+                blob => finish(i, blob),
+                error => finish(i, null, error)
+            );
+        }
+
+        if (worker) worker.terminate();
+    };
+
+    try {
+        await Promise.all(Array.from({ length: workerCount }, runWorker));
+    } finally {
+        for (const bitmap of bitmaps.values()) {
+            bitmap.then(b => b?.close(), () => {});
+        }
+    }
+}
+
+// ==========================================
+// Public API
+// ==========================================
+
+/**
+ * Render export images
+ * A failing image doesn't stop the export, it is reported in failures instead.
+ * @param {Object[]} jobs - [{ index, lang, dims, layoutDevice }], dims and layoutDevice
+ *     (whose layout overrides apply) default to the output size
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (completed, total) after each image
+ * @param {AbortSignal} [options.signal] - Cancels the export, rejecting with an AbortError
+ * @param {Object} [options.format] - Image format (see encodeExportImage), PNG by default
+ * @returns {Promise<{images: Array<Blob|null>, failures: Array<{job: Object, error: Error}>}>}
+ *     Images in job order (null where rendering failed)
+ */
+async function renderExportImages(jobs, { onProgress, signal, format = {} } = {}) {
+    const dims = getCanvasDimensions();
+    jobs = jobs.map(job => ({
+        ...job,
+        dims: job.dims || dims,
+        layoutDevice: job.layoutDevice || state.outputDevice
+    }));
+
+    const images = new Array(jobs.length).fill(null);
+    const failures = [];
+    let completed = 0;
+    const finish = (i, blob, error) => {
+        if (error) {
+            console.error(`Export of screenshot ${jobs[i].index + 1} (${jobs[i].lang}) failed:`, error);
+            failures.push({ job: jobs[i], error });
+        } else {
+            images[i] = blob;
+        }
+        completed++;
+        if (onProgress) onProgress(completed, jobs.length);
+    };
+
+    // 3D mockups need the page's WebGL renderer
+    const workerQueue = [];
+    const pageQueue = [];
+    const uses3D = index => getDevice3DModels(getSceneModel(state.screenshots, index)).length > 0;
+    jobs.forEach((job, i) => {
+        (uses3D(job.index) || !canUseExportWorkers() ? pageQueue : workerQueue).push(i);
+    });
+
+    if (pageQueue.some(i => uses3D(jobs[i].index))) {
+        await loadExportPhoneModels();
+    }
+
+    const renderOnPage = async () => {
+        for (const i of pageQueue) {
+            if (signal?.aborted) break;
+            try {
+                finish(i, await renderExportImageOnPage(jobs[i], format));
+            } catch (error) {
+                finish(i, null, error);
+            }
+            // Let the progress bar update (and the cancel button respond)
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    };
+
+    await Promise.all([
+        renderOnPage(),
+        workerQueue.length > 0 ? runExportWorkers(jobs, workerQueue, finish, format, signal) : null
+    ]);
+
+    if (signal?.aborted) throw createExportAbortError();
+
+    // Keep failures in export order for the summary
+    failures.sort((a, b) => jobs.indexOf(a.job) - jobs.indexOf(b.job));
+    return { images, failures };
+}
@@ -0,0 +1,86 @@
+// Export Worker
+// Renders 2D screenshots on an OffscreenCanvas for the export pipeline (export-renderer.js),
+// using the same renderScreenshot() as the preview.
+//
+// Message in:  { id, model, panorama, dims, layoutDevice, lang, projectLanguages, fontCssUrls, format }
+//              (images in the models are ImageBitmaps, panorama as in renderScreenshot())
+// Message out: { id, blob } or { id, error, unsupported } (unsupported: render it on the page)
+
+importScripts('device-frames.js', 'render.js', 'export-encoding.js');
+
+// Google Font stylesheets already registered in this worker
+const registeredFontCss = new Set();
+
+/**
+ * Register the @font-face rules of Google Font stylesheets with the worker
+ * Faces are only downloaded when a text needs them (see loadTextFonts).
+ * @param {string[]} cssUrls - Stylesheet URLs
+ */
+async function registerWebFonts(cssUrls) {
+    for (const url of cssUrls) {
+        if (registeredFontCss.has(url)) continue;
+
+        const css = await (await fetch(url)).text();
+        const rules = css.match(/@font-face\s*{[^}]*}/g) || [];
+        rules.forEach(rule => {
+            const descriptor = name => {
+                const match = new RegExp(`${name}\\s*:\\s*([^;]+);`).exec(rule);
+                return match ? match[1].trim() : undefined;
+            };
+            const family = descriptor('font-family');
+            const src = descriptor('src');
+            if (!family || !src) return;
+
+            const face = new FontFace(family.replace(/^['"]|['"]$/g, ''), src, {
+                style: descriptor('font-style') || 'normal',
+                weight: descriptor('font-weight') || 'normal',
+                unicodeRange: descriptor('unicode-range') || 'U+0-10FFFF'
+            });
+            self.fonts.add(face);
+        });
+        registeredFontCss.add(url);
+    }
+}
+
+// Download the font faces a screenshot's text and text layers are drawn with
+async function loadLayerFonts(model, lang) {
+    const texts = [model.text];
+    getScreenshotLayers(model).forEach(layer => {
+        if (layer.type === 'text' && layer.text) texts.push(layer.text);
+    });
+    await Promise.all(texts.map(text => loadTextFonts(text, lang)));
+}
+
+async function loadTextFonts(text, lang) {
+    const loads = [];
+    if (text.headlineEnabled !== false && text.headlines?.[lang]) {
+        loads.push(self.fonts.load(getHeadlineFont(text), text.headlines[lang]));
+    }
+    if (text.subheadlineEnabled && text.subheadlines?.[lang]) {
+        loads.push(self.fonts.load(getSubheadlineFont(text), text.subheadlines[lang]));
+    }
+    await Promise.all(loads);
+}
+
+self.onmessage = async (event) => {
+    const { id, model, panorama, dims, layoutDevice, lang, projectLanguages, fontCssUrls, format } = event.data;
+
+    // Without the page's fonts, text would not match the preview, so the page renders instead
+    try {
+        if (!self.fonts) throw new Error('Fonts are not available in workers');
+        await registerWebFonts(fontCssUrls);
+        await loadLayerFonts(model, lang);
+        if (panorama) await loadLayerFonts(panorama.model, lang);
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error), unsupported: true });
+        return;
+    }
+
+    try {
+        const canvas = renderScreenshot(model, dims, lang, { projectLanguages, layoutDevice, panorama });
+        const blob = await encodeExportImage(canvas, format);
+        self.postMessage({ id, blob });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
@@ -0,0 +1,316 @@
+// Undo/Redo History
+// Snapshot-based history for the current project. Every saveState() call commits
+// a checkpoint: if the project changed since the last checkpoint, the previous
+// version is pushed onto the undo stack. Rapid edits of the same control (slider
+// drags, typing) are coalesced into a single step.
+
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 600;
+
+const historyState = {
+    undoStack: [],
+    redoStack: [],
+    baseline: null,          // Snapshot of the last committed project state (null = not recording)
+    lastCommitTime: 0,
+    lastEditKey: null,
+    boundary: false,         // Force the next change into its own step
+    sealNext: false,         // Close the step right after the next change
+    pendingLabel: null,
+    groupDepth: 0
+};
+
+// Identity ids for Image/Canvas objects so replaced images are detected as changes
+const historyAssetIds = new WeakMap();
+let nextHistoryAssetId = 1;
+
+// Values kept by reference instead of being serialized into the snapshot
+function isHistoryAsset(value) {
+    if (typeof value === 'string') return value.length > 2048; // data URLs
+    return (typeof HTMLImageElement !== 'undefined' && value instanceof HTMLImageElement) ||
+        (typeof HTMLCanvasElement !== 'undefined' && value instanceof HTMLCanvasElement);
+}
+
+/**
+ * Capture the undoable part of the project state
+ * Display-only state (selection, current language) is not part of the snapshot key,
+ * so switching screenshots or languages does not create history steps.
+ * @returns {Object} Snapshot with a JSON key and the referenced image assets
+ */
+function captureHistorySnapshot() {
+    const assets = [];
+    const key = JSON.stringify({
+        screenshots: state.screenshots,
+        outputDevice: state.outputDevice,
+        customWidth: state.customWidth,
+        customHeight: state.customHeight,
+        projectLanguages: state.projectLanguages,
+        exportNaming: state.exportNaming,
+        exportFormat: state.exportFormat,
+        defaults: state.defaults,
+        deviceModels: state.deviceModels
+    }, (k, value) => {
+        if (k === 'currentHeadlineLang' || k === 'currentSubheadlineLang') return undefined;
+        if (value && isHistoryAsset(value)) {
+            const ref = { __historyAsset: assets.length };
+            if (typeof value !== 'string') {
+                if (!historyAssetIds.has(value)) {
+                    historyAssetIds.set(value, nextHistoryAssetId++);
+                }
+                ref.id = historyAssetIds.get(value);
+            }
+            assets.push(value);
+            return ref;
+        }
+        return value;
+    });
+    return { key, assets };
+}
+
+/**
+ * Rebuild project data from a snapshot, restoring image references
+ * @param {Object} snapshot - Snapshot from captureHistorySnapshot()
+ * @returns {Object} Project data
+ */
+function expandHistorySnapshot(snapshot) {
+    return JSON.parse(snapshot.key, (k, value) => {
+        if (value && typeof value === 'object' && '__historyAsset' in value) {
+            return snapshot.assets[value.__historyAsset];
+        }
+        return value;
+    });
+}
+
+/**
+ * Start recording history from the current state, discarding previous steps
+ * Called after a project has been loaded.
+ */
+function resetHistory() {
+    historyState.undoStack = [];
+    historyState.redoStack = [];
+    historyState.baseline = captureHistorySnapshot();
+    historyState.lastCommitTime = 0;
+    historyState.lastEditKey = null;
+    historyState.boundary = false;
+    historyState.sealNext = false;
+    historyState.pendingLabel = null;
+    historyState.groupDepth = 0;
+}
+
+/**
+ * Stop recording history (e.g. while a project is being switched)
+ */
+function clearHistory() {
+    resetHistory();
+    historyState.baseline = null;
+}
+
+/**
+ * Commit pending changes as a history step if the project changed
+ */
+function commitHistoryCheckpoint() {
+    if (!historyState.baseline) return;
+
+    const snapshot = captureHistorySnapshot();
+    if (snapshot.key === historyState.baseline.key) return;
+
+    const now = Date.now();
+    const merge = !historyState.boundary && historyState.undoStack.length > 0 &&
+        (historyState.groupDepth > 0 || now - historyState.lastCommitTime < HISTORY_COALESCE_MS);
+
+    if (!merge) {
+        historyState.undoStack.push({
+            snapshot: historyState.baseline,
+            selectedIndex: state.selectedIndex,
+            label: historyState.pendingLabel || 'Edit'
+        });
+        if (historyState.undoStack.length > HISTORY_LIMIT) {
+            historyState.undoStack.shift();
+        }
+    }
+
+    historyState.redoStack = [];
+    historyState.baseline = snapshot;
+    historyState.lastCommitTime = now;
+
+    if (historyState.groupDepth === 0) {
+        historyState.boundary = historyState.sealNext;
+        historyState.sealNext = false;
+        historyState.pendingLabel = null;
+    } else {
+        historyState.boundary = false;
+    }
+}
+
+/**
+ * Note which setting an edit touches, so edits of different controls become separate steps
+ * @param {string} key - Setting key (e.g. 'background.gradient.angle')
+ */
+function markHistoryEdit(key) {
+    if (historyState.groupDepth > 0) return;
+    if (key !== historyState.lastEditKey) {
+        historyState.boundary = true;
+        historyState.lastEditKey = key;
+    }
+}
+
+/**
+ * Record the next change as a single, discrete undo step
+ * Use before synchronous bulk operations (apply style, reorder, delete...).
+ * @param {string} label - Human readable name of the operation
+ */
+function recordHistoryStep(label) {
+    commitHistoryCheckpoint();
+    historyState.boundary = true;
+    historyState.sealNext = true;
+    historyState.pendingLabel = label;
+    historyState.lastEditKey = null;
+}
+
+/**
+ * Group all changes until endHistoryGroup() into one undo step
+ * Use around asynchronous operations (AI designer, translations).
+ * @param {string} label - Human readable name of the operation
+ */
+function beginHistoryGroup(label) {
+    if (historyState.groupDepth === 0) {
+        commitHistoryCheckpoint();
+        historyState.boundary = true;
+        historyState.pendingLabel = label;
+    }
+    historyState.groupDepth++;
+}
+
+/**
+ * Close a group opened with beginHistoryGroup()
+ */
+function endHistoryGroup() {
+    if (historyState.groupDepth === 0) return;
+    commitHistoryCheckpoint();
+    historyState.groupDepth--;
+    if (historyState.groupDepth === 0) {
+        historyState.boundary = true;
+        historyState.pendingLabel = null;
+        historyState.lastEditKey = null;
+    }
+}
+
+// Apply a history entry to the live state and refresh the UI
+function applyHistoryEntry(entry) {
+    // Keep the language each screenshot is currently displayed in
+    const displayLangs = state.screenshots.map(s => ({
+        headline: s.text?.currentHeadlineLang,
+        subheadline: s.text?.currentSubheadlineLang
+    }));
+
+    const data = expandHistorySnapshot(entry.snapshot);
+    state.screenshots = data.screenshots;
+    state.outputDevice = data.outputDevice;
+    state.customWidth = data.customWidth;
+    state.customHeight = data.customHeight;
+    state.projectLanguages = data.projectLanguages;
+    state.exportNaming = data.exportNaming ?? null;
+    state.exportFormat = { type: 'png', quality: 90, maxSizeKB: 0, ...data.exportFormat };
+    state.defaults = data.defaults;
+    state.deviceModels = data.deviceModels || {};
+    rebuildDeviceModelRegistry();
+
+    state.screenshots.forEach((screenshot, index) => {
+        const langs = displayLangs[index] || {};
+        screenshot.text.currentHeadlineLang = langs.headline || state.currentLanguage;
+        screenshot.text.currentSubheadlineLang = langs.subheadline || state.currentLanguage;
+    });
+
+    if (!state.projectLanguages.includes(state.currentLanguage)) {
+        state.currentLanguage = state.projectLanguages[0] || 'en';
+    }
+    state.selectedIndex = Math.max(0, Math.min(entry.selectedIndex, state.screenshots.length - 1));
+    state.transferTarget = null;
+
+    historyState.baseline = entry.snapshot;
+    historyState.boundary = true;
+    historyState.lastEditKey = null;
+
+    updateLanguageMenu();
+    updateScreenshotList();
+    syncUIWithState();
+    updateGradientStopsUI();
+    updateExportNamingUI();
+    updateExportFormatUI();
+    updateCanvas();
+}
+
+/**
+ * Undo the last change to the current project
+ * @returns {boolean} Whether a step was undone
+ */
+function undo() {
+    if (!historyState.baseline || historyState.groupDepth > 0) return false;
+    commitHistoryCheckpoint();
+
+    const entry = historyState.undoStack.pop();
+    if (!entry) return false;
+
+    historyState.redoStack.push({
+        snapshot: historyState.baseline,
+        selectedIndex: state.selectedIndex,
+        label: entry.label
+    });
+    applyHistoryEntry(entry);
+    return true;
+}
+
+/**
+ * Redo the last undone change
+ * @returns {boolean} Whether a step was redone
+ */
+function redo() {
+    if (!historyState.baseline || historyState.groupDepth > 0) return false;
+    commitHistoryCheckpoint();
+
+    const entry = historyState.redoStack.pop();
+    if (!entry) return false;
+
+    historyState.undoStack.push({
+        snapshot: historyState.baseline,
+        selectedIndex: state.selectedIndex,
+        label: entry.label
+    });
+    applyHistoryEntry(entry);
+    return true;
+}
+
+function canUndo() {
+    return historyState.undoStack.length > 0;
+}
+
+function canRedo() {
+    return historyState.redoStack.length > 0;
+}
+
+// Text fields keep their native undo for keyboard shortcuts
+function isTextEditingTarget(el) {
+    if (!el) return false;
+    if (el.isContentEditable) return true;
+    if (el.tagName === 'TEXTAREA') return true;
+    if (el.tagName === 'INPUT') {
+        return ['text', 'search', 'email', 'url', 'password', 'number'].includes(el.type);
+    }
+    return false;
+}
+
+// Cmd/Ctrl+Z to undo, Cmd/Ctrl+Shift+Z (or Ctrl+Y) to redo
+document.addEventListener('keydown', (e) => {
+    if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    if (isTextEditingTarget(e.target)) return;
+    // The desktop app's Edit menu handles Cmd/Ctrl+Z itself (electron/main.js)
+    if (key === 'z' && window.electronAPI) return;
+
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+        redo();
+    } else {
+        undo();
+    }
+});
@@ -92,33 +92,7 @@ function detectLanguageFromFilename(filename) {
  * @returns {Image|null} - The Image object to use for rendering
  */
 function getScreenshotImage(screenshot) {
-    if (!screenshot) return null;
-
-    const lang = state.currentLanguage;
-
-    // Try current language first
-    if (screenshot.localizedImages?.[lang]?.image) {
-        return screenshot.localizedImages[lang].image;
-    }
-
-    // Fallback to first available language in project order
-    for (const l of state.projectLanguages) {
-        if (screenshot.localizedImages?.[l]?.image) {
-            return screenshot.localizedImages[l].image;
-        }
-    }
-
-    // Fallback to any available language
-    if (screenshot.localizedImages) {
-        for (const l of Object.keys(screenshot.localizedImages)) {
-            if (screenshot.localizedImages[l]?.image) {
-                return screenshot.localizedImages[l].image;
-            }
-        }
-    }
-
-    // Legacy fallback for old screenshot format
-    return screenshot.image || null;
+    return getScreenshotImageForLanguage(screenshot, state.currentLanguage, state.projectLanguages);
 }
 
 /**
@@ -394,7 +368,7 @@ function handleTranslationFileSelect(event) {
 
 /**
  * Show export language choice dialog
- * @param {Function} callback - Function to call with choice ('current' or 'all')
+ * @param {Function} callback - Function to call with choice ('current', 'all', 'matrix' or 'fastlane')
  */
 function showExportLanguageDialog(callback) {
     const modal = document.getElementById('export-language-modal');
@@ -415,12 +389,18 @@ function showExportLanguageDialog(callback) {
         currentLangDisplay.textContent = `${flag} ${name}`;
     }
 
+    // "All Languages" is the same as the current language in single-language projects
+    const allLanguagesOption = document.getElementById('export-all-languages');
+    if (allLanguagesOption) {
+        allLanguagesOption.style.display = state.projectLanguages.length > 1 ? '' : 'none';
+    }
+
     modal.classList.add('visible');
 }
 
 /**
  * Close export language dialog and execute callback
- * @param {string} choice - 'current' or 'all'
+ * @param {string} choice - 'current', 'all', 'matrix' or 'fastlane'
  */
 function closeExportLanguageDialog(choice) {
     const modal = document.getElementById('export-language-modal');
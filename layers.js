@@ -0,0 +1,697 @@
+// Layers
+// The layers panel: the current screenshot's layer stack (see BUILT_IN_LAYERS in render.js)
+// with z-order, visibility and locking, and the settings of added image, shape and text layers.
+// Built-in layers are edited in the Background, Device and Text tabs. Locked layers can't be
+// dragged on the preview or edited here.
+// Added device layers put more devices into a screenshot. Selecting one makes the Device tab,
+// the handles on the preview and the live 3D model edit it instead of the screenshot's device.
+// The panorama setting spreads the layers over the next screenshots (see getPanoramaSlice()).
+
+const PANORAMA_MAX_SLICES = 10;
+
+// Tab that edits each built-in layer
+const BUILT_IN_LAYER_TABS = { background: 'background', device: 'screenshot', text: 'text' };
+
+const LAYER_ICONS = {
+    background: '<rect x="3" y="3" width="18" height="18" rx="2" /><path d="M21 15l-5-5L5 21" />',
+    device: '<rect x="5" y="2" width="14" height="20" rx="2" /><line x1="12" y1="18" x2="12" y2="18" />',
+    image: '<rect x="3" y="3" width="18" height="18" rx="2" /><circle cx="8.5" cy="8.5" r="1.5" /><path d="M21 15l-5-5L5 21" />',
+    shape: '<circle cx="8" cy="8" r="5" /><rect x="10" y="10" width="11" height="11" rx="1" />',
+    text: '<path d="M4 7V4h16v3" /><path d="M9 20h6" /><path d="M12 4v16" />'
+};
+
+let selectedLayerId = null;
+
+// ==========================================
+// Layer model
+// ==========================================
+
+function createLayerId() {
+    return 'layer-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// Copy localizedImages entries ({ [lang]: { image, src, name } }), sharing the images
+function copyLocalizedImages(localizedImages) {
+    const copy = {};
+    Object.keys(localizedImages || {}).forEach(lang => {
+        copy[lang] = { ...localizedImages[lang] };
+    });
+    return copy;
+}
+
+/**
+ * Copy layers (images are shared, not copied)
+ * @param {Object[]} layers - Layers, bottom first
+ * @returns {Object[]} Copies
+ */
+function cloneLayers(layers) {
+    return layers.map(layer => ({
+        ...JSON.parse(JSON.stringify(layer)),
+        ...(layer.image ? { image: layer.image } : {}),
+        ...(layer.localizedImages ? { localizedImages: copyLocalizedImages(layer.localizedImages) } : {})
+    }));
+}
+
+// Copy layers for storage, with Image objects replaced by their src
+function serializeLayers(layers) {
+    if (!layers) return layers;
+    return cloneLayers(layers).map(layer => {
+        if (layer.image && typeof layer.image !== 'string') {
+            layer.image = layer.image.src || null;
+        }
+        if (layer.localizedImages) {
+            Object.keys(layer.localizedImages).forEach(lang => {
+                const { src, name } = layer.localizedImages[lang];
+                layer.localizedImages[lang] = { src, name };
+            });
+        }
+        return layer;
+    });
+}
+
+function loadLayerImage(src) {
+    const img = new Image();
+    img.onload = () => updateCanvas();
+    img.src = src;
+    return img;
+}
+
+// Replace the data URLs of image and device layers with Image objects (the layers are changed in place)
+function hydrateLayers(layers) {
+    layers.forEach(layer => {
+        if (layer.type === 'image' && typeof layer.image === 'string') {
+            layer.image = loadLayerImage(layer.image);
+        }
+        if (layer.type === 'device' && layer.localizedImages) {
+            Object.values(layer.localizedImages).forEach(entry => {
+                if (entry?.src && !entry.image) entry.image = loadLayerImage(entry.src);
+            });
+        }
+    });
+    return layers;
+}
+
+// Layers of the current screenshot (of its panorama for slices). Screenshots get their stack when
+// they're created or loaded, so reading it (e.g. while rendering) never changes the project
+function getCurrentLayers() {
+    const screenshot = getSceneScreenshot();
+    return screenshot ? getScreenshotLayers(screenshot) : null;
+}
+
+// Same, for adding, deleting and reordering layers: a screenshot without a stack keeps the edited one
+function getEditableLayers() {
+    const screenshot = getSceneScreenshot();
+    if (!screenshot) return null;
+    if (!Array.isArray(screenshot.layers)) {
+        screenshot.layers = createDefaultLayers();
+    }
+    return screenshot.layers;
+}
+
+function getLayer(id) {
+    return (getCurrentLayers() || []).find(layer => layer.id === id) || null;
+}
+
+// Layer with the given id, if it isn't locked
+function getEditableLayer(id) {
+    const layer = getLayer(id);
+    return layer && !layer.locked ? layer : null;
+}
+
+// Added device layer selected in the layers panel, null when the screenshot's device is edited
+function getSelectedDeviceLayer() {
+    const layer = selectedLayerId ? getLayer(selectedLayerId) : null;
+    return layer && layer.type === 'device' && !isBuiltInLayer(layer) ? layer : null;
+}
+
+// Device layer the Device tab edits: the selected added device or the screenshot's device
+function getEditedDeviceLayer() {
+    return getSelectedDeviceLayer() || getLayer('device');
+}
+
+// Settings of a device layer of the current screenshot as drawn at the current output size
+function getDeviceLayerLayout(layer) {
+    const screenshot = getSceneScreenshot();
+    return getDeviceLayerSettings(applyLayoutOverrides(screenshot, state.outputDevice), layer);
+}
+
+// Image of a device layer of the current screenshot in the current language
+function getDeviceLayerImage(layer) {
+    const screenshot = getSceneScreenshot();
+    return isBuiltInLayer(layer)
+        ? getScreenshotImage(screenshot)
+        : getScreenshotImageForLanguage(layer, state.currentLanguage, state.projectLanguages);
+}
+
+/**
+ * Create an added layer with default settings
+ * A device layer starts as a copy of the screenshot's device, moved aside, with its image.
+ * @param {string} type - 'image', 'shape', 'text' or 'device'
+ * @param {Object} [props] - Settings to use instead of the defaults
+ * @returns {Object} Layer
+ */
+function createLayer(type, props = {}) {
+    const base = { id: createLayerId(), type, name: LAYER_TYPES[type], visible: true, locked: false };
+    if (type === 'device') {
+        const screenshot = getSceneScreenshot();
+        const settings = JSON.parse(JSON.stringify(screenshot.screenshot));
+        settings.x = settings.x > 50 ? Math.max(0, settings.x - 40) : Math.min(100, settings.x + 40);
+        const count = getScreenshotLayers(screenshot).filter(layer => layer.type === 'device').length;
+        return {
+            ...base,
+            name: `${LAYER_TYPES.device} ${count + 1}`,
+            settings,
+            localizedImages: copyLocalizedImages(screenshot.localizedImages),
+            ...props
+        };
+    }
+    if (type === 'image') {
+        return { ...base, x: 50, y: 50, width: 30, rotation: 0, opacity: 100, image: null, ...props };
+    }
+    if (type === 'shape') {
+        return {
+            ...base, shape: 'rect', x: 50, y: 50, width: 40, height: 12, rotation: 0,
+            color: '#ffffff', opacity: 100, cornerRadius: 50, ...props
+        };
+    }
+
+    // A free-positioned headline in the style of the screenshot's headline
+    const text = getText();
+    const lang = text.currentHeadlineLang || 'en';
+    return {
+        ...base,
+        text: {
+            headlineEnabled: true,
+            headlines: { [lang]: 'New text' },
+            headlineFont: text.headlineFont,
+            headlineSize: Math.round(text.headlineSize / 2),
+            headlineWeight: '600',
+            headlineItalic: false,
+            headlineUnderline: false,
+            headlineStrikethrough: false,
+            headlineColor: text.headlineColor,
+            lineHeight: 110,
+            subheadlineEnabled: false,
+            position: 'free',
+            headlineBlock: { x: 50, y: 50, align: 'center', maxWidth: 84 }
+        },
+        ...props
+    };
+}
+
+/**
+ * Add a layer on top of the current screenshot's stack and select it
+ * @param {Object} layer - Layer from createLayer()
+ */
+function addLayer(layer) {
+    const layers = getEditableLayers();
+    if (!layers) return;
+
+    recordHistoryStep('Add Layer');
+    layers.push(layer);
+    selectLayer(layer.id);
+    updateCanvas();
+}
+
+function deleteLayer(id) {
+    const layers = getEditableLayers();
+    const index = layers ? layers.findIndex(layer => layer.id === id) : -1;
+    if (index === -1 || isBuiltInLayer(layers[index])) return;
+
+    const editedDevice = getSelectedDeviceLayer() === layers[index];
+    recordHistoryStep('Delete Layer');
+    layers.splice(index, 1);
+    if (selectedLayerId === id) selectedLayerId = null;
+    if (editedDevice) {
+        // The Device tab goes back to the screenshot's device
+        syncUIWithState();
+    } else {
+        updateLayersPanel();
+    }
+    updateCanvas();
+}
+
+/**
+ * Move a layer up or down the stack (the background layer stays at the bottom)
+ * @param {string} id - Layer id
+ * @param {number} direction - 1 to move it up (in front), -1 to move it down
+ */
+function moveLayer(id, direction) {
+    const layers = getEditableLayers();
+    const index = layers ? layers.findIndex(layer => layer.id === id) : -1;
+    const target = index + direction;
+    if (index === -1 || !canMoveLayer(layers, index, target)) return;
+
+    recordHistoryStep(direction > 0 ? 'Bring Layer Forward' : 'Send Layer Backward');
+    [layers[index], layers[target]] = [layers[target], layers[index]];
+    updateLayersPanel();
+    updateCanvas();
+}
+
+function canMoveLayer(layers, index, target) {
+    if (target < 0 || target >= layers.length) return false;
+    return layers[index].id !== 'background' && layers[target].id !== 'background';
+}
+
+function toggleLayerFlag(id, flag) {
+    const layer = getLayer(id);
+    if (!layer) return;
+
+    if (flag === 'visible') {
+        recordHistoryStep(layer.visible === false ? 'Show Layer' : 'Hide Layer');
+        layer.visible = layer.visible === false;
+    } else {
+        recordHistoryStep(layer.locked ? 'Unlock Layer' : 'Lock Layer');
+        layer.locked = !layer.locked;
+    }
+    updateLayersPanel();
+    updateCanvas();
+}
+
+// Position of an added layer: the center of images and shapes, the anchor of text blocks
+function getLayerPosition(layer) {
+    return layer.type === 'text' ? getTextBlock(layer.text, 'headline') : { x: layer.x, y: layer.y };
+}
+
+function setLayerPosition(layer, position) {
+    if (layer.type === 'text') {
+        layer.text.headlineBlock = { ...getTextBlock(layer.text, 'headline'), ...position };
+    } else {
+        Object.assign(layer, position);
+    }
+}
+
+// Change a setting of the selected added layer ('text.' keys change its text settings)
+function setLayerValue(key, value) {
+    const layer = getEditableLayer(selectedLayerId);
+    if (!layer || isBuiltInLayer(layer)) return;
+
+    markHistoryEdit(`layers.${layer.id}.${key}`);
+    if (key.startsWith('text.')) {
+        layer.text[key.slice(5)] = value;
+    } else if (key === 'x' || key === 'y') {
+        setLayerPosition(layer, { [key]: value });
+    } else {
+        layer[key] = value;
+    }
+    updateCanvas();
+}
+
+// ==========================================
+// Layers panel
+// ==========================================
+
+function selectLayer(id) {
+    const editedDevice = getEditedDeviceLayer();
+    selectedLayerId = id;
+    if (getEditedDeviceLayer() !== editedDevice) {
+        // The Device tab and the live 3D model switch to the other device
+        syncUIWithState();
+        updateCanvas();
+    } else {
+        updateLayersPanel();
+    }
+    updateManipulationOverlay();
+}
+
+function createLayerButton(className, title, icon, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.className = 'layer-btn ' + className;
+    button.title = title;
+    button.disabled = disabled;
+    button.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor"
+        stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${icon}</svg>`;
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+    });
+    return button;
+}
+
+/**
+ * Show the current screenshot's layers (top first) and the selected layer's settings
+ */
+function updateLayersPanel() {
+    const list = document.getElementById('layers-list');
+    const layers = getCurrentLayers();
+    list.innerHTML = '';
+    document.getElementById('layers-empty').style.display = layers ? 'none' : 'block';
+    document.querySelectorAll('.layers-add-btn').forEach(btn => {
+        btn.disabled = !layers;
+    });
+
+    if (!layers || !layers.some(layer => layer.id === selectedLayerId)) {
+        selectedLayerId = null;
+    }
+
+    (layers || []).slice().reverse().forEach(layer => {
+        const index = layers.indexOf(layer);
+        const item = document.createElement('div');
+        item.className = 'layer-item';
+        item.classList.toggle('selected', layer.id === selectedLayerId);
+        item.classList.toggle('layer-hidden', layer.visible === false);
+        item.classList.toggle('layer-locked', !!layer.locked);
+        item.addEventListener('click', () => selectLayer(layer.id));
+
+        const icon = document.createElement('span');
+        icon.className = 'layer-icon';
+        icon.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor"
+            stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${LAYER_ICONS[layer.type]}</svg>`;
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = layer.name || LAYER_TYPES[layer.type];
+        item.append(icon, name);
+
+        item.append(
+            createLayerButton('layer-move-up', 'Bring forward', '<polyline points="18 15 12 9 6 15" />',
+                () => moveLayer(layer.id, 1), !canMoveLayer(layers, index, index + 1)),
+            createLayerButton('layer-move-down', 'Send backward', '<polyline points="6 9 12 15 18 9" />',
+                () => moveLayer(layer.id, -1), !canMoveLayer(layers, index, index - 1)),
+            createLayerButton('layer-visibility', layer.visible === false ? 'Show' : 'Hide',
+                layer.visible === false
+                    ? '<path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19" /><line x1="1" y1="1" x2="23" y2="23" />'
+                    : '<path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z" /><circle cx="12" cy="12" r="3" />',
+                () => toggleLayerFlag(layer.id, 'visible')),
+            createLayerButton('layer-lock', layer.locked ? 'Unlock' : 'Lock',
+                layer.locked
+                    ? '<rect x="3" y="11" width="18" height="11" rx="2" /><path d="M7 11V7a5 5 0 0 1 10 0v4" />'
+                    : '<rect x="3" y="11" width="18" height="11" rx="2" /><path d="M7 11V7a5 5 0 0 1 9.9-1" />',
+                () => toggleLayerFlag(layer.id, 'locked'))
+        );
+        list.appendChild(item);
+    });
+
+    updateLayerProperties();
+    updateDeviceInstanceBar();
+    updatePanoramaUI();
+}
+
+// Tell in the Device tab when it edits an added device
+function updateDeviceInstanceBar() {
+    const layer = getSelectedDeviceLayer();
+    document.getElementById('device-instance-bar').style.display = layer ? 'flex' : 'none';
+    if (layer) {
+        document.getElementById('device-instance-text').textContent = `Editing ${layer.name || LAYER_TYPES.device}`;
+    }
+}
+
+// Settings of the selected layer
+function updateLayerProperties() {
+    const layer = selectedLayerId ? getLayer(selectedLayerId) : null;
+    const panel = document.getElementById('layer-properties');
+    panel.style.display = layer ? 'block' : 'none';
+    if (!layer) return;
+
+    const builtIn = isBuiltInLayer(layer);
+    document.getElementById('layer-builtin-info').style.display = builtIn ? 'flex' : 'none';
+    document.getElementById('layer-fields').style.display = builtIn ? 'none' : 'block';
+    document.getElementById('layer-delete').style.display = builtIn ? 'none' : 'block';
+    if (builtIn) {
+        const tab = document.querySelector(`.tab[data-tab="${BUILT_IN_LAYER_TABS[layer.id]}"]`);
+        document.getElementById('layer-builtin-text').textContent =
+            `${layer.name} settings are in the ${tab.textContent.trim()} tab`;
+        return;
+    }
+
+    document.getElementById('layer-fields').disabled = !!layer.locked;
+    document.getElementById('layer-name').value = layer.name;
+    document.getElementById('layer-delete').disabled = !!layer.locked;
+
+    const isText = layer.type === 'text';
+    const isDevice = layer.type === 'device';
+    document.getElementById('layer-text-fields').style.display = isText ? 'block' : 'none';
+    document.getElementById('layer-shape-fields').style.display = layer.type === 'shape' ? 'block' : 'none';
+    document.getElementById('layer-device-fields').style.display = isDevice ? 'block' : 'none';
+    document.getElementById('layer-position-fields').style.display = isDevice ? 'none' : 'block';
+    document.getElementById('layer-box-fields').style.display = isText || isDevice ? 'none' : 'block';
+
+    // Devices are placed in the Device tab
+    if (isDevice) {
+        updateDeviceSourceOptions();
+        return;
+    }
+
+    const position = getLayerPosition(layer);
+    setLayerRangeValue('layer-x', position.x, '%');
+    setLayerRangeValue('layer-y', position.y, '%');
+
+    if (isText) {
+        const text = layer.text;
+        const block = getTextBlock(text, 'headline');
+        document.getElementById('layer-text').value = text.headlines[getLayerTextLang()] || '';
+        document.getElementById('layer-text-size').value = text.headlineSize;
+        document.getElementById('layer-text-color').value = text.headlineColor;
+        document.getElementById('layer-text-weight').value = text.headlineWeight;
+        document.querySelectorAll('#layer-text-align button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.align === block.align);
+        });
+        setLayerRangeValue('layer-text-width', block.maxWidth, '%');
+    } else {
+        setLayerRangeValue('layer-width', layer.width, '%');
+        setLayerRangeValue('layer-rotation', layer.rotation, '°');
+        setLayerRangeValue('layer-opacity', layer.opacity, '%');
+    }
+
+    if (layer.type === 'shape') {
+        document.querySelectorAll('#layer-shape-kind button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.shape === layer.shape);
+        });
+        document.getElementById('layer-shape-color').value = layer.color;
+        setLayerRangeValue('layer-height', layer.height, '%');
+        setLayerRangeValue('layer-corner-radius', layer.cornerRadius, '%');
+        document.getElementById('layer-corner-radius-group').style.display = layer.shape === 'rect' ? 'block' : 'none';
+    }
+}
+
+// Screenshots whose images a device layer can show, and a new upload
+function updateDeviceSourceOptions() {
+    const select = document.getElementById('layer-device-source');
+    select.innerHTML = '';
+    const addOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    };
+    addOption('', 'Replace with…');
+    state.screenshots.forEach((screenshot, index) => {
+        addOption(String(index), `Screenshot ${index + 1}: ${screenshot.name || 'Untitled'}`);
+    });
+    addOption('upload', 'Upload image…');
+}
+
+/**
+ * Replace the images of the selected device layer
+ * @param {Object} localizedImages - { [lang]: { image, src, name } }, shared with their source
+ */
+function setDeviceLayerImages(localizedImages) {
+    const layer = getEditableLayer(selectedLayerId);
+    if (!layer || layer.type !== 'device') return;
+
+    recordHistoryStep('Change Device Image');
+    layer.localizedImages = copyLocalizedImages(localizedImages);
+    updateCanvas();
+}
+
+function setLayerRangeValue(id, value, unit) {
+    document.getElementById(id).value = value;
+    document.getElementById(id + '-value').textContent = formatValue(value) + unit;
+}
+
+// Text layers show the same language as the screenshot's headline
+function getLayerTextLang() {
+    return getText().currentHeadlineLang || 'en';
+}
+
+function addImageLayerFromFile(file) {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        const img = new Image();
+        img.onload = () => {
+            const name = file.name.replace(/\.[^.]+$/, '') || LAYER_TYPES.image;
+            addLayer(createLayer('image', { name, image: img }));
+        };
+        img.onerror = () => showAppAlert('Could not load the image.', 'error');
+        img.src = event.target.result;
+    };
+    reader.readAsDataURL(file);
+}
+
+// Show an uploaded image on the selected device layer, in the current language
+function setDeviceLayerImageFromFile(file) {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        const img = new Image();
+        img.onload = () => {
+            setDeviceLayerImages({ [state.currentLanguage]: { image: img, src: event.target.result, name: file.name } });
+        };
+        img.onerror = () => showAppAlert('Could not load the image.', 'error');
+        img.src = event.target.result;
+    };
+    reader.readAsDataURL(file);
+}
+
+// ==========================================
+// Panorama
+// ==========================================
+
+/**
+ * Spread the current screenshot's panorama (or the current screenshot) over count screenshots
+ * @param {number} count - Number of slices, 1 ends the panorama
+ */
+function setPanoramaCount(count) {
+    const panorama = getPanoramaSlice(state.screenshots, state.selectedIndex);
+    const start = panorama ? panorama.start : state.selectedIndex;
+    const first = state.screenshots[start];
+    if (!first) return;
+
+    recordHistoryStep(count > 1 ? 'Set Panorama' : 'End Panorama');
+    if (count > 1) {
+        first.panorama = { count };
+    } else {
+        delete first.panorama;
+    }
+    // Screenshots that become slices don't start panoramas of their own
+    for (let i = start + 1; i < start + count; i++) {
+        delete state.screenshots[i].panorama;
+    }
+    // The current screenshot may now show another screenshot's layers
+    selectedLayerId = null;
+    syncUIWithState();
+    updateCanvas();
+}
+
+function updatePanoramaUI() {
+    const select = document.getElementById('panorama-count');
+    const info = document.getElementById('panorama-info');
+    const panorama = getCurrentScreenshot() ? getPanoramaSlice(state.screenshots, state.selectedIndex) : null;
+    const start = panorama ? panorama.start : state.selectedIndex;
+    const max = Math.min(PANORAMA_MAX_SLICES, state.screenshots.length - start);
+
+    select.innerHTML = '';
+    select.disabled = max < 2;
+    for (let count = 1; count <= Math.max(max, 1); count++) {
+        const option = document.createElement('option');
+        option.value = count;
+        option.textContent = count === 1 ? 'Off' : `${count} screenshots`;
+        select.appendChild(option);
+    }
+    select.value = panorama ? panorama.count : 1;
+
+    if (panorama) {
+        info.textContent = `Screenshots ${start + 1}–${start + panorama.count} share one wide background, ` +
+            `devices and layers (this is part ${panorama.slice + 1}). Each keeps its own headline.`;
+    } else {
+        info.textContent = max < 2
+            ? 'Add screenshots after this one to spread it over several screenshots.'
+            : 'Spread this screenshot\'s background, devices and layers over the next screenshots.';
+    }
+}
+
+function initLayersPanel() {
+    document.getElementById('panorama-count').addEventListener('change', (e) => {
+        setPanoramaCount(parseInt(e.target.value));
+    });
+
+    const imageInput = document.getElementById('layer-image-input');
+    document.querySelectorAll('.layers-add-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.layerType === 'image') {
+                imageInput.click();
+            } else {
+                addLayer(createLayer(btn.dataset.layerType));
+            }
+        });
+    });
+    imageInput.addEventListener('change', (e) => {
+        if (e.target.files[0]) addImageLayerFromFile(e.target.files[0]);
+        imageInput.value = '';
+    });
+
+    document.getElementById('layer-edit-tab').addEventListener('click', () => {
+        const layer = getLayer(selectedLayerId);
+        if (layer) document.querySelector(`.tab[data-tab="${BUILT_IN_LAYER_TABS[layer.id]}"]`).click();
+    });
+    document.getElementById('device-instance-main').addEventListener('click', () => selectLayer('device'));
+    document.getElementById('layer-device-edit').addEventListener('click', () => {
+        document.querySelector(`.tab[data-tab="${BUILT_IN_LAYER_TABS.device}"]`).click();
+    });
+
+    const deviceImageInput = document.getElementById('layer-device-image-input');
+    document.getElementById('layer-device-source').addEventListener('change', (e) => {
+        const value = e.target.value;
+        e.target.value = '';
+        if (value === 'upload') {
+            deviceImageInput.click();
+        } else if (value !== '') {
+            setDeviceLayerImages(state.screenshots[parseInt(value)].localizedImages);
+        }
+    });
+    deviceImageInput.addEventListener('change', (e) => {
+        if (e.target.files[0]) setDeviceLayerImageFromFile(e.target.files[0]);
+        deviceImageInput.value = '';
+    });
+    document.getElementById('layer-delete').addEventListener('click', () => deleteLayer(selectedLayerId));
+
+    document.getElementById('layer-name').addEventListener('input', (e) => {
+        setLayerValue('name', e.target.value);
+        const item = document.querySelector('.layer-item.selected .layer-name');
+        if (item) item.textContent = e.target.value || LAYER_TYPES[getLayer(selectedLayerId).type];
+        updateDeviceInstanceBar();
+    });
+
+    // Ranges: [input id, setting, unit]
+    [
+        ['layer-x', 'x', '%'],
+        ['layer-y', 'y', '%'],
+        ['layer-width', 'width', '%'],
+        ['layer-height', 'height', '%'],
+        ['layer-rotation', 'rotation', '°'],
+        ['layer-opacity', 'opacity', '%'],
+        ['layer-corner-radius', 'cornerRadius', '%']
+    ].forEach(([id, key, unit]) => {
+        document.getElementById(id).addEventListener('input', (e) => {
+            setLayerValue(key, parseFloat(e.target.value));
+            document.getElementById(id + '-value').textContent = formatValue(e.target.value) + unit;
+        });
+    });
+
+    document.querySelectorAll('#layer-shape-kind button').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setLayerValue('shape', btn.dataset.shape);
+            updateLayerProperties();
+        });
+    });
+    document.getElementById('layer-shape-color').addEventListener('input', (e) => {
+        setLayerValue('color', e.target.value);
+    });
+
+    document.getElementById('layer-text').addEventListener('input', (e) => {
+        const layer = getEditableLayer(selectedLayerId);
+        if (!layer || layer.type !== 'text') return;
+        setLayerValue('text.headlines', { ...layer.text.headlines, [getLayerTextLang()]: e.target.value });
+    });
+    document.getElementById('layer-text-size').addEventListener('input', (e) => {
+        setLayerValue('text.headlineSize', parseInt(e.target.value) || 50);
+    });
+    document.getElementById('layer-text-color').addEventListener('input', (e) => {
+        setLayerValue('text.headlineColor', e.target.value);
+    });
+    document.getElementById('layer-text-weight').addEventListener('change', (e) => {
+        setLayerValue('text.headlineWeight', e.target.value);
+    });
+    document.querySelectorAll('#layer-text-align button').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const layer = getEditableLayer(selectedLayerId);
+            if (!layer || layer.type !== 'text') return;
+            setLayerValue('text.headlineBlock', { ...getTextBlock(layer.text, 'headline'), align: btn.dataset.align });
+            updateLayerProperties();
+        });
+    });
+    document.getElementById('layer-text-width').addEventListener('input', (e) => {
+        const layer = getEditableLayer(selectedLayerId);
+        if (!layer || layer.type !== 'text') return;
+        setLayerValue('text.headlineBlock', { ...getTextBlock(layer.text, 'headline'), maxWidth: parseFloat(e.target.value) });
+        document.getElementById('layer-text-width-value').textContent = formatValue(e.target.value) + '%';
+    });
+}
@@ -231,6 +231,12 @@ Language: ${langName}
         // Step 4: Apply Everything
         updateStep(4, 'Applying magical design...');
 
+        // The makeover overwrites every screenshot, so keep a version to go back to
+        await createProjectSnapshot('Before AI Designer', { auto: true });
+
+        // The whole makeover is a single undo step
+        beginHistoryGroup('Magical Designer');
+
         // 4a. Apply Text (Copy & Color)
         for (let i = 0; i < state.screenshots.length; i++) {
             const ss = state.screenshots[i];
@@ -350,12 +356,14 @@ Language: ${langName}
         syncUIWithState();
         updateCanvas();
         saveState();
+        endHistoryGroup();
 
         progressEl.remove();
         await showAppAlert('✨ AI Design Makeover Complete!', 'success');
 
     } catch (error) {
         console.error('Magical Designer Error:', error);
+        endHistoryGroup();
         progressEl.remove();
         await showAppAlert(`Design generation failed: ${error.message}`, 'error');
     }
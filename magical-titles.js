@@ -406,6 +406,7 @@ Write all titles in ${langName}.`;
         updateStatus('Applying titles...', 'Updating screenshots');
 
         // Apply titles to screenshots
+        recordHistoryStep('Magical Titles');
         for (let i = 0; i < state.screenshots.length; i++) {
             const titleData = titles[String(i)];
             if (titleData) {
@@ -0,0 +1,169 @@
+// Preview Guides
+// Overlay guides for the preview: where store listings crop or cover screenshots, safe zones
+// and composition lines. They are drawn on their own canvas above the preview, so exports
+// never include them.
+
+const PREVIEW_GUIDES = {
+    search: 'Search result crop (approx.)',
+    featureGraphic: 'Feature graphic safe zone',
+    textMargins: 'Text safe margins',
+    thirds: 'Center & thirds'
+};
+
+// Part of a screenshot visible in store search results and link cards, as the aspect ratio
+// (width / height) of the visible area and where it is anchored. Apple and Google don't publish
+// how search results crop screenshots, so the store entries are estimates that change with the
+// store's layout and the viewer's device; the guide is labelled as approximate in the UI.
+// The link card ratios are the documented image ratios of Open Graph (1.91:1) and X/Twitter's
+// large summary card (2:1).
+const SEARCH_RESULT_CROPS = [
+    { match: /^iphone-/, aspect: 9 / 16, anchor: 'top' },
+    { match: /^ipad-/, aspect: 3 / 4, anchor: 'top' },
+    { match: /^android-/, aspect: 9 / 16, anchor: 'center' },
+    { match: /^web-og$/, aspect: 1.91, anchor: 'center' },
+    { match: /^web-twitter$/, aspect: 2, anchor: 'center' }
+];
+
+// Google Play covers the edges of the feature graphic with its own UI (and the center with
+// a play button when the listing has a video), as fractions of the graphic
+const FEATURE_GRAPHIC_SAFE_ZONE = { x: 0.15, y: 0.2, playButton: 0.14 };
+
+// Same as the text padding in drawTextToContext()
+const TEXT_SAFE_MARGIN = 0.08;
+
+const GUIDE_COLORS = {
+    crop: '#ff9f0a',
+    safe: '#30d158',
+    line: 'rgba(10, 132, 255, 0.8)'
+};
+
+/**
+ * Check whether a guide applies to an output size
+ * @param {string} guide - PREVIEW_GUIDES key
+ * @param {string} device - Output size (deviceDimensions key, custom sizes resolved)
+ * @returns {boolean}
+ */
+function isPreviewGuideAvailable(guide, device) {
+    if (guide === 'search') return SEARCH_RESULT_CROPS.some(crop => crop.match.test(device));
+    if (guide === 'featureGraphic') return device === 'web-feature';
+    return true;
+}
+
+// Visible rect of the search result crop, null if the whole screenshot is shown
+function getSearchResultCrop(device, dims) {
+    const crop = SEARCH_RESULT_CROPS.find(c => c.match.test(device));
+    if (!crop) return null;
+
+    let width = dims.width;
+    let height = dims.height;
+    if (dims.width / dims.height > crop.aspect) {
+        width = dims.height * crop.aspect;
+    } else {
+        height = dims.width / crop.aspect;
+    }
+    if (Math.round(width) === dims.width && Math.round(height) === dims.height) return null;
+
+    return {
+        x: (dims.width - width) / 2,
+        y: crop.anchor === 'top' ? 0 : (dims.height - height) / 2,
+        width,
+        height
+    };
+}
+
+function drawGuideLabel(context, text, x, y, color) {
+    context.font = '600 11px -apple-system, BlinkMacSystemFont, sans-serif';
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    const width = context.measureText(text).width + 8;
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(x, y, width, 16);
+    context.fillStyle = color;
+    context.fillText(text, x + 4, y + 2);
+}
+
+function drawGuideRect(context, rect, color, label) {
+    context.strokeStyle = color;
+    context.setLineDash([6, 4]);
+    context.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1);
+    context.setLineDash([]);
+    if (label) drawGuideLabel(context, label, rect.x + 4, rect.y + 4, color);
+}
+
+/**
+ * Draw the enabled guides
+ * @param {CanvasRenderingContext2D} context - Overlay context, in preview pixels
+ * @param {Object} dims - { width, height } of the output
+ * @param {string} device - Output size (deviceDimensions key, custom sizes resolved)
+ * @param {string[]} guides - Enabled PREVIEW_GUIDES keys
+ * @param {number} scale - Preview pixels per output pixel
+ */
+function drawPreviewGuides(context, dims, device, guides, scale) {
+    const width = dims.width * scale;
+    const height = dims.height * scale;
+    const enabled = guide => guides.includes(guide) && isPreviewGuideAvailable(guide, device);
+    context.lineWidth = 1;
+
+    if (enabled('thirds')) {
+        context.strokeStyle = GUIDE_COLORS.line;
+        context.setLineDash([2, 4]);
+        context.beginPath();
+        [1 / 3, 2 / 3].forEach(f => {
+            context.moveTo(Math.round(width * f) + 0.5, 0);
+            context.lineTo(Math.round(width * f) + 0.5, height);
+            context.moveTo(0, Math.round(height * f) + 0.5);
+            context.lineTo(width, Math.round(height * f) + 0.5);
+        });
+        context.stroke();
+        context.setLineDash([]);
+        context.beginPath();
+        context.moveTo(Math.round(width / 2) + 0.5, 0);
+        context.lineTo(Math.round(width / 2) + 0.5, height);
+        context.moveTo(0, Math.round(height / 2) + 0.5);
+        context.lineTo(width, Math.round(height / 2) + 0.5);
+        context.stroke();
+    }
+
+    if (enabled('textMargins')) {
+        const margin = width * TEXT_SAFE_MARGIN;
+        drawGuideRect(context, { x: margin, y: margin, width: width - margin * 2, height: height - margin * 2 },
+            GUIDE_COLORS.safe);
+        // Labeled at the bottom, the other guides are labeled at the top
+        drawGuideLabel(context, 'Text safe area', margin + 4, height - margin - 20, GUIDE_COLORS.safe);
+    }
+
+    if (enabled('featureGraphic')) {
+        const zone = FEATURE_GRAPHIC_SAFE_ZONE;
+        drawGuideRect(context, {
+            x: width * zone.x,
+            y: height * zone.y,
+            width: width * (1 - zone.x * 2),
+            height: height * (1 - zone.y * 2)
+        }, GUIDE_COLORS.safe, 'Safe zone');
+        context.strokeStyle = GUIDE_COLORS.crop;
+        context.beginPath();
+        context.arc(width / 2, height / 2, height * zone.playButton, 0, Math.PI * 2);
+        context.stroke();
+    }
+
+    if (enabled('search')) {
+        const crop = getSearchResultCrop(device, dims);
+        if (crop) {
+            const rect = {
+                x: crop.x * scale,
+                y: crop.y * scale,
+                width: crop.width * scale,
+                height: crop.height * scale
+            };
+            // Shade what the search result cuts off
+            context.fillStyle = 'rgba(0, 0, 0, 0.45)';
+            context.beginPath();
+            context.rect(0, 0, width, height);
+            context.rect(rect.x, rect.y, rect.width, rect.height);
+            context.fill('evenodd');
+            drawGuideRect(context, rect, GUIDE_COLORS.crop, 'Search result (approx.)');
+        } else {
+            drawGuideLabel(context, 'Search result: not cropped', 4, height - 20, GUIDE_COLORS.crop);
+        }
+    }
+}
@@ -0,0 +1,224 @@
+// Portable Project Files (.appscreen)
+// A project file is a ZIP containing manifest.json (versioned, holds the project record)
+// and the images as binary files under assets/, referenced from the manifest.
+
+const PROJECT_FILE_FORMAT = 'appscreen-project';
+const PROJECT_FILE_VERSION = 2;
+const PROJECT_FILE_EXTENSION = '.appscreen';
+
+// Migrations for older manifests: each entry upgrades a manifest from version N to N + 1
+const projectFileMigrations = {
+    // Version 2: screenshots are drawn from a layer stack (see createDefaultLayers() in render.js)
+    1: (manifest) => {
+        const project = manifest.project;
+        (project.screenshots || []).forEach(screenshot => {
+            if (!screenshot.layers) screenshot.layers = createDefaultLayers();
+        });
+        if (project.defaults && !project.defaults.layers) {
+            project.defaults.layers = createDefaultLayers();
+        }
+        return manifest;
+    }
+};
+
+const projectAssetExtensions = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg',
+    'model/gltf-binary': 'glb',
+    'model/gltf+json': 'gltf'
+};
+
+// ==========================================
+// Asset helpers
+// ==========================================
+
+/**
+ * Get MIME type for an asset path by its extension
+ * @param {string} path - Asset path inside the project file
+ * @returns {string} MIME type
+ */
+function getProjectAssetMimeType(path) {
+    const ext = path.split('.').pop().toLowerCase();
+    const entry = Object.entries(projectAssetExtensions).find(([, e]) => e === ext);
+    if (entry) return entry[0];
+    return ext === 'jpeg' ? 'image/jpeg' : 'image/png';
+}
+
+// ==========================================
+// Export
+// ==========================================
+
+/**
+ * Build a .appscreen ZIP for the current project
+ * @returns {Promise<Blob>} Project file contents
+ */
+async function buildProjectFile() {
+    const zip = new JSZip();
+    const record = buildProjectRecord();
+    delete record.id;
+
+    // Store each distinct image (and 3D model) once as a binary file
+    const assetPaths = new Map();
+    const project = mapProjectValues(record, value => {
+        if (typeof value !== 'string') return undefined;
+        const parsed = parseImageDataUrl(value);
+        if (!parsed) return undefined;
+
+        if (!assetPaths.has(value)) {
+            const ext = projectAssetExtensions[parsed.mimeType] || 'png';
+            const kind = parsed.mimeType.startsWith('model/') ? 'model' : 'image';
+            const path = `assets/${kind}-${assetPaths.size + 1}.${ext}`;
+            zip.file(path, parsed.base64, { base64: true, compression: 'STORE' });
+            assetPaths.set(value, path);
+        }
+        return { $asset: assetPaths.get(value) };
+    });
+
+    const currentProject = projects.find(p => p.id === currentProjectId);
+    const manifest = {
+        format: PROJECT_FILE_FORMAT,
+        version: PROJECT_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        name: currentProject ? currentProject.name : 'Untitled Project',
+        project: project
+    };
+
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+/**
+ * Download the current project as a .appscreen file
+ */
+async function exportProjectFile() {
+    try {
+        const content = await buildProjectFile();
+        const currentProject = projects.find(p => p.id === currentProjectId);
+        const baseName = (currentProject?.name || 'project')
+            .replace(/[\\/:*?"<>|]+/g, '-')
+            .trim() || 'project';
+
+        const link = document.createElement('a');
+        link.download = baseName + PROJECT_FILE_EXTENSION;
+        link.href = URL.createObjectURL(content);
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Project export error:', error);
+        await showAppAlert('Could not export project: ' + error.message, 'error');
+    }
+}
+
+// ==========================================
+// Import
+// ==========================================
+
+/**
+ * Upgrade a manifest to the current file format version
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {Object} Manifest at PROJECT_FILE_VERSION
+ */
+function migrateProjectManifest(manifest) {
+    if (!manifest || manifest.format !== PROJECT_FILE_FORMAT || !manifest.project) {
+        throw new Error('This is not an .appscreen project file.');
+    }
+
+    let version = manifest.version || 1;
+    if (version > PROJECT_FILE_VERSION) {
+        throw new Error('This project was saved by a newer version of the app.');
+    }
+
+    while (version < PROJECT_FILE_VERSION) {
+        const migrate = projectFileMigrations[version];
+        if (!migrate) {
+            throw new Error(`Unsupported project file version ${version}.`);
+        }
+        manifest = migrate(manifest);
+        version++;
+        manifest.version = version;
+    }
+
+    return manifest;
+}
+
+/**
+ * Resolve asset references in a project back to data URLs
+ * @param {Object} project - Project record from the manifest
+ * @param {JSZip} zip - Opened project file
+ * @returns {Promise<Object>} Project record with data URLs
+ */
+async function unpackProjectAssets(project, zip) {
+    const assetData = {};
+    const paths = new Set();
+    collectAssetRefs(project, paths);
+
+    for (const path of paths) {
+        const file = zip.file(path);
+        if (!file) {
+            throw new Error(`Missing image ${path} in project file.`);
+        }
+        const base64 = await file.async('base64');
+        assetData[path] = `data:${getProjectAssetMimeType(path)};base64,${base64}`;
+    }
+
+    return mapProjectValues(project, value => {
+        if (isAssetRef(value)) return assetData[value.$asset];
+        return undefined;
+    });
+}
+
+/**
+ * Get a project name that is not used yet
+ * @param {string} name - Preferred name
+ * @returns {string} Unique name
+ */
+function getUniqueProjectName(name) {
+    const names = new Set(projects.map(p => p.name));
+    if (!names.has(name)) return name;
+    let n = 2;
+    while (names.has(`${name} (${n})`)) n++;
+    return `${name} (${n})`;
+}
+
+/**
+ * Import a .appscreen file as a new project and switch to it
+ * @param {Blob|string} source - File/Blob, or base64 string (Electron)
+ * @param {string} fileName - Original file name, used if the manifest has no name
+ */
+async function importProjectFile(source, fileName) {
+    if (!db) {
+        await showAppAlert('Projects cannot be imported because browser storage is unavailable.', 'error');
+        return;
+    }
+
+    try {
+        const zip = await JSZip.loadAsync(source, { base64: typeof source === 'string' });
+        const manifestFile = zip.file('manifest.json');
+        if (!manifestFile) {
+            throw new Error('This is not an .appscreen project file.');
+        }
+
+        const manifest = migrateProjectManifest(JSON.parse(await manifestFile.async('string')));
+        const project = await unpackProjectAssets(manifest.project, zip);
+
+        const fallbackName = (fileName || 'Imported Project').replace(/\.(appscreen|zip)$/i, '');
+        const name = getUniqueProjectName(manifest.name || fallbackName);
+
+        const stored = await storeProjectAssets(project);
+        await createProject(name, stored);
+    } catch (error) {
+        console.error('Project import error:', error);
+        await showAppAlert('Could not import project: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Handle a project file read by the Electron main process
+ * @param {Object} fileData - { base64, name }
+ */
+function importProjectFromElectron(fileData) {
+    return importProjectFile(fileData.base64, fileData.name);
+}
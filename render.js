@@ -0,0 +1,981 @@
+// 2D Screenshot Rendering
+// renderScreenshot() and the drawing functions it uses are shared by the preview, the exports
+// and the headless CLI renderer (cli/appscreen.js). They only use the canvas 2D context API
+// and their arguments, so the same code runs in the browser and in Node.
+
+// Device dimensions
+const deviceDimensions = {
+    'iphone-6.9': { width: 1320, height: 2868 },
+    'iphone-6.7': { width: 1290, height: 2796 },
+    'iphone-6.5': { width: 1284, height: 2778 },
+    'iphone-5.5': { width: 1242, height: 2208 },
+    'ipad-12.9': { width: 2048, height: 2732 },
+    'ipad-11': { width: 1668, height: 2388 },
+    'android-phone': { width: 1080, height: 1920 },
+    'android-phone-hd': { width: 1440, height: 2560 },
+    'android-tablet-7': { width: 1200, height: 1920 },
+    'android-tablet-10': { width: 1600, height: 2560 },
+    'web-og': { width: 1200, height: 630 },
+    'web-twitter': { width: 1200, height: 675 },
+    'web-hero': { width: 1920, height: 1080 },
+    'web-feature': { width: 1024, height: 500 }
+};
+
+// Layout values a screenshot can change per output size (screenshot.layoutOverrides)
+const LAYOUT_OVERRIDE_KEYS = {
+    screenshot: ['scale', 'x', 'y', 'rotation', 'perspective'],
+    text: ['headlineSize', 'subheadlineSize', 'offsetY', 'lineHeight', 'headlineBlock', 'subheadlineBlock']
+};
+
+// Fixed noise seed, so repeated renders (preview, export, CLI) produce identical pixels
+const NOISE_SEED = 0x5eed;
+
+/**
+ * Render a screenshot
+ * Depends only on its arguments (no DOM lookups, no app state), so the preview, the
+ * exports and the headless CLI all produce the same pixels.
+ * @param {Object} screenshotModel - Screenshot ({ background, screenshot, text, localizedImages, layers })
+ * @param {Object} dims - { width, height }
+ * @param {string} lang - Language of the screenshot image and text
+ * @param {Object} [assets] - What the model doesn't contain
+ * @param {HTMLCanvasElement|OffscreenCanvas} [assets.canvas] - Canvas to draw into (resized to dims),
+ *     otherwise a new OffscreenCanvas is created
+ * @param {string[]} [assets.projectLanguages] - Image fallback order if lang has no image
+ * @param {Object} [assets.textLanguages] - { headline, subheadline } to show instead of lang
+ * @param {string} [assets.layoutDevice] - Output size whose layout overrides apply
+ * @param {Function} [assets.drawDevice3D] - (canvas, dims, image, settings, layer) draws a 3D device
+ *     mockup of a device layer; without it, 3D devices are drawn flat
+ * @param {Object} [assets.panorama] - { model, count, slice } from getPanoramaSlice() to draw the
+ *     screenshot as a slice of its panorama
+ * @returns {HTMLCanvasElement|OffscreenCanvas} The rendered canvas
+ */
+function renderScreenshot(screenshotModel, dims, lang, assets = {}) {
+    screenshotModel = applyLayoutOverrides(screenshotModel, assets.layoutDevice);
+
+    // The background, devices and layers of a panorama slice are the panorama's, drawn across
+    // all slices and shifted to this one; the headline and subheadline are the slice's own
+    const panorama = assets.panorama;
+    const sceneModel = panorama ? applyLayoutOverrides(panorama.model, assets.layoutDevice) : screenshotModel;
+    const sceneDims = getPanoramaDimensions(dims, panorama);
+    const offsetX = panorama ? dims.width * panorama.slice : 0;
+
+    const canvas = assets.canvas || new OffscreenCanvas(dims.width, dims.height);
+    // Setting the size also clears the canvas
+    canvas.width = dims.width;
+    canvas.height = dims.height;
+    const context = canvas.getContext('2d');
+
+    const textLanguages = assets.textLanguages || { headline: lang, subheadline: lang };
+
+    getScreenshotLayers(sceneModel).forEach(layer => {
+        if (layer.visible === false) return;
+
+        if (layer.id === 'text') {
+            drawTextToContext(context, dims, {
+                ...screenshotModel.text,
+                currentHeadlineLang: textLanguages.headline,
+                currentSubheadlineLang: textLanguages.subheadline
+            });
+            return;
+        }
+
+        context.save();
+        context.translate(-offsetX, 0);
+        if (layer.id === 'background') {
+            const bg = sceneModel.background;
+            drawBackgroundToContext(context, sceneDims, bg);
+            if (bg.noise) {
+                // Works on the canvas pixels, not in the shifted coordinates
+                drawNoiseToContext(context, dims, bg.noiseIntensity);
+            }
+        } else if (layer.type === 'device') {
+            const settings = getDeviceLayerSettings(sceneModel, layer);
+            const img = getScreenshotImageForLanguage(isBuiltInLayer(layer) ? sceneModel : layer,
+                lang, assets.projectLanguages || [lang]);
+            if (settings.use3D && assets.drawDevice3D) {
+                assets.drawDevice3D(canvas, sceneDims, img, settings, layer);
+            } else {
+                drawScreenshotToContext(context, sceneDims, img, settings);
+            }
+        } else {
+            drawLayerToContext(context, sceneDims, layer, textLanguages.headline);
+        }
+        context.restore();
+    });
+
+    return canvas;
+}
+
+// ==========================================
+// Panoramas
+// ==========================================
+// A screenshot with panorama: { count } starts a panorama: it and the next count - 1 screenshots
+// are slices of one canvas count times as wide. The background, devices and layers of the first
+// screenshot span the whole canvas, each slice keeps its own headline and subheadline.
+
+/**
+ * Find the panorama a screenshot is a slice of
+ * @param {Object[]} screenshots - Screenshots in order
+ * @param {number} index - Index of the screenshot
+ * @returns {Object|null} { start, count, slice, model } with the index of the first screenshot,
+ *     the number of slices, the screenshot's slice and the first screenshot; null outside panoramas
+ */
+function getPanoramaSlice(screenshots, index) {
+    let start = 0;
+    while (start <= index && start < screenshots.length) {
+        const count = Math.min(screenshots[start].panorama?.count || 1, screenshots.length - start);
+        if (count > 1 && index < start + count) {
+            return { start, count, slice: index - start, model: screenshots[start] };
+        }
+        start += count;
+    }
+    return null;
+}
+
+// Size of the canvas a panorama is drawn on (dims without a panorama)
+function getPanoramaDimensions(dims, panorama) {
+    return panorama ? { width: dims.width * panorama.count, height: dims.height } : dims;
+}
+
+// Screenshot whose background, devices and layers are drawn for a screenshot
+function getSceneModel(screenshots, index) {
+    return getPanoramaSlice(screenshots, index)?.model || screenshots[index];
+}
+
+/**
+ * Apply a screenshot's layout overrides for an output size
+ * @param {Object} screenshotModel - Screenshot, optionally with layoutOverrides ({ [device]: { screenshot, text } })
+ * @param {string} [device] - Output size (deviceDimensions key or 'custom')
+ * @returns {Object} The screenshot with the overridden values (the model itself without overrides)
+ */
+function applyLayoutOverrides(screenshotModel, device) {
+    const overrides = device && screenshotModel.layoutOverrides?.[device];
+    if (!overrides) return screenshotModel;
+
+    return {
+        ...screenshotModel,
+        screenshot: { ...screenshotModel.screenshot, ...overrides.screenshot },
+        text: { ...screenshotModel.text, ...overrides.text }
+    };
+}
+
+/**
+ * Get the image for a screenshot in a given language
+ * Falls back to the first project language with an image, then to any image
+ * @param {Object} screenshot - The screenshot object
+ * @param {string} lang - Language code
+ * @param {string[]} projectLanguages - Project languages in fallback order
+ * @returns {Image|null} - The Image object to use for rendering
+ */
+function getScreenshotImageForLanguage(screenshot, lang, projectLanguages) {
+    if (!screenshot) return null;
+
+    // Try requested language first
+    if (screenshot.localizedImages?.[lang]?.image) {
+        return screenshot.localizedImages[lang].image;
+    }
+
+    // Fallback to first available language in project order
+    for (const l of projectLanguages) {
+        if (screenshot.localizedImages?.[l]?.image) {
+            return screenshot.localizedImages[l].image;
+        }
+    }
+
+    // Fallback to any available language
+    if (screenshot.localizedImages) {
+        for (const l of Object.keys(screenshot.localizedImages)) {
+            if (screenshot.localizedImages[l]?.image) {
+                return screenshot.localizedImages[l].image;
+            }
+        }
+    }
+
+    // Legacy fallback for old screenshot format
+    return screenshot.image || null;
+}
+
+/**
+ * Draw a screenshot background (gradient, solid color or image)
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {Object} dims - { width, height }
+ * @param {Object} bg - Background settings
+ */
+function drawBackgroundToContext(context, dims, bg) {
+    if (bg.type === 'gradient') {
+        const angle = bg.gradient.angle * Math.PI / 180;
+        const x1 = dims.width / 2 - Math.cos(angle) * dims.width;
+        const y1 = dims.height / 2 - Math.sin(angle) * dims.height;
+        const x2 = dims.width / 2 + Math.cos(angle) * dims.width;
+        const y2 = dims.height / 2 + Math.sin(angle) * dims.height;
+
+        const gradient = context.createLinearGradient(x1, y1, x2, y2);
+        bg.gradient.stops.forEach(stop => {
+            gradient.addColorStop(stop.position / 100, stop.color);
+        });
+
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, dims.width, dims.height);
+    } else if (bg.type === 'solid') {
+        context.fillStyle = bg.solid;
+        context.fillRect(0, 0, dims.width, dims.height);
+    } else if (bg.type === 'image' && bg.image) {
+        const img = bg.image;
+        let sx = 0, sy = 0, sw = img.width, sh = img.height;
+        let dx = 0, dy = 0, dw = dims.width, dh = dims.height;
+
+        if (bg.imageFit === 'cover') {
+            const imgRatio = img.width / img.height;
+            const canvasRatio = dims.width / dims.height;
+
+            if (imgRatio > canvasRatio) {
+                sw = img.height * canvasRatio;
+                sx = (img.width - sw) / 2;
+            } else {
+                sh = img.width / canvasRatio;
+                sy = (img.height - sh) / 2;
+            }
+        } else if (bg.imageFit === 'contain') {
+            const imgRatio = img.width / img.height;
+            const canvasRatio = dims.width / dims.height;
+
+            if (imgRatio > canvasRatio) {
+                dh = dims.width / imgRatio;
+                dy = (dims.height - dh) / 2;
+            } else {
+                dw = dims.height * imgRatio;
+                dx = (dims.width - dw) / 2;
+            }
+
+            context.fillStyle = '#000';
+            context.fillRect(0, 0, dims.width, dims.height);
+        }
+
+        if (bg.imageBlur > 0) {
+            context.filter = `blur(${bg.imageBlur}px)`;
+        }
+
+        context.drawImage(img, sx, sy, sw, sh, dx, dy, dw, dh);
+        context.filter = 'none';
+
+        // Overlay
+        if (bg.overlayOpacity > 0) {
+            context.fillStyle = bg.overlayColor;
+            context.globalAlpha = bg.overlayOpacity / 100;
+            context.fillRect(0, 0, dims.width, dims.height);
+            context.globalAlpha = 1;
+        }
+    }
+}
+
+/**
+ * Add film grain noise to everything drawn so far
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {Object} dims - { width, height }
+ * @param {number} intensity - Noise intensity (0-100)
+ */
+function drawNoiseToContext(context, dims, intensity) {
+    const imageData = context.getImageData(0, 0, dims.width, dims.height);
+    const data = imageData.data;
+    const amount = intensity / 100 * 50;
+    const random = createSeededRandom(NOISE_SEED);
+
+    for (let i = 0; i < data.length; i += 4) {
+        const noise = (random() - 0.5) * amount;
+        data[i] = Math.min(255, Math.max(0, data[i] + noise));
+        data[i + 1] = Math.min(255, Math.max(0, data[i + 1] + noise));
+        data[i + 2] = Math.min(255, Math.max(0, data[i + 2] + noise));
+    }
+
+    context.putImageData(imageData, 0, 0);
+}
+
+/**
+ * Get where a screenshot image (or the device frame around it) is drawn, before rotation and
+ * perspective
+ * @param {Object} dims - { width, height } of the canvas
+ * @param {Object} img - Image (anything with width and height)
+ * @param {Object} settings - Screenshot settings (scale, x, y, deviceFrame)
+ * @returns {Object} { x, y, width, height } in canvas pixels
+ */
+function getScreenshotLayout(dims, img, settings) {
+    const scale = settings.scale / 100;
+    // A device frame is sized like an image with the frame's body shape
+    const deviceFrame = getDeviceFrame(settings);
+    if (deviceFrame) img = getDeviceFrameSize(deviceFrame.frame, img.width > img.height);
+
+    // Calculate scaled dimensions
+    let width = dims.width * scale;
+    let height = (img.height / img.width) * width;
+
+    // If image is taller than canvas after scaling, adjust
+    if (height > dims.height * scale) {
+        height = dims.height * scale;
+        width = (img.width / img.height) * height;
+    }
+
+    return {
+        x: (dims.width - width) * (settings.x / 100),
+        y: (dims.height - height) * (settings.y / 100),
+        width,
+        height
+    };
+}
+
+/**
+ * Draw the uploaded screenshot with rotation, perspective, shadow and frame
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {Object} dims - { width, height }
+ * @param {Image} img - Screenshot image
+ * @param {Object} settings - Screenshot settings
+ */
+function drawScreenshotToContext(context, dims, img, settings) {
+    if (!img) return;
+
+    const layout = getScreenshotLayout(dims, img, settings);
+    const { x, y, width: imgWidth, height: imgHeight } = layout;
+    const deviceFrame = getDeviceFrame(settings);
+
+    // Center point for transformations
+    const centerX = x + imgWidth / 2;
+    const centerY = y + imgHeight / 2;
+
+    context.save();
+
+    // Apply transformations
+    context.translate(centerX, centerY);
+
+    // Apply rotation
+    if (settings.rotation !== 0) {
+        context.rotate(settings.rotation * Math.PI / 180);
+    }
+
+    // Apply perspective (simulated with skew transform)
+    if (settings.perspective !== 0) {
+        context.transform(1, settings.perspective * 0.01, 0, 1, 0, 0);
+    }
+
+    context.translate(-centerX, -centerY);
+
+    // Scale corner radius with image size
+    const radius = deviceFrame
+        ? getDeviceFrameRadius(deviceFrame.frame, getDeviceFrameScreen(deviceFrame.frame, layout).unit)
+        : (settings.cornerRadius || 0) * (imgWidth / 400);
+
+    // Draw shadow first (needs a filled shape, not clipped)
+    if (settings.shadow && settings.shadow.enabled) {
+        context.shadowColor = hexToRgba(settings.shadow.color, settings.shadow.opacity / 100);
+        context.shadowBlur = settings.shadow.blur;
+        context.shadowOffsetX = settings.shadow.x;
+        context.shadowOffsetY = settings.shadow.y;
+
+        // Draw filled rounded rect for shadow
+        context.fillStyle = '#000';
+        context.beginPath();
+        roundRect(context, x, y, imgWidth, imgHeight, radius);
+        context.fill();
+
+        // Reset shadow before drawing image
+        context.shadowColor = 'transparent';
+        context.shadowBlur = 0;
+        context.shadowOffsetX = 0;
+        context.shadowOffsetY = 0;
+    }
+
+    if (deviceFrame) {
+        drawFramedScreenshot(context, layout, img, deviceFrame);
+        context.restore();
+        return;
+    }
+
+    // Clip and draw image
+    context.beginPath();
+    roundRect(context, x, y, imgWidth, imgHeight, radius);
+    context.clip();
+    context.drawImage(img, x, y, imgWidth, imgHeight);
+
+    context.restore();
+
+    // Draw device frame if enabled (needs separate transform context)
+    if (settings.frame && settings.frame.enabled) {
+        context.save();
+        context.translate(centerX, centerY);
+        if (settings.rotation !== 0) {
+            context.rotate(settings.rotation * Math.PI / 180);
+        }
+        if (settings.perspective !== 0) {
+            context.transform(1, settings.perspective * 0.01, 0, 1, 0, 0);
+        }
+        context.translate(-centerX, -centerY);
+        drawDeviceFrameToContext(context, x, y, imgWidth, imgHeight, settings);
+        context.restore();
+    }
+}
+
+// Draw a device frame with the screenshot filling its screen (cropped to the screen's shape)
+function drawFramedScreenshot(context, body, img, deviceFrame) {
+    const { frame, color } = deviceFrame;
+    const screen = getDeviceFrameScreen(frame, body);
+    drawDeviceFrameBody(context, body, frame, color);
+
+    context.save();
+    context.beginPath();
+    roundRect(context, screen.x, screen.y, screen.width, screen.height, screen.radius);
+    context.clip();
+    const cover = Math.max(screen.width / img.width, screen.height / img.height);
+    const width = img.width * cover;
+    const height = img.height * cover;
+    context.drawImage(img, screen.x + (screen.width - width) / 2, screen.y + (screen.height - height) / 2, width, height);
+    context.restore();
+
+    drawDeviceFrameCutout(context, body, frame);
+}
+
+function drawDeviceFrameToContext(context, x, y, width, height, settings) {
+    const frameColor = settings.frame.color;
+    const frameWidth = settings.frame.width * (width / 400); // Scale with image
+    const frameOpacity = settings.frame.opacity / 100;
+    const radius = (settings.cornerRadius || 0) * (width / 400) + frameWidth;
+
+    context.globalAlpha = frameOpacity;
+    context.strokeStyle = frameColor;
+    context.lineWidth = frameWidth;
+    context.beginPath();
+    roundRect(context, x - frameWidth / 2, y - frameWidth / 2, width + frameWidth, height + frameWidth, radius);
+    context.stroke();
+    context.globalAlpha = 1;
+}
+
+// Placement of free-positioned text blocks (position 'free'): anchor x (the left edge, center or
+// right edge depending on align), top y and maxWidth, in % of the canvas
+const DEFAULT_TEXT_BLOCKS = {
+    headline: { x: 50, y: 10, align: 'center', maxWidth: 84 },
+    subheadline: { x: 50, y: 20, align: 'center', maxWidth: 84 }
+};
+
+// Headline and subheadline as shown in their current languages ('' when disabled)
+function getVisibleTexts(txt) {
+    // Check enabled states (default headline to true for backwards compatibility)
+    const headlineEnabled = txt.headlineEnabled !== false;
+    const subheadlineEnabled = txt.subheadlineEnabled || false;
+
+    return {
+        headline: headlineEnabled && txt.headlines ? (txt.headlines[txt.currentHeadlineLang || 'en'] || '') : '',
+        subheadline: subheadlineEnabled && txt.subheadlines ? (txt.subheadlines[txt.currentSubheadlineLang || 'en'] || '') : ''
+    };
+}
+
+/**
+ * Get the placement of a free-positioned text block
+ * @param {Object} txt - Text settings
+ * @param {string} key - 'headline' or 'subheadline'
+ * @returns {Object} { x, y, align, maxWidth }
+ */
+function getTextBlock(txt, key) {
+    return { ...DEFAULT_TEXT_BLOCKS[key], ...txt[key + 'Block'] };
+}
+
+/**
+ * Wrap and place the free-positioned text blocks
+ * @returns {Object[]} { key, lines, x, y, align, fontSize, lineHeight } in canvas pixels
+ */
+function layoutFreeTextBlocks(context, dims, txt, texts) {
+    return ['headline', 'subheadline'].filter(key => texts[key]).map(key => {
+        const block = getTextBlock(txt, key);
+        const fontSize = txt[key + 'Size'];
+        context.font = key === 'headline' ? getHeadlineFont(txt) : getSubheadlineFont(txt);
+        return {
+            key,
+            lines: wrapText(context, texts[key], dims.width * block.maxWidth / 100),
+            x: dims.width * block.x / 100,
+            y: dims.height * block.y / 100,
+            align: block.align,
+            fontSize,
+            // Same line spacing as the stacked layout
+            lineHeight: key === 'headline' ? fontSize * (txt.lineHeight / 100) : fontSize * 1.4
+        };
+    });
+}
+
+function drawFreeTextToContext(context, dims, txt, texts) {
+    context.textBaseline = 'top';
+    layoutFreeTextBlocks(context, dims, txt, texts).forEach(block => {
+        const isHeadline = block.key === 'headline';
+        context.font = isHeadline ? getHeadlineFont(txt) : getSubheadlineFont(txt);
+        context.fillStyle = isHeadline ? txt.headlineColor : hexToRgba(txt.subheadlineColor, txt.subheadlineOpacity / 100);
+        context.textAlign = block.align;
+
+        block.lines.forEach((line, i) => {
+            const y = block.y + i * block.lineHeight;
+            context.fillText(line, block.x, y);
+
+            // Decorations span the line, wherever the alignment puts it
+            const textWidth = context.measureText(line).width;
+            const lineThickness = Math.max(2, block.fontSize * 0.05);
+            let x = block.x - textWidth / 2;
+            if (block.align === 'left') x = block.x;
+            if (block.align === 'right') x = block.x - textWidth;
+
+            if (txt[block.key + 'Underline']) {
+                context.fillRect(x, y + block.fontSize * 0.9, textWidth, lineThickness);
+            }
+            if (txt[block.key + 'Strikethrough']) {
+                context.fillRect(x, y + block.fontSize * 0.4, textWidth, lineThickness);
+            }
+        });
+    });
+}
+
+/**
+ * Draw headline and subheadline in the text's current languages
+ * Stacked at the top or bottom (position 'top'/'bottom' with offsetY), or as two
+ * free-positioned blocks (position 'free', see DEFAULT_TEXT_BLOCKS).
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {Object} dims - { width, height }
+ * @param {Object} txt - Text settings
+ */
+function drawTextToContext(context, dims, txt) {
+    const { headline, subheadline } = getVisibleTexts(txt);
+
+    if (!headline && !subheadline) return;
+
+    if (txt.position === 'free') {
+        drawFreeTextToContext(context, dims, txt, { headline, subheadline });
+        return;
+    }
+
+    const padding = dims.width * 0.08;
+    const textY = txt.position === 'top'
+        ? dims.height * (txt.offsetY / 100)
+        : dims.height * (1 - txt.offsetY / 100);
+
+    context.textAlign = 'center';
+    context.textBaseline = txt.position === 'top' ? 'top' : 'bottom';
+
+    let currentY = textY;
+
+    // Draw headline
+    if (headline) {
+        context.font = getHeadlineFont(txt);
+        context.fillStyle = txt.headlineColor;
+
+        const lines = wrapText(context, headline, dims.width - padding * 2);
+        const lineHeight = txt.headlineSize * (txt.lineHeight / 100);
+
+        // For bottom positioning, offset currentY so lines draw correctly
+        if (txt.position === 'bottom') {
+            currentY -= (lines.length - 1) * lineHeight;
+        }
+
+        let lastLineY;
+        lines.forEach((line, i) => {
+            const y = currentY + i * lineHeight;
+            lastLineY = y;
+            context.fillText(line, dims.width / 2, y);
+
+            // Calculate text metrics for decorations
+            const textWidth = context.measureText(line).width;
+            const fontSize = txt.headlineSize;
+            const lineThickness = Math.max(2, fontSize * 0.05);
+            const x = dims.width / 2 - textWidth / 2;
+
+            // Draw underline
+            if (txt.headlineUnderline) {
+                const underlineY = txt.position === 'top'
+                    ? y + fontSize * 0.9
+                    : y + fontSize * 0.1;
+                context.fillRect(x, underlineY, textWidth, lineThickness);
+            }
+
+            // Draw strikethrough
+            if (txt.headlineStrikethrough) {
+                const strikeY = txt.position === 'top'
+                    ? y + fontSize * 0.4
+                    : y - fontSize * 0.4;
+                context.fillRect(x, strikeY, textWidth, lineThickness);
+            }
+        });
+
+        // Track where subheadline should start (below the bottom edge of headline)
+        // The gap between headline and subheadline should be (lineHeight - fontSize)
+        // This is the "extra" spacing beyond the text itself
+        const gap = lineHeight - txt.headlineSize;
+        if (txt.position === 'top') {
+            // For top: lastLineY is top of last line, add fontSize to get bottom, then add gap
+            currentY = lastLineY + txt.headlineSize + gap;
+        } else {
+            // For bottom: lastLineY is already the bottom of last line, just add gap
+            currentY = lastLineY + gap;
+        }
+    }
+
+    // Draw subheadline (always below headline visually)
+    if (subheadline) {
+        context.font = getSubheadlineFont(txt);
+        context.fillStyle = hexToRgba(txt.subheadlineColor, txt.subheadlineOpacity / 100);
+
+        const lines = wrapText(context, subheadline, dims.width - padding * 2);
+        const subLineHeight = txt.subheadlineSize * 1.4;
+
+        // Subheadline starts after headline with gap determined by headline lineHeight
+        // For bottom position, switch to 'top' baseline so subheadline draws downward
+        const subY = currentY;
+        if (txt.position === 'bottom') {
+            context.textBaseline = 'top';
+        }
+
+        lines.forEach((line, i) => {
+            const y = subY + i * subLineHeight;
+            context.fillText(line, dims.width / 2, y);
+
+            // Calculate text metrics for decorations
+            const textWidth = context.measureText(line).width;
+            const fontSize = txt.subheadlineSize;
+            const lineThickness = Math.max(2, fontSize * 0.05);
+            const x = dims.width / 2 - textWidth / 2;
+
+            // Draw underline (using 'top' baseline for subheadline)
+            if (txt.subheadlineUnderline) {
+                const underlineY = y + fontSize * 0.9;
+                context.fillRect(x, underlineY, textWidth, lineThickness);
+            }
+
+            // Draw strikethrough
+            if (txt.subheadlineStrikethrough) {
+                const strikeY = y + fontSize * 0.4;
+                context.fillRect(x, strikeY, textWidth, lineThickness);
+            }
+        });
+
+        // Restore baseline if we changed it
+        if (txt.position === 'bottom') {
+            context.textBaseline = 'bottom';
+        }
+    }
+}
+
+/**
+ * Measure where drawTextToContext() draws the headline and subheadline
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} context - Context to measure with
+ * @param {Object} dims - { width, height } of the screenshot
+ * @param {Object} txt - Text settings with currentHeadlineLang and currentSubheadlineLang
+ * @returns {Object[]} { key, top, bottom, left, right } in pixels per visible text
+ */
+function measureTextBlocks(context, dims, txt) {
+    const texts = getVisibleTexts(txt);
+    const lineWidth = (lines) => Math.max(0, ...lines.map(line => context.measureText(line).width));
+
+    if (txt.position === 'free') {
+        return layoutFreeTextBlocks(context, dims, txt, texts).map(block => {
+            context.font = block.key === 'headline' ? getHeadlineFont(txt) : getSubheadlineFont(txt);
+            const width = lineWidth(block.lines);
+            let left = block.x - width / 2;
+            if (block.align === 'left') left = block.x;
+            if (block.align === 'right') left = block.x - width;
+            return {
+                key: block.key,
+                top: block.y,
+                bottom: block.y + (block.lines.length - 1) * block.lineHeight + block.fontSize,
+                left,
+                right: left + width
+            };
+        });
+    }
+
+    const padding = dims.width * 0.08;
+    const textY = txt.position === 'top'
+        ? dims.height * (txt.offsetY / 100)
+        : dims.height * (1 - txt.offsetY / 100);
+    const centered = (width) => ({ left: (dims.width - width) / 2, right: (dims.width + width) / 2 });
+    const blocks = [];
+    let currentY = textY;
+
+    if (texts.headline) {
+        context.font = getHeadlineFont(txt);
+        const lines = wrapText(context, texts.headline, dims.width - padding * 2);
+        const lineHeight = txt.headlineSize * (txt.lineHeight / 100);
+
+        // Same line positions as drawTextToContext (top or bottom baseline)
+        const top = txt.position === 'top'
+            ? currentY
+            : currentY - (lines.length - 1) * lineHeight - txt.headlineSize;
+        const bottom = top + (lines.length - 1) * lineHeight + txt.headlineSize;
+        blocks.push({ key: 'headline', top, bottom, ...centered(lineWidth(lines)) });
+        currentY = bottom + lineHeight - txt.headlineSize;
+    }
+
+    if (texts.subheadline) {
+        context.font = getSubheadlineFont(txt);
+        const lines = wrapText(context, texts.subheadline, dims.width - padding * 2);
+
+        // Subheadlines are drawn downwards from currentY
+        blocks.push({
+            key: 'subheadline',
+            top: currentY,
+            bottom: currentY + (lines.length - 1) * txt.subheadlineSize * 1.4 + txt.subheadlineSize,
+            ...centered(lineWidth(lines))
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * Measure the area drawTextToContext() draws the text into
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} context - Context to measure with
+ * @param {Object} dims - { width, height } of the screenshot
+ * @param {Object} txt - Text settings with currentHeadlineLang and currentSubheadlineLang
+ * @returns {Object|null} { top, bottom, left, right } in pixels, null without text
+ */
+function measureTextBounds(context, dims, txt) {
+    const blocks = measureTextBlocks(context, dims, txt);
+    if (blocks.length === 0) return null;
+
+    return {
+        top: Math.min(...blocks.map(block => block.top)),
+        bottom: Math.max(...blocks.map(block => block.bottom)),
+        left: Math.min(...blocks.map(block => block.left)),
+        right: Math.max(...blocks.map(block => block.right))
+    };
+}
+
+// CSS font shorthands of the headline and subheadline
+function getHeadlineFont(txt) {
+    const fontStyle = txt.headlineItalic ? 'italic' : 'normal';
+    return `${fontStyle} ${txt.headlineWeight} ${txt.headlineSize}px ${txt.headlineFont}`;
+}
+
+function getSubheadlineFont(txt) {
+    const fontStyle = txt.subheadlineItalic ? 'italic' : 'normal';
+    const weight = txt.subheadlineWeight || '400';
+    return `${fontStyle} ${weight} ${txt.subheadlineSize}px ${txt.subheadlineFont || txt.headlineFont}`;
+}
+
+// ==========================================
+// Layers
+// ==========================================
+// A screenshot is drawn as a stack of layers, bottom first (screenshot.layers). The built-in
+// layers draw the screenshot's background, device and headline/subheadline settings; added
+// image, shape and text layers carry their own settings. Layer positions are the center
+// (x, y in % of the canvas), sizes are in % of the canvas width. Added device layers are more
+// devices in the same composition, placed like the screenshot's own device.
+
+const BUILT_IN_LAYERS = {
+    background: 'Background',
+    device: 'Device',
+    text: 'Headline & Subheadline'
+};
+
+const LAYER_TYPES = {
+    background: 'Background',
+    device: 'Device',
+    image: 'Image',
+    shape: 'Shape',
+    text: 'Text'
+};
+
+/**
+ * Create the layer stack of a screenshot without added layers
+ * Equivalent to the fixed background → device → text order of older projects.
+ * @returns {Object[]} Layers ({ id, type, name, visible, locked })
+ */
+function createDefaultLayers() {
+    return Object.keys(BUILT_IN_LAYERS).map(id => ({
+        id,
+        type: id,
+        name: BUILT_IN_LAYERS[id],
+        visible: true,
+        locked: false
+    }));
+}
+
+/**
+ * Get a screenshot's layers, bottom first
+ * @param {Object} screenshotModel - Screenshot, layers are optional for older projects
+ * @returns {Object[]} Layers
+ */
+function getScreenshotLayers(screenshotModel) {
+    return Array.isArray(screenshotModel.layers) ? screenshotModel.layers : createDefaultLayers();
+}
+
+function isBuiltInLayer(layer) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN_LAYERS, layer.id);
+}
+
+// Device settings of a device layer: the screenshot's own for the built-in layer, added device
+// layers carry theirs (with their own localizedImages, like a screenshot)
+function getDeviceLayerSettings(screenshotModel, layer) {
+    return isBuiltInLayer(layer) ? screenshotModel.screenshot : layer.settings;
+}
+
+/**
+ * Get the 3D models a screenshot's visible devices are drawn with
+ * @param {Object} screenshotModel - Screenshot
+ * @returns {string[]} device3D keys, empty if every device is drawn flat
+ */
+function getDevice3DModels(screenshotModel) {
+    return getScreenshotLayers(screenshotModel)
+        .filter(layer => layer.type === 'device' && layer.visible !== false)
+        .map(layer => getDeviceLayerSettings(screenshotModel, layer))
+        .filter(settings => settings?.use3D)
+        .map(settings => settings.device3D || 'iphone');
+}
+
+// Text settings of an added text layer in a language (a free-positioned headline)
+function getTextLayerSettings(layer, lang) {
+    return { ...layer.text, currentHeadlineLang: lang };
+}
+
+// Bounding box of a rectangle rotated around its center
+function getRotatedBounds(rect, rotation) {
+    const angle = (rotation || 0) * Math.PI / 180;
+    const extentX = rect.width / 2 * Math.abs(Math.cos(angle)) + rect.height / 2 * Math.abs(Math.sin(angle));
+    const extentY = rect.width / 2 * Math.abs(Math.sin(angle)) + rect.height / 2 * Math.abs(Math.cos(angle));
+    const centerX = rect.x + rect.width / 2;
+    const centerY = rect.y + rect.height / 2;
+    return { top: centerY - extentY, bottom: centerY + extentY, left: centerX - extentX, right: centerX + extentX };
+}
+
+/**
+ * Get the rectangle of an added image or shape layer, before rotation
+ * @returns {Object|null} { x, y, width, height } in pixels, null for an image that isn't loaded
+ */
+function getLayerRect(dims, layer) {
+    const width = dims.width * layer.width / 100;
+    let height = dims.width * layer.height / 100;
+    if (layer.type === 'image') {
+        if (!layer.image || !layer.image.width) return null;
+        height = width * layer.image.height / layer.image.width;
+    }
+    return {
+        x: dims.width * layer.x / 100 - width / 2,
+        y: dims.height * layer.y / 100 - height / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Draw an added layer
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {Object} dims - { width, height }
+ * @param {Object} layer - Image, shape or text layer
+ * @param {string} lang - Language of text layers
+ */
+function drawLayerToContext(context, dims, layer, lang) {
+    if (layer.type === 'text') {
+        drawTextToContext(context, dims, getTextLayerSettings(layer, lang));
+        return;
+    }
+
+    const rect = getLayerRect(dims, layer);
+    if (!rect) return;
+
+    context.save();
+    context.globalAlpha = (layer.opacity ?? 100) / 100;
+    context.translate(rect.x + rect.width / 2, rect.y + rect.height / 2);
+    if (layer.rotation) {
+        context.rotate(layer.rotation * Math.PI / 180);
+    }
+    context.translate(-rect.width / 2, -rect.height / 2);
+
+    if (layer.type === 'image') {
+        context.drawImage(layer.image, 0, 0, rect.width, rect.height);
+    } else if (layer.type === 'shape') {
+        context.fillStyle = layer.color;
+        context.beginPath();
+        if (layer.shape === 'ellipse') {
+            context.ellipse(rect.width / 2, rect.height / 2, rect.width / 2, rect.height / 2, 0, 0, Math.PI * 2);
+        } else {
+            // Corner radius in % of the shorter side
+            roundRect(context, 0, 0, rect.width, rect.height, Math.min(rect.width, rect.height) * (layer.cornerRadius || 0) / 100);
+        }
+        context.fill();
+    }
+    context.restore();
+}
+
+/**
+ * Measure the area an added layer covers
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} context - Context to measure text with
+ * @param {Object} dims - { width, height }
+ * @param {Object} layer - Image, shape, text or device layer
+ * @param {string} lang - Language of text layers
+ * @returns {Object|null} { top, bottom, left, right } in pixels (rotated layers: their bounding box),
+ *     null if the layer draws nothing
+ */
+function measureLayerBounds(context, dims, layer, lang) {
+    if (layer.type === 'text') {
+        return measureTextBounds(context, dims, getTextLayerSettings(layer, lang));
+    }
+
+    if (layer.type === 'device') {
+        // The extent of 3D models isn't known here
+        const img = getScreenshotImageForLanguage(layer, lang, [lang]);
+        if (!img || layer.settings.use3D) return null;
+        return getRotatedBounds(getScreenshotLayout(dims, img, layer.settings), layer.settings.rotation);
+    }
+
+    const rect = getLayerRect(dims, layer);
+    return rect ? getRotatedBounds(rect, layer.rotation) : null;
+}
+
+function roundRect(ctx, x, y, width, height, radius) {
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + width - radius, y);
+    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+    ctx.lineTo(x + width, y + height - radius);
+    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+    ctx.lineTo(x + radius, y + height);
+    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+    ctx.lineTo(x, y + radius);
+    ctx.quadraticCurveTo(x, y, x + radius, y);
+    ctx.closePath();
+}
+
+function wrapText(ctx, text, maxWidth) {
+    const words = text.split(' ');
+    const lines = [];
+    let currentLine = '';
+
+    words.forEach(word => {
+        const testLine = currentLine + (currentLine ? ' ' : '') + word;
+        const metrics = ctx.measureText(testLine);
+
+        if (metrics.width > maxWidth && currentLine) {
+            lines.push(currentLine);
+            currentLine = word;
+        } else {
+            currentLine = testLine;
+        }
+    });
+
+    if (currentLine) {
+        lines.push(currentLine);
+    }
+
+    return lines;
+}
+
+function hexToRgba(hex, alpha) {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Create a deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers in [0, 1), like Math.random
+ */
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
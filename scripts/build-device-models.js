@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+// Device model generator
+// Builds the bundled iPad, Pixel, MacBook and Apple Watch models (models/*.glb) and their
+// entries in models/manifest.json from simple rounded slabs, so they can be reproduced and
+// changed without a 3D editor. The models are original work, under the project's MIT license.
+//
+//   npm run models            (writes to models/)
+//   node scripts/build-device-models.js <dir>
+//
+// Model units are centimetres. Outer dimensions and display resolutions are the makers'
+// published tech specs, noted next to each model. The manifest calibration is computed here:
+//   aspectRatio         display width / height in pixels
+//   screenHeightFactor  display height in cm / SCREEN_PLANE_HEIGHT (the screen plane is
+//                       4.3 × screenHeightFactor units high, see three-renderer.js)
+//   screenOffset        display centre, just in front of the model's display glass
+//   cornerRadiusFactor  display corner radius / display width (three-renderer.js rounds the
+//                       screenshot's corners by width × factor). Makers don't publish corner
+//                       radii, so these are picked to follow the corners of the display glass
+
+const fs = require('fs');
+const path = require('path');
+
+const SCREEN_PLANE_HEIGHT = 4.3;
+const CM_PER_INCH = 2.54;
+// The screen plane sits this far in front of the display glass, so the two never z-fight
+const SCREEN_GAP = 0.03;
+
+const MATERIALS = {
+    Aluminium: { color: [0.62, 0.63, 0.65], metallic: 0.5, roughness: 0.35 },
+    DarkAluminium: { color: [0.05, 0.05, 0.055], metallic: 0.4, roughness: 0.4 },
+    Display: { color: [0.005, 0.005, 0.006], metallic: 0.0, roughness: 0.08 },
+    Lens: { color: [0.01, 0.01, 0.012], metallic: 0.2, roughness: 0.1 },
+    LensRing: { color: [0.3, 0.3, 0.32], metallic: 0.7, roughness: 0.25 },
+    Keyboard: { color: [0.02, 0.02, 0.022], metallic: 0.0, roughness: 0.7 },
+    Band: { color: [0.08, 0.09, 0.11], metallic: 0.0, roughness: 0.8 }
+};
+
+// ==========================================
+// Geometry
+// ==========================================
+
+/**
+ * Build a rounded rectangle slab centred on the origin, facing +z
+ * @param {Object} options - { w, h, d, r (corner radius), bevel (edge rounding), seg, bevelSeg }
+ * @returns {Object} { positions, normals, indices }
+ */
+function slab({ w, h, d, r, bevel = 0, seg = 10, bevelSeg = 4 }) {
+    r = Math.min(r, w / 2, h / 2);
+    bevel = Math.min(bevel, d / 2, r);
+    const positions = [];
+    const normals = [];
+    const indices = [];
+
+    // Outline: a quarter circle around each corner centre, counter-clockwise from the top right
+    const corners = [
+        [w / 2 - r, h / 2 - r, 0],
+        [-(w / 2 - r), h / 2 - r, Math.PI / 2],
+        [-(w / 2 - r), -(h / 2 - r), Math.PI],
+        [w / 2 - r, -(h / 2 - r), 3 * Math.PI / 2]
+    ];
+    const outline = [];
+    corners.forEach(([cx, cy, start]) => {
+        for (let i = 0; i <= seg; i++) {
+            const t = start + (i / seg) * Math.PI / 2;
+            outline.push({ cx, cy, nx: Math.cos(t), ny: Math.sin(t) });
+        }
+    });
+
+    // Rings of the outline from back to front: [inset, z, normal xy factor, normal z]
+    const rings = [];
+    if (bevel > 0) {
+        for (let i = bevelSeg; i >= 0; i--) {
+            const a = (i / bevelSeg) * Math.PI / 2;
+            rings.push([bevel * (1 - Math.cos(a)), -(d / 2 - bevel) - bevel * Math.sin(a), Math.cos(a), -Math.sin(a)]);
+        }
+        for (let i = 0; i <= bevelSeg; i++) {
+            const a = (i / bevelSeg) * Math.PI / 2;
+            rings.push([bevel * (1 - Math.cos(a)), (d / 2 - bevel) + bevel * Math.sin(a), Math.cos(a), Math.sin(a)]);
+        }
+    } else {
+        rings.push([0, -d / 2, 1, 0], [0, d / 2, 1, 0]);
+    }
+
+    const n = outline.length;
+    const ringPoint = (p, inset) => {
+        const radius = Math.max(r - inset, 0.0001);
+        return [p.cx + p.nx * radius, p.cy + p.ny * radius];
+    };
+    rings.forEach(([inset, z, nxy, nz]) => {
+        outline.forEach(p => {
+            const [x, y] = ringPoint(p, inset);
+            positions.push(x, y, z);
+            normals.push(p.nx * nxy, p.ny * nxy, nz);
+        });
+    });
+    for (let k = 0; k < rings.length - 1; k++) {
+        for (let i = 0; i < n; i++) {
+            const j = (i + 1) % n;
+            const a = k * n + i;
+            const b = k * n + j;
+            const c = (k + 1) * n + j;
+            const e = (k + 1) * n + i;
+            indices.push(a, b, c, a, c, e);
+        }
+    }
+
+    // Back and front caps, fanned from the centre
+    [[rings[0], -1], [rings[rings.length - 1], 1]].forEach(([[inset, z], dir]) => {
+        const base = positions.length / 3;
+        positions.push(0, 0, z);
+        normals.push(0, 0, dir);
+        outline.forEach(p => {
+            const [x, y] = ringPoint(p, inset);
+            positions.push(x, y, z);
+            normals.push(0, 0, dir);
+        });
+        for (let i = 0; i < n; i++) {
+            const a = base + 1 + i;
+            const b = base + 1 + (i + 1) % n;
+            if (dir > 0) indices.push(base, a, b);
+            else indices.push(base, b, a);
+        }
+    });
+
+    return { positions, normals, indices };
+}
+
+function quatX(deg) {
+    const a = deg * Math.PI / 360;
+    return [Math.sin(a), 0, 0, Math.cos(a)];
+}
+
+function quatY(deg) {
+    const a = deg * Math.PI / 360;
+    return [0, Math.sin(a), 0, Math.cos(a)];
+}
+
+/**
+ * Camera lens with its ring on the back of a device (facing -z)
+ * @param {string} name - Node name
+ * @param {number} x - Centre x
+ * @param {number} y - Centre y
+ * @param {number} backZ - z of the surface the lens sits on
+ * @param {number} r - Lens radius
+ * @param {number} depth - How far the lens sticks out
+ * @returns {Object[]} Ring and lens parts
+ */
+function backLens(name, x, y, backZ, r, depth = 0.06) {
+    return [
+        {
+            name: name + 'Ring', material: 'LensRing',
+            geometry: slab({ w: r * 2.3, h: r * 2.3, d: depth, r: r * 1.15, bevel: depth / 3 }),
+            translation: [x, y, backZ - depth / 2], rotation: quatY(180)
+        },
+        {
+            name, material: 'Lens',
+            geometry: slab({ w: r * 2, h: r * 2, d: depth, r, bevel: depth / 3 }),
+            translation: [x, y, backZ - (depth / 2 + 0.01)], rotation: quatY(180)
+        }
+    ];
+}
+
+/**
+ * Display size of a device from its diagonal and resolution
+ * @param {number} inches - Display diagonal
+ * @param {number} pixelWidth - Display width in pixels
+ * @param {number} pixelHeight - Display height in pixels
+ * @returns {Object} { width, height } in cm
+ */
+function displaySizeFromDiagonal(inches, pixelWidth, pixelHeight) {
+    const scale = inches * CM_PER_INCH / Math.hypot(pixelWidth, pixelHeight);
+    return { width: pixelWidth * scale, height: pixelHeight * scale };
+}
+
+/**
+ * Manifest calibration for a display
+ * @param {Object} display - { pixelWidth, pixelHeight, width, height, cornerRadius (cm), center ({ x, y, z }) }
+ * @returns {Object} aspectRatio, screenHeightFactor, screenOffset, cornerRadiusFactor
+ */
+function calibrate(display) {
+    return {
+        aspectRatio: display.pixelWidth / display.pixelHeight,
+        screenHeightFactor: display.height / SCREEN_PLANE_HEIGHT,
+        screenOffset: display.center,
+        cornerRadiusFactor: display.cornerRadius / display.width
+    };
+}
+
+// ==========================================
+// GLB writer
+// ==========================================
+
+/**
+ * Write parts as a binary glTF file, one mesh node per part
+ * @param {Object[]} parts - { name, material, geometry, translation?, rotation? }
+ * @returns {Buffer} GLB file
+ */
+function buildGlb(parts) {
+    const json = {
+        asset: { version: '2.0', generator: 'appscreen device models' },
+        scene: 0, scenes: [{ nodes: [] }], nodes: [], meshes: [], accessors: [], bufferViews: [], buffers: [],
+        materials: Object.entries(MATERIALS).map(([name, m]) => ({
+            name,
+            pbrMetallicRoughness: { baseColorFactor: [...m.color, 1], metallicFactor: m.metallic, roughnessFactor: m.roughness }
+        }))
+    };
+    const materialIndex = Object.fromEntries(Object.keys(MATERIALS).map((name, i) => [name, i]));
+    const chunks = [];
+    let offset = 0;
+
+    const addBufferView = (buffer, target) => {
+        const padding = (4 - (buffer.length % 4)) % 4;
+        json.bufferViews.push({ buffer: 0, byteOffset: offset, byteLength: buffer.length, target });
+        chunks.push(buffer, Buffer.alloc(padding));
+        offset += buffer.length + padding;
+        return json.bufferViews.length - 1;
+    };
+    const addAccessor = accessor => {
+        json.accessors.push(accessor);
+        return json.accessors.length - 1;
+    };
+
+    parts.forEach(part => {
+        const { positions, normals, indices } = part.geometry;
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i += 3) {
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], positions[i + axis]);
+                max[axis] = Math.max(max[axis], positions[i + axis]);
+            }
+        }
+        const count = positions.length / 3;
+        const position = addAccessor({
+            bufferView: addBufferView(Buffer.from(new Float32Array(positions).buffer), 34962),
+            componentType: 5126, count, type: 'VEC3', min, max
+        });
+        const normal = addAccessor({
+            bufferView: addBufferView(Buffer.from(new Float32Array(normals).buffer), 34962),
+            componentType: 5126, count, type: 'VEC3'
+        });
+        const index = addAccessor({
+            bufferView: addBufferView(Buffer.from(new Uint32Array(indices).buffer), 34963),
+            componentType: 5125, count: indices.length, type: 'SCALAR'
+        });
+        json.meshes.push({
+            name: part.name,
+            primitives: [{ attributes: { POSITION: position, NORMAL: normal }, indices: index, material: materialIndex[part.material] }]
+        });
+
+        const node = { name: part.name, mesh: json.meshes.length - 1 };
+        if (part.translation) node.translation = part.translation;
+        if (part.rotation) node.rotation = part.rotation;
+        json.nodes.push(node);
+        json.scenes[0].nodes.push(json.nodes.length - 1);
+    });
+
+    const bin = Buffer.concat(chunks);
+    json.buffers.push({ byteLength: bin.length });
+    let jsonChunk = Buffer.from(JSON.stringify(json));
+    jsonChunk = Buffer.concat([jsonChunk, Buffer.alloc((4 - (jsonChunk.length % 4)) % 4, 0x20)]);
+
+    const header = Buffer.alloc(12);
+    header.writeUInt32LE(0x46546c67, 0); // 'glTF'
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(12 + 8 + jsonChunk.length + 8 + bin.length, 8);
+    const jsonHeader = Buffer.alloc(8);
+    jsonHeader.writeUInt32LE(jsonChunk.length, 0);
+    jsonHeader.writeUInt32LE(0x4e4f534a, 4); // 'JSON'
+    const binHeader = Buffer.alloc(8);
+    binHeader.writeUInt32LE(bin.length, 0);
+    binHeader.writeUInt32LE(0x004e4942, 4); // 'BIN'
+    return Buffer.concat([header, jsonHeader, jsonChunk, binHeader, bin]);
+}
+
+// ==========================================
+// Models
+// ==========================================
+
+/**
+ * iPad Pro 13" (M4): 215.5 × 281.6 × 5.1 mm, 13" display at 2064 × 2752
+ * (apple.com/ipad-pro/specs)
+ */
+function buildIpadPro13() {
+    const W = 21.55, H = 28.16, D = 0.51;
+    const backZ = -D / 2 - 0.12;
+    const parts = [
+        { name: 'Body', material: 'DarkAluminium', geometry: slab({ w: W, h: H, d: D, r: 1.8, bevel: 0.12 }) },
+        { name: 'Display', material: 'Display', geometry: slab({ w: W - 0.1, h: H - 0.1, d: 0.04, r: 1.75, bevel: 0.015 }), translation: [0, 0, D / 2 - 0.01] },
+        // Camera bump at the top left, seen from the back
+        { name: 'CameraBump', material: 'DarkAluminium', geometry: slab({ w: 3.0, h: 3.0, d: 0.16, r: 0.9, bevel: 0.06 }), translation: [W / 2 - 2.1, H / 2 - 2.1, -D / 2 - 0.05], rotation: quatY(180) },
+        ...backLens('LensWide', W / 2 - 1.45, H / 2 - 1.45, backZ, 0.42),
+        ...backLens('LensUltraWide', W / 2 - 1.45, H / 2 - 2.75, backZ, 0.42)
+    ];
+    const display = displaySizeFromDiagonal(13, 2064, 2752);
+    return {
+        name: 'iPad Pro 13"', file: 'ipad-pro-13.glb', parts,
+        ...calibrate({
+            pixelWidth: 2064, pixelHeight: 2752, ...display,
+            cornerRadius: 0.9,
+            // Display glass front is at D / 2 + 0.01
+            center: { x: 0, y: 0, z: D / 2 + 0.01 + SCREEN_GAP }
+        })
+    };
+}
+
+/**
+ * Pixel 9 Pro: 72.0 × 152.8 × 8.5 mm, 6.3" display at 1280 × 2856
+ * (store.google.com/product/pixel_9_pro_specs)
+ */
+function buildPixel9Pro() {
+    const W = 7.2, H = 15.28, D = 0.85;
+    const backZ = -D / 2 - 0.22;
+    const parts = [
+        { name: 'Body', material: 'Aluminium', geometry: slab({ w: W, h: H, d: D, r: 1.0, bevel: 0.22 }) },
+        { name: 'Display', material: 'Display', geometry: slab({ w: W - 0.14, h: H - 0.14, d: 0.04, r: 0.93, bevel: 0.015 }), translation: [0, 0, D / 2 - 0.01] },
+        { name: 'CameraBar', material: 'Aluminium', geometry: slab({ w: 6.0, h: 1.75, d: 0.3, r: 0.875, bevel: 0.12 }), translation: [0, H / 2 - 2.2, -D / 2 - 0.05] },
+        { name: 'CameraGlass', material: 'Display', geometry: slab({ w: 5.5, h: 1.35, d: 0.08, r: 0.675, bevel: 0.03 }), translation: [0, H / 2 - 2.2, -D / 2 - 0.19] }
+    ];
+    [-1.55, 0, 1.55].forEach((x, i) => parts.push(...backLens('Lens' + i, x, H / 2 - 2.2, backZ, 0.38, 0.04)));
+    parts.push({ name: 'Buttons', material: 'Aluminium', geometry: slab({ w: 0.1, h: 2.4, d: 0.25, r: 0.05 }), translation: [W / 2 + 0.02, 2.4, 0] });
+    const display = displaySizeFromDiagonal(6.3, 1280, 2856);
+    return {
+        name: 'Pixel 9 Pro', file: 'pixel-9-pro.glb', parts,
+        ...calibrate({
+            pixelWidth: 1280, pixelHeight: 2856, ...display,
+            cornerRadius: 0.7,
+            center: { x: 0, y: 0, z: D / 2 + 0.01 + SCREEN_GAP }
+        })
+    };
+}
+
+/**
+ * MacBook Pro 14": 312.6 × 221.2 mm, 15.5 mm closed, 14.2" display at 3024 × 1964
+ * (apple.com/macbook-pro/specs). The lid stands upright with the base lying in front of it.
+ */
+function buildMacbookPro14() {
+    const W = 31.26, H = 22.12, LID = 0.55, BASE = 1.0;
+    const parts = [
+        { name: 'Lid', material: 'DarkAluminium', geometry: slab({ w: W, h: H, d: LID, r: 0.9, bevel: 0.12 }), translation: [0, H / 2, 0] },
+        { name: 'Display', material: 'Display', geometry: slab({ w: W - 0.2, h: H - 0.2, d: 0.04, r: 0.8, bevel: 0.015 }), translation: [0, H / 2, LID / 2 - 0.01] },
+        { name: 'Base', material: 'DarkAluminium', geometry: slab({ w: W, h: H, d: BASE, r: 0.9, bevel: 0.25 }), translation: [0, -BASE / 2 - 0.05, H / 2 - LID / 2], rotation: quatX(-90) },
+        { name: 'Keyboard', material: 'Keyboard', geometry: slab({ w: 27.5, h: 11.0, d: 0.04, r: 0.4 }), translation: [0, -0.05, 7.0], rotation: quatX(-90) },
+        { name: 'Trackpad', material: 'Keyboard', geometry: slab({ w: 14.0, h: 8.5, d: 0.03, r: 0.5 }), translation: [0, -0.05, 17.2], rotation: quatX(-90) }
+    ];
+    const display = displaySizeFromDiagonal(14.2, 3024, 1964);
+    return {
+        name: 'MacBook Pro 14"', file: 'macbook-pro-14.glb', parts,
+        ...calibrate({
+            pixelWidth: 3024, pixelHeight: 1964, ...display,
+            cornerRadius: 0.45,
+            // The bottom bezel is taller than the top one, so the display sits above the lid's centre
+            center: { x: 0, y: H / 2 + 0.6, z: LID / 2 + 0.01 + SCREEN_GAP }
+        })
+    };
+}
+
+/**
+ * Apple Watch Series 9 45 mm: 38 × 45 × 10.7 mm, 1143 mm² display at 396 × 484
+ * (apple.com/apple-watch-series-9/specs)
+ */
+function buildAppleWatch45() {
+    const W = 3.8, H = 4.5, D = 1.07;
+    const parts = [
+        { name: 'Body', material: 'DarkAluminium', geometry: slab({ w: W, h: H, d: D, r: 1.0, bevel: 0.4, seg: 14, bevelSeg: 6 }) },
+        { name: 'Display', material: 'Display', geometry: slab({ w: W - 0.2, h: H - 0.2, d: 0.12, r: 0.9, bevel: 0.06, seg: 14 }), translation: [0, 0, D / 2 - 0.03] },
+        { name: 'Crown', material: 'DarkAluminium', geometry: slab({ w: 0.7, h: 0.7, d: 0.3, r: 0.35, bevel: 0.05 }), translation: [W / 2 + 0.1, 0.75, -0.05], rotation: quatY(90) },
+        { name: 'SideButton', material: 'DarkAluminium', geometry: slab({ w: 0.3, h: 1.3, d: 0.14, r: 0.15 }), translation: [W / 2 - 0.01, -0.75, -0.05], rotation: quatY(90) }
+    ];
+
+    // Band halves leave the case at an angle, as if worn
+    const bandLength = 4.2;
+    const bandAngle = 30;
+    const a = bandAngle * Math.PI / 180;
+    const bandZ = -0.15;
+    parts.push({
+        name: 'BandTop', material: 'Band', geometry: slab({ w: 2.4, h: bandLength, d: 0.35, r: 0.25, bevel: 0.1 }),
+        translation: [0, H / 2 - 0.3 + Math.cos(a) * bandLength / 2, bandZ - Math.sin(a) * bandLength / 2], rotation: quatX(-bandAngle)
+    });
+    parts.push({
+        name: 'BandBottom', material: 'Band', geometry: slab({ w: 2.4, h: bandLength, d: 0.35, r: 0.25, bevel: 0.1 }),
+        translation: [0, -(H / 2 - 0.3) - Math.cos(a) * bandLength / 2, bandZ - Math.sin(a) * bandLength / 2], rotation: quatX(bandAngle)
+    });
+
+    // Apple gives the display area instead of a diagonal (1143 mm² = 11.43 cm²)
+    const height = Math.sqrt(11.43 * 484 / 396);
+    return {
+        name: 'Apple Watch 45 mm', file: 'apple-watch-45.glb', parts,
+        ...calibrate({
+            pixelWidth: 396, pixelHeight: 484, width: height * 396 / 484, height,
+            cornerRadius: 0.8,
+            // Display glass front is at D / 2 + 0.03 (it is thicker than on the phones)
+            center: { x: 0, y: 0, z: D / 2 + 0.03 + SCREEN_GAP }
+        })
+    };
+}
+
+const MODELS = {
+    'ipad-pro-13': buildIpadPro13,
+    'pixel-9-pro': buildPixel9Pro,
+    'macbook-pro-14': buildMacbookPro14,
+    'apple-watch-45': buildAppleWatch45
+};
+
+function main() {
+    const outDir = process.argv[2] || path.join(__dirname, '..', 'models');
+    const manifestPath = path.join(outDir, 'manifest.json');
+    const round = value => Math.round(value * 10000) / 10000;
+
+    // Entries of other models in the manifest are kept, generated ones replaced in place
+    const manifest = fs.existsSync(manifestPath)
+        ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+        : { models: [] };
+    manifest.models = manifest.models || [];
+
+    Object.entries(MODELS).forEach(([id, build]) => {
+        const model = build();
+        fs.writeFileSync(path.join(outDir, model.file), buildGlb(model.parts));
+        const entry = {
+            id,
+            name: model.name,
+            file: model.file,
+            aspectRatio: round(model.aspectRatio),
+            screenHeightFactor: round(model.screenHeightFactor),
+            screenOffset: { x: round(model.screenOffset.x), y: round(model.screenOffset.y), z: round(model.screenOffset.z) },
+            cornerRadiusFactor: round(model.cornerRadiusFactor),
+            modelRotation: { x: 0, y: 0, z: 0 }
+        };
+        const index = manifest.models.findIndex(existing => existing.id === id);
+        if (index === -1) manifest.models.push(entry);
+        else manifest.models[index] = entry;
+        console.log(`Wrote ${model.file}`);
+    });
+
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 4) + '\n');
+    console.log('Wrote manifest.json');
+}
+
+main();
@@ -0,0 +1,317 @@
+// Project Version Snapshots
+// Named checkpoints of a project, stored in the IndexedDB snapshots store next to the
+// project record. Images are shared with the project through the asset store.
+
+const AUTO_SNAPSHOT_LIMIT = 10;  // Automatic snapshots kept per project
+const SNAPSHOT_THUMB_WIDTH = 96;
+
+// ==========================================
+// Storage
+// ==========================================
+
+/**
+ * Get all snapshots of a project, newest first
+ * @param {string} projectId - Project id
+ * @returns {Promise<Object[]>} Snapshots
+ */
+function getProjectSnapshots(projectId) {
+    if (!db) return Promise.resolve([]);
+
+    return new Promise((resolve) => {
+        try {
+            const store = db.transaction([SNAPSHOTS_STORE], 'readonly').objectStore(SNAPSHOTS_STORE);
+            const request = store.index('projectId').getAll(projectId);
+            request.onsuccess = () => {
+                resolve((request.result || []).sort((a, b) => b.createdAt - a.createdAt));
+            };
+            request.onerror = () => resolve([]);
+        } catch (e) {
+            console.error('Error loading snapshots:', e);
+            resolve([]);
+        }
+    });
+}
+
+function putSnapshot(snapshot) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SNAPSHOTS_STORE], 'readwrite');
+        transaction.objectStore(SNAPSHOTS_STORE).put(snapshot);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function deleteSnapshots(ids) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SNAPSHOTS_STORE], 'readwrite');
+        const store = transaction.objectStore(SNAPSHOTS_STORE);
+        ids.forEach(id => store.delete(id));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Delete all snapshots of a project (used when the project is deleted)
+ * @param {string} projectId - Project id
+ */
+async function deleteProjectSnapshots(projectId) {
+    const snapshots = await getProjectSnapshots(projectId);
+    if (snapshots.length > 0) {
+        await deleteSnapshots(snapshots.map(s => s.id));
+    }
+}
+
+// Render a small JPEG of the first screenshot for the version browser
+function renderSnapshotThumbnail() {
+    if (state.screenshots.length === 0) return null;
+
+    try {
+        const dims = getCanvasDimensions();
+        const fullCanvas = document.createElement('canvas');
+        renderScreenshotToCanvas(0, fullCanvas, dims, 1);
+
+        const thumbCanvas = document.createElement('canvas');
+        thumbCanvas.width = SNAPSHOT_THUMB_WIDTH;
+        thumbCanvas.height = Math.round(SNAPSHOT_THUMB_WIDTH * dims.height / dims.width);
+        thumbCanvas.getContext('2d').drawImage(fullCanvas, 0, 0, thumbCanvas.width, thumbCanvas.height);
+        return thumbCanvas.toDataURL('image/jpeg', 0.8);
+    } catch (e) {
+        console.error('Error rendering snapshot thumbnail:', e);
+        return null;
+    }
+}
+
+/**
+ * Save a snapshot of the current project
+ * @param {string} name - Snapshot name
+ * @param {Object} options - { auto: true } for automatic snapshots
+ * @returns {Promise<Object|null>} The snapshot, or null if it could not be saved
+ */
+async function createProjectSnapshot(name, options = {}) {
+    if (!db) return null;
+
+    try {
+        const record = await storeProjectAssets(buildProjectRecord());
+        delete record.id;
+
+        const snapshot = {
+            id: 'snapshot_' + Date.now(),
+            projectId: currentProjectId,
+            name: name,
+            createdAt: Date.now(),
+            auto: !!options.auto,
+            thumbnail: renderSnapshotThumbnail(),
+            screenshotCount: state.screenshots.length,
+            record: record
+        };
+        await putSnapshot(snapshot);
+
+        // Keep only the most recent automatic snapshots
+        if (snapshot.auto) {
+            const autoSnapshots = (await getProjectSnapshots(currentProjectId)).filter(s => s.auto);
+            if (autoSnapshots.length > AUTO_SNAPSHOT_LIMIT) {
+                await deleteSnapshots(autoSnapshots.slice(AUTO_SNAPSHOT_LIMIT).map(s => s.id));
+            }
+        }
+
+        return snapshot;
+    } catch (e) {
+        console.error('Error creating snapshot:', e);
+        return null;
+    }
+}
+
+// ==========================================
+// Diff
+// ==========================================
+
+// Compare one screenshot of two stored records, returns the changed parts
+function diffStoredScreenshot(before, after) {
+    const withoutDisplayLang = text => JSON.stringify(text, (key, value) =>
+        key === 'currentHeadlineLang' || key === 'currentSubheadlineLang' ? undefined : value);
+
+    const parts = [];
+    if (JSON.stringify(before.localizedImages) !== JSON.stringify(after.localizedImages)) parts.push('images');
+    if (JSON.stringify(before.background) !== JSON.stringify(after.background)) parts.push('background');
+    if (JSON.stringify(before.screenshot) !== JSON.stringify(after.screenshot)) parts.push('device');
+    if (withoutDisplayLang(before.text) !== withoutDisplayLang(after.text)) parts.push('text');
+    // Screenshots saved before layers existed have the default stack
+    const layers = screenshot => JSON.stringify(screenshot.layers || createDefaultLayers());
+    if (layers(before) !== layers(after)) parts.push('layers');
+    if (JSON.stringify(before.panorama) !== JSON.stringify(after.panorama)) parts.push('panorama');
+    return parts;
+}
+
+/**
+ * Compare the screenshots of a snapshot with the current project (by position)
+ * @param {Object} snapshotRecord - Stored record of the snapshot
+ * @param {Object} currentRecord - Stored record of the current project
+ * @returns {Object[]} [{ index, name, status: 'added'|'removed'|'changed'|'unchanged', parts }]
+ */
+function diffSnapshotScreenshots(snapshotRecord, currentRecord) {
+    const before = snapshotRecord.screenshots || [];
+    const after = currentRecord.screenshots || [];
+    const diff = [];
+
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+        if (!after[i]) {
+            diff.push({ index: i, name: before[i].name, status: 'removed', parts: [] });
+        } else if (!before[i]) {
+            diff.push({ index: i, name: after[i].name, status: 'added', parts: [] });
+        } else {
+            const parts = diffStoredScreenshot(before[i], after[i]);
+            diff.push({ index: i, name: after[i].name, status: parts.length ? 'changed' : 'unchanged', parts });
+        }
+    }
+
+    return diff;
+}
+
+// ==========================================
+// Restore / Fork
+// ==========================================
+
+/**
+ * Replace the current project with a snapshot
+ * A snapshot of the current state is taken first, so restoring can be reverted.
+ * @param {Object} snapshot - Snapshot to restore
+ */
+async function restoreProjectSnapshot(snapshot) {
+    const confirmed = await showAppConfirm(
+        `Restore "${snapshot.name}"? Your current version will be saved as a snapshot first.`,
+        'Restore',
+        'Cancel'
+    );
+    if (!confirmed) return;
+
+    await createProjectSnapshot(`Before restoring "${snapshot.name}"`, { auto: true });
+
+    flushSaveState();
+    await waitForPendingSaves();
+    await putProjectRecord({ ...snapshot.record, id: currentProjectId });
+
+    // Reload the project from storage (nothing is pending, so the switch doesn't save over it)
+    await switchProject(currentProjectId);
+    closeSnapshotsModal();
+}
+
+/**
+ * Create a new project from a snapshot
+ * @param {Object} snapshot - Snapshot to fork
+ */
+async function forkProjectSnapshot(snapshot) {
+    const currentProject = projects.find(p => p.id === currentProjectId);
+    const name = getUniqueProjectName(`${currentProject?.name || 'Project'} – ${snapshot.name}`);
+    await createProject(name, snapshot.record);
+    closeSnapshotsModal();
+}
+
+// ==========================================
+// Version browser
+// ==========================================
+
+function openSnapshotsModal() {
+    document.getElementById('snapshot-name-input').value = '';
+    document.getElementById('snapshots-modal').classList.add('visible');
+    updateSnapshotsList();
+}
+
+function closeSnapshotsModal() {
+    document.getElementById('snapshots-modal').classList.remove('visible');
+}
+
+/**
+ * Save a named snapshot from the version browser input
+ */
+async function saveNamedSnapshot() {
+    const input = document.getElementById('snapshot-name-input');
+    const name = input.value.trim() || new Date().toLocaleString();
+
+    const snapshot = await createProjectSnapshot(name);
+    if (!snapshot) {
+        await showAppAlert('Could not save the snapshot.', 'error');
+        return;
+    }
+    input.value = '';
+    updateSnapshotsList();
+}
+
+/**
+ * Render the snapshot list of the current project
+ */
+async function updateSnapshotsList() {
+    const container = document.getElementById('snapshots-list');
+    if (!container) return;
+
+    const snapshots = await getProjectSnapshots(currentProjectId);
+    container.innerHTML = '';
+
+    if (snapshots.length === 0) {
+        container.innerHTML = '<div class="snapshots-empty">No snapshots yet</div>';
+        return;
+    }
+
+    // Current project in stored form, for the diffs
+    const currentRecord = await storeProjectAssets(buildProjectRecord());
+
+    snapshots.forEach(snapshot => {
+        const diff = diffSnapshotScreenshots(snapshot.record, currentRecord);
+        const changedCount = diff.filter(d => d.status !== 'unchanged').length;
+        const count = snapshot.screenshotCount;
+
+        const item = document.createElement('div');
+        item.className = 'snapshot-item';
+        item.innerHTML = `
+            <div class="snapshot-thumb">
+                ${snapshot.thumbnail ? `<img src="${snapshot.thumbnail}" alt="">` : ''}
+            </div>
+            <div class="snapshot-info">
+                <div class="snapshot-name"></div>
+                <div class="snapshot-meta">
+                    ${new Date(snapshot.createdAt).toLocaleString()} · ${count} screenshot${count !== 1 ? 's' : ''}
+                    · ${changedCount === 0 ? 'no changes' : `${changedCount} changed`}
+                </div>
+                <div class="snapshot-actions">
+                    <button class="snapshot-action snapshot-diff-toggle"${changedCount === 0 ? ' disabled' : ''}>Changes</button>
+                    <button class="snapshot-action snapshot-restore">Restore</button>
+                    <button class="snapshot-action snapshot-fork">Fork</button>
+                    <button class="snapshot-action danger snapshot-delete">Delete</button>
+                </div>
+                <div class="snapshot-diff"></div>
+            </div>
+        `;
+
+        // Names are user input
+        const nameEl = item.querySelector('.snapshot-name');
+        nameEl.textContent = snapshot.name;
+        if (snapshot.auto) {
+            const badge = document.createElement('span');
+            badge.className = 'snapshot-auto-badge';
+            badge.textContent = 'Auto';
+            nameEl.appendChild(badge);
+        }
+
+        const diffEl = item.querySelector('.snapshot-diff');
+        diff.filter(d => d.status !== 'unchanged').forEach(d => {
+            const row = document.createElement('div');
+            row.className = 'snapshot-diff-row ' + d.status;
+            const detail = d.status === 'changed' ? d.parts.join(', ') : d.status;
+            row.textContent = `${d.index + 1}. ${d.name || 'Screenshot'} — ${detail}`;
+            diffEl.appendChild(row);
+        });
+
+        item.querySelector('.snapshot-diff-toggle').addEventListener('click', () => {
+            item.classList.toggle('show-diff');
+        });
+        item.querySelector('.snapshot-restore').addEventListener('click', () => restoreProjectSnapshot(snapshot));
+        item.querySelector('.snapshot-fork').addEventListener('click', () => forkProjectSnapshot(snapshot));
+        item.querySelector('.snapshot-delete').addEventListener('click', async () => {
+            await deleteSnapshots([snapshot.id]);
+            pruneUnusedAssets();
+            updateSnapshotsList();
+        });
+
+        container.appendChild(item);
+    });
+}
@@ -0,0 +1,230 @@
+// Store Compliance
+// Checks a project against App Store Connect and Google Play Console screenshot rules
+// before export, so uploads aren't rejected for their size, format or count.
+
+const STORE_RULES = {
+    appStore: {
+        name: 'App Store',
+        maxScreenshots: 10,
+        minScreenshots: 1,
+        formats: ['png', 'jpeg']
+    },
+    playStore: {
+        name: 'Google Play',
+        maxScreenshots: 8,
+        minScreenshots: 2,
+        formats: ['png', 'jpeg'],
+        maxBytes: 8 * 1024 * 1024
+    }
+};
+
+// Checks in the order the checklist shows them
+const STORE_CHECKS = {
+    size: 'Output size',
+    count: 'Screenshot count',
+    format: 'Image format',
+    images: 'Localized images',
+    headlines: 'Headlines',
+    textFit: 'Text fits the screenshot',
+    fileSize: 'File sizes'
+};
+
+/**
+ * Find the output size with the given pixel size (portrait or landscape)
+ * @param {Object} dims - { width, height }
+ * @returns {string|null} deviceDimensions key
+ */
+function findDeviceForDimensions(dims) {
+    return Object.keys(deviceDimensions).find(device => {
+        const size = deviceDimensions[device];
+        return (size.width === dims.width && size.height === dims.height) ||
+            (size.width === dims.height && size.height === dims.width);
+    }) || null;
+}
+
+/**
+ * Get the store an output size is for
+ * @param {string} device - Output size (deviceDimensions key or 'custom')
+ * @param {Object} dims - { width, height } of the output
+ * @returns {string|null} STORE_RULES key, null for web and unknown sizes
+ */
+function getTargetStore(device, dims) {
+    const preset = device === 'custom' ? findDeviceForDimensions(dims) : device;
+    if (!preset) return null;
+    if (/^(iphone|ipad)-/.test(preset)) return 'appStore';
+    if (/^android-/.test(preset)) return 'playStore';
+    return null;
+}
+
+// Store sizes are matched exactly (see getTargetStore), so only other sizes can fail
+function checkOutputSize(store, device, dims) {
+    if (store) return [];
+    const size = `${dims.width} × ${dims.height}`;
+    return [{
+        level: 'warning',
+        message: device === 'custom'
+            ? `${size} doesn't match a store size. App Store Connect only accepts the exact sizes of the output size menu.`
+            : `${size} is a web size, store rules are not checked`
+    }];
+}
+
+function checkScreenshotCount(store, count) {
+    const rules = STORE_RULES[store];
+    if (count > rules.maxScreenshots) {
+        return [{ level: 'error', message: `${count} screenshots per language, ${rules.name} allows at most ${rules.maxScreenshots}` }];
+    }
+    if (count < rules.minScreenshots) {
+        return [{ level: 'warning', message: `${rules.name} needs at least ${rules.minScreenshots} screenshots per language` }];
+    }
+    return [];
+}
+
+function checkImageFormat(store, format) {
+    const rules = STORE_RULES[store];
+    const spec = EXPORT_FORMATS[format.type] || EXPORT_FORMATS.png;
+    if (!rules.formats.includes(format.type)) {
+        return [{ level: 'error', message: `${rules.name} doesn't accept ${spec.name} images, export as JPEG or PNG` }];
+    }
+    if (spec.alpha) {
+        return [{ level: 'warning', message: `${spec.name} exports have an alpha channel, which ${rules.name} can reject. JPEG exports are flattened.` }];
+    }
+    return [];
+}
+
+function checkLocalizedImages(screenshots, languages) {
+    if (languages.length < 2) return [];
+    const issues = [];
+    screenshots.forEach((screenshot, index) => {
+        if (isScreenshotComplete(screenshot)) return;
+        const available = getAvailableLanguagesForScreenshot(screenshot);
+        languages.filter(lang => !available.includes(lang)).forEach(lang => {
+            issues.push({
+                level: 'warning',
+                message: `No ${languageNames[lang] || lang} image, another language's image is used`,
+                index,
+                lang
+            });
+        });
+    });
+    return issues;
+}
+
+function checkHeadlines(screenshots, languages) {
+    const issues = [];
+    screenshots.forEach((screenshot, index) => {
+        const text = screenshot.text;
+        const fields = [
+            { label: 'headline', enabled: text.headlineEnabled !== false, texts: text.headlines || {} },
+            { label: 'subheadline', enabled: !!text.subheadlineEnabled, texts: text.subheadlines || {} }
+        ];
+        fields.filter(field => field.enabled).forEach(field => {
+            const missing = languages.filter(lang => !(field.texts[lang] || '').trim());
+            if (missing.length === languages.length) {
+                issues.push({ level: 'warning', message: `The ${field.label} is empty`, index });
+                return;
+            }
+            missing.forEach(lang => {
+                issues.push({
+                    level: 'warning',
+                    message: `The ${languageNames[lang] || lang} ${field.label} is empty`,
+                    index,
+                    lang
+                });
+            });
+        });
+    });
+    return issues;
+}
+
+function checkTextFit(screenshots, languages, dims, layoutDevice) {
+    const context = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(1, 1).getContext('2d')
+        : document.createElement('canvas').getContext('2d');
+    const issues = [];
+    screenshots.forEach((screenshot, index) => {
+        // Hidden text isn't exported (panorama slices use the panorama's layers)
+        const textLayer = getScreenshotLayers(getSceneModel(screenshots, index)).find(layer => layer.id === 'text');
+        if (textLayer && textLayer.visible === false) return;
+
+        const text = applyLayoutOverrides(screenshot, layoutDevice).text;
+        languages.forEach(lang => {
+            const bounds = measureTextBounds(context, dims, {
+                ...text,
+                currentHeadlineLang: lang,
+                currentSubheadlineLang: lang
+            });
+            if (!bounds) return;
+            const outside = bounds.top < 0 || bounds.bottom > dims.height ||
+                bounds.left < 0 || bounds.right > dims.width;
+            if (outside) {
+                issues.push({
+                    level: 'error',
+                    message: languages.length > 1
+                        ? `The ${languageNames[lang] || lang} text runs off the screenshot`
+                        : 'The text runs off the screenshot',
+                    index,
+                    lang
+                });
+            }
+        });
+    });
+    return issues;
+}
+
+/**
+ * Check the project against the rules of the store its output size is for
+ * File sizes need rendered images, see checkExportFileSizes().
+ * @param {Object} options
+ * @param {string} options.device - Output size (deviceDimensions key or 'custom')
+ * @param {Object} options.dims - { width, height } of the output
+ * @param {Object} options.format - Export format ({ type })
+ * @returns {{store: string|null, checks: Object<string, Object[]>}} Issues per STORE_CHECKS key
+ *     ({ level: 'error'|'warning', message, index, lang }), null for checks that didn't run
+ *     (store rules for non-store sizes, file sizes)
+ */
+function validateProjectForStores({ device, dims, format }) {
+    const store = getTargetStore(device, dims);
+    const screenshots = state.screenshots;
+    const languages = state.projectLanguages;
+
+    return {
+        store,
+        checks: {
+            size: checkOutputSize(store, device, dims),
+            count: store ? checkScreenshotCount(store, screenshots.length) : null,
+            format: store ? checkImageFormat(store, format) : null,
+            images: checkLocalizedImages(screenshots, languages),
+            headlines: checkHeadlines(screenshots, languages),
+            textFit: checkTextFit(screenshots, languages, dims, device),
+            fileSize: null
+        }
+    };
+}
+
+/**
+ * Check the file sizes of rendered export images
+ * @param {string|null} store - STORE_RULES key
+ * @param {Object[]} jobs - Export jobs ({ index, lang })
+ * @param {Object} result - { images, failures } from renderExportImages()
+ * @returns {Object[]} Issues
+ */
+function checkExportFileSizes(store, jobs, { images, failures }) {
+    const maxBytes = store ? STORE_RULES[store].maxBytes : null;
+    const issues = failures.map(({ job, error }) => ({
+        level: 'error',
+        message: error?.message || String(error),
+        index: job.index,
+        lang: job.lang
+    }));
+    jobs.forEach((job, i) => {
+        if (maxBytes && images[i] && images[i].size > maxBytes) {
+            issues.push({
+                level: 'error',
+                message: `${formatFileSize(images[i].size)}, ${STORE_RULES[store].name} allows ${formatFileSize(maxBytes)}`,
+                index: job.index,
+                lang: job.lang
+            });
+        }
+    });
+    return issues;
+}
@@ -0,0 +1,151 @@
+// Project Templates
+// A template stores a project's house style (defaults from the selected screenshot's
+// background, device layout and text style), output size and languages, but no screenshots.
+
+/**
+ * Get all saved templates, sorted by name
+ * @returns {Promise<Object[]>} Templates
+ */
+function getProjectTemplates() {
+    if (!db) return Promise.resolve([]);
+
+    return new Promise((resolve) => {
+        try {
+            const request = db.transaction([TEMPLATES_STORE], 'readonly').objectStore(TEMPLATES_STORE).getAll();
+            request.onsuccess = () => {
+                resolve((request.result || []).sort((a, b) => a.name.localeCompare(b.name)));
+            };
+            request.onerror = () => resolve([]);
+        } catch (e) {
+            console.error('Error loading templates:', e);
+            resolve([]);
+        }
+    });
+}
+
+function getProjectTemplate(id) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction([TEMPLATES_STORE], 'readonly').objectStore(TEMPLATES_STORE).get(id);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Delete a saved template
+ * @param {string} id - Template id
+ */
+function deleteProjectTemplate(id) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([TEMPLATES_STORE], 'readwrite');
+        transaction.objectStore(TEMPLATES_STORE).delete(id);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Build a template record from the current project
+ * The selected screenshot's style becomes the defaults for new screenshots.
+ * @returns {Object} Project record without screenshots (images as data URLs)
+ */
+function buildTemplateRecord() {
+    const record = buildProjectRecord();
+    const source = record.screenshots[state.selectedIndex];
+    const defaults = JSON.parse(JSON.stringify(record.defaults));
+
+    if (source) {
+        defaults.background = JSON.parse(JSON.stringify(source.background));
+        defaults.screenshot = JSON.parse(JSON.stringify(source.screenshot));
+        defaults.text = JSON.parse(JSON.stringify(source.text));
+        defaults.layers = JSON.parse(JSON.stringify(source.layers || createDefaultLayers()));
+    }
+
+    // Keep language slots but not the copy itself
+    ['headlines', 'subheadlines'].forEach(key => {
+        const texts = defaults.text[key] || {};
+        Object.keys(texts).forEach(lang => {
+            texts[lang] = '';
+        });
+    });
+    delete defaults.text.headline;
+    delete defaults.text.subheadline;
+
+    return {
+        screenshots: [],
+        outputDevice: record.outputDevice,
+        customWidth: record.customWidth,
+        customHeight: record.customHeight,
+        exportNaming: record.exportNaming,
+        exportFormat: record.exportFormat,
+        currentLanguage: record.currentLanguage,
+        projectLanguages: record.projectLanguages,
+        defaults: defaults
+    };
+}
+
+/**
+ * Save the current project's style as a template
+ * @param {string} name - Template name
+ */
+async function saveProjectAsTemplate(name) {
+    if (!db) {
+        await showAppAlert('Templates cannot be saved because browser storage is unavailable.', 'error');
+        return;
+    }
+
+    try {
+        const template = {
+            id: 'template_' + Date.now(),
+            name: name,
+            createdAt: Date.now(),
+            record: await storeProjectAssets(buildTemplateRecord())
+        };
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([TEMPLATES_STORE], 'readwrite');
+            transaction.objectStore(TEMPLATES_STORE).put(template);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        await showAppAlert(`Saved template "${name}".`, 'success');
+    } catch (e) {
+        console.error('Error saving template:', e);
+        await showAppAlert('Could not save template: ' + e.message, 'error');
+    }
+}
+
+/**
+ * Create a new project from a template
+ * @param {string} name - Project name
+ * @param {string} templateId - Template id
+ */
+async function createProjectFromTemplate(name, templateId) {
+    const template = await getProjectTemplate(templateId);
+    if (!template) {
+        await showAppAlert('This template no longer exists.', 'error');
+        return;
+    }
+    await createProject(name, template.record);
+}
+
+/**
+ * Fill the template picker of the new-project modal
+ */
+async function updateTemplatePicker() {
+    const select = document.getElementById('project-template-select');
+    if (!select) return;
+
+    const templates = await getProjectTemplates();
+    select.innerHTML = '<option value="">Blank project</option>';
+    templates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.name;
+        select.appendChild(option);
+    });
+
+    document.getElementById('project-template-group').style.display = templates.length > 0 ? '' : 'none';
+    document.getElementById('delete-template-btn').disabled = true;
+}
@@ -27,9 +27,11 @@ let currentDeviceModel = 'iphone';
 // Cache for loaded phone models (for rendering different devices in side previews)
 let phoneModelCache = {};  // { deviceType: { model, pivot, screenPlane, baseScale, loaded } }
 
-// Device-specific configurations
+// Device-specific configurations: the built-in models, device-models.js adds the models of the
+// manifest, the library and the project (and their calibrations)
 const deviceConfigs = {
     iphone: {
+        name: 'iPhone 15 Pro Max',
         modelPath: 'models/iphone-15-pro-max.glb',
         aspectRatio: 1290 / 2796,
         screenHeightFactor: 0.826,
@@ -39,6 +41,7 @@ const deviceConfigs = {
         modelRotation: { x: 0, y: 0, z: 0 }  // No correction needed
     },
     samsung: {
+        name: 'Galaxy S25 Ultra',
         modelPath: 'models/samsung-galaxy-s25-ultra.glb',
         aspectRatio: 1440 / 3120,
         screenHeightFactor: 0.66,
@@ -141,6 +144,7 @@ function loadPhoneModel() {
         (gltf) => {
             phoneModelLoading = false;
             phoneModel = gltf.scene;
+            phoneModel.userData.modelPath = config.modelPath;
 
             // Center and scale the model
             const box = new THREE.Box3().setFromObject(phoneModel);
@@ -241,6 +245,11 @@ function loadPhoneModel() {
                 if (typeof updateCanvas === 'function') {
                     updateCanvas();
                 }
+
+                // Calibration ranges follow the loaded model's size
+                if (typeof updateDeviceModelUI === 'function') {
+                    updateDeviceModelUI();
+                }
             }
 
             console.log('Phone model loaded successfully');
@@ -305,6 +314,7 @@ function switchPhoneModel(deviceType) {
         config.modelPath,
         (gltf) => {
             phoneModel = gltf.scene;
+            phoneModel.userData.modelPath = config.modelPath;
 
             // Center and scale the model
             const box = new THREE.Box3().setFromObject(phoneModel);
@@ -351,6 +361,10 @@ function switchPhoneModel(deviceType) {
                 if (typeof updateCanvas === 'function' && !window.suppressSwitchModelUpdate) {
                     updateCanvas();
                 }
+
+                if (typeof updateDeviceModelUI === 'function') {
+                    updateDeviceModelUI();
+                }
             }
 
             console.log(deviceType + ' model loaded successfully');
@@ -458,6 +472,47 @@ function loadCachedPhoneModel(deviceType) {
     return phoneModelCache[deviceType].loadingPromise;
 }
 
+// Apply a changed device config: cached copies are dropped, the live model gets the new screen
+// placement (or is reloaded when its file changed)
+function refreshDeviceModel(deviceType) {
+    const cached = phoneModelCache[deviceType];
+    if (cached?.loaded) {
+        cached.pivot.traverse((child) => {
+            if (child.isMesh) {
+                child.geometry?.dispose();
+                child.material?.dispose();
+            }
+        });
+        delete phoneModelCache[deviceType];
+    }
+
+    if (deviceType !== currentDeviceModel || !phoneModel) return;
+    const config = deviceConfigs[deviceType];
+    if (!config || phoneModel.userData.modelPath !== config.modelPath) {
+        // Removed models fall back to the iPhone like screenshots that use them
+        currentDeviceModel = null;
+        switchPhoneModel(config ? deviceType : 'iphone');
+        return;
+    }
+
+    const screenOffset = config.screenOffset;
+    phoneModel.position.set(
+        -screenOffset.x * baseModelScale,
+        -screenOffset.y * baseModelScale,
+        -screenOffset.z * baseModelScale
+    );
+    createScreenOverlay();
+    updateScreenTexture();
+    const ss = typeof getScreenshotSettings === 'function' ? getScreenshotSettings() : null;
+    const rotation3D = ss?.rotation3D || { x: 0, y: 0, z: 0 };
+    setThreeJSRotation(rotation3D.x, rotation3D.y, rotation3D.z);
+}
+
+// Largest dimension of the live model in its own units (the scale its config is in), null until loaded
+function getLoadedDeviceModelSize() {
+    return phoneModel && phoneModelLoaded ? 3.75 / baseModelScale : null;
+}
+
 // Preload all device models for side previews
 function preloadAllPhoneModels() {
     const deviceTypes = Object.keys(deviceConfigs);
@@ -549,9 +604,10 @@ function updateScreenTexture() {
     if (typeof state === 'undefined' || !state.screenshots.length) return;
 
     const screenshot = state.screenshots[state.selectedIndex];
-    // Use getScreenshotImage() for localized image support
-    const screenshotImage = typeof getScreenshotImage === 'function'
-        ? getScreenshotImage(screenshot)
+    // The live model shows the device the Device tab edits, in the current language
+    const deviceLayer = typeof getEditedDeviceLayer === 'function' ? getEditedDeviceLayer() : null;
+    const screenshotImage = deviceLayer
+        ? getDeviceLayerImage(deviceLayer)
         : screenshot?.image;
     if (!screenshot || !screenshotImage) return;
 
@@ -638,7 +694,8 @@ function animateThreeJS() {
 }
 
 // Render 3D phone only (with transparent background) to be composited
-function renderThreeJSToCanvas(targetCanvas, width, height) {
+// Settings can be passed to use other values than the current screenshot's (layout overrides)
+function renderThreeJSToCanvas(targetCanvas, width, height, settings) {
     if (!threeRenderer || !threeScene || !threeCamera || !phonePivot) return;
 
     const dims = { width: width || 1290, height: height || 2796 };
@@ -652,7 +709,7 @@ function renderThreeJSToCanvas(targetCanvas, width, height) {
     // Apply position, scale, and rotation from screenshot settings
     if (typeof state !== 'undefined') {
         // Use getScreenshotSettings() helper if available, otherwise fall back to defaults
-        const ss = typeof getScreenshotSettings === 'function' ? getScreenshotSettings() : state.defaults?.screenshot;
+        const ss = settings || (typeof getScreenshotSettings === 'function' ? getScreenshotSettings() : state.defaults?.screenshot);
         if (ss) {
             // Scale: use screenshot.scale to adjust model size
             const screenshotScale = ss.scale / 100;
@@ -711,13 +768,15 @@ function renderThreeJSToCanvas(targetCanvas, width, height) {
     phonePivot.rotation.copy(originalRotation);
 }
 
-// Render 3D for a specific screenshot index (used for side previews)
-function renderThreeJSForScreenshot(targetCanvas, width, height, screenshotIndex) {
+// Render 3D for a specific screenshot index (used for side previews and exports)
+// An image can be passed to show a language other than the current one on the screen,
+// and settings to use other values than the screenshot's (layout overrides)
+function renderThreeJSForScreenshot(targetCanvas, width, height, screenshotIndex, image, settings) {
     if (!threeRenderer || !threeScene || !threeCamera) return;
     if (typeof state === 'undefined' || !state.screenshots[screenshotIndex]) return;
 
     const screenshot = state.screenshots[screenshotIndex];
-    const ss = screenshot.screenshot;
+    const ss = settings || screenshot.screenshot;
     const dims = { width: width || 1290, height: height || 2796 };
 
     // Determine which device model this screenshot uses
@@ -767,9 +826,9 @@ function renderThreeJSForScreenshot(targetCanvas, width, height, screenshotIndex
 
     // Temporarily update screen texture for this screenshot
     // Use getScreenshotImage() for localized image support
-    const screenshotImage = typeof getScreenshotImage === 'function'
+    const screenshotImage = image || (typeof getScreenshotImage === 'function'
         ? getScreenshotImage(screenshot)
-        : screenshot?.image;
+        : screenshot?.image);
     const oldMaterial = screenPlaneToUse ? screenPlaneToUse.material : null;
     if (screenshotImage && screenPlaneToUse) {
         const cornerRadius = Math.round(screenshotImage.width * config.cornerRadiusFactor);
@@ -953,6 +1012,10 @@ function setup3DCanvasInteraction() {
             lastMouseX = e.clientX;
             lastMouseY = e.clientY;
             canvas.style.cursor = isAltDragging ? 'move' : 'grabbing';
+            // A rotate drag is its own undo step (Alt+drag moves go through setScreenshotSetting)
+            if (!isAltDragging && typeof markHistoryEdit === 'function') {
+                markHistoryEdit('rotation3D');
+            }
         }
     });
 
@@ -969,15 +1032,23 @@ function setup3DCanvasInteraction() {
         if (!ss) return;
 
         if (isAltDragging) {
-            // Alt+drag: move position (x, y)
-            ss.x = Math.max(0, Math.min(100, ss.x + deltaX * 0.2));
-            ss.y = Math.max(0, Math.min(100, ss.y + deltaY * 0.2));
+            // Alt+drag: move position (x, y), which can be overridden for the output size
+            const layout = typeof getLayoutSettings === 'function' ? getLayoutSettings('screenshot') : ss;
+            const x = Math.max(0, Math.min(100, layout.x + deltaX * 0.2));
+            const y = Math.max(0, Math.min(100, layout.y + deltaY * 0.2));
+            if (typeof setScreenshotSetting === 'function') {
+                setScreenshotSetting('x', x);
+                setScreenshotSetting('y', y);
+            } else {
+                ss.x = x;
+                ss.y = y;
+            }
 
             // Update sliders
-            document.getElementById('screenshot-x').value = ss.x;
-            document.getElementById('screenshot-x-value').textContent = Math.round(ss.x) + '%';
-            document.getElementById('screenshot-y').value = ss.y;
-            document.getElementById('screenshot-y-value').textContent = Math.round(ss.y) + '%';
+            document.getElementById('screenshot-x').value = x;
+            document.getElementById('screenshot-x-value').textContent = Math.round(x) + '%';
+            document.getElementById('screenshot-y').value = y;
+            document.getElementById('screenshot-y-value').textContent = Math.round(y) + '%';
         } else {
             // Regular drag: rotate
             if (!ss.rotation3D) ss.rotation3D = { x: 0, y: 0, z: 0 };